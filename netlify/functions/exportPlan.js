@@ -0,0 +1,73 @@
+import { getSchema } from "../lib/schemas.js";
+import { validateAgainstSchema } from "../lib/validate.js";
+import { getRequestId, jsonResponse, optionsResponse, parseJsonBody, textResponse, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { withMetrics } from "../lib/metrics.js";
+import { resolveMode } from "../lib/modes.js";
+import { EXPORT_FORMATS, exportFormatsFor, renderExport, renderGithubIssues } from "../../shared/planExport.js";
+import { validateChecklist } from "../../shared/checklist.js";
+
+// POST { plan, format: "markdown" | "jira" | "github" | "html" | "csv" | "ics", mode?, title?, checklist? }
+// Renders a plan with the same renderers the web app uses. github returns { issues: [...] }.
+// checklist is one { status, owner?, due? } per next step; csv and ics are built from it.
+// mode is the plan mode the plan was generated in (see modes.js); github, csv and ics need one
+// with next steps.
+
+const MAX_TITLE_CHARS = 200;
+
+export const handler = withCors(withMetrics("exportPlan", async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    const requestId = getRequestId(event);
+    const auth = authenticate(event.headers, "plan");
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const body = parseJsonBody(event);
+    if (!body.ok) {
+        return jsonResponse(body.statusCode, { error: body.error, requestId });
+    }
+    const { plan, format, mode: modeId, title, checklist } = body.value;
+
+    const resolved = resolveMode(modeId);
+    if (!resolved.ok) {
+        return jsonResponse(resolved.statusCode, { error: resolved.error, requestId });
+    }
+    const { mode } = resolved;
+    const formats = exportFormatsFor(mode.sections);
+    if (!formats[format]) {
+        const extra = EXPORT_FORMATS[format] ? ` for mode ${mode.id}` : "";
+        return jsonResponse(400, { error: `format must be one of${extra}: ${Object.keys(formats).join(", ")}.`, requestId });
+    }
+    const loaded = getSchema(mode.schemaName);
+    if (!loaded.ok) {
+        return jsonResponse(500, { error: loaded.error, requestId });
+    }
+    const planError = validateAgainstSchema(plan, loaded.schema);
+    if (planError) {
+        return jsonResponse(400, { error: `Invalid plan: ${planError}`, requestId });
+    }
+    if (title !== undefined && (typeof title !== "string" || !title.trim() || title.length > MAX_TITLE_CHARS)) {
+        return jsonResponse(400, { error: `title must be a non-empty string under ${MAX_TITLE_CHARS} characters.`, requestId });
+    }
+
+    if (checklist !== undefined && plan.next_steps) {
+        const checklistError = validateChecklist(checklist, plan.next_steps.length);
+        if (checklistError) {
+            return jsonResponse(400, { error: checklistError, requestId });
+        }
+    }
+
+    const options = { sections: mode.sections, ...(title ? { title: title.trim() } : {}), ...(checklist ? { checklist } : {}) };
+    if (format === "github") {
+        return jsonResponse(200, { issues: renderGithubIssues(plan, options) });
+    }
+    return textResponse(200, `${EXPORT_FORMATS[format].mimeType}; charset=utf-8`, renderExport(plan, format, options));
+}));
@@ -0,0 +1,86 @@
+import { getRequestId, jsonResponse, optionsResponse, parseJsonBody, readInput, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { enforceLimits } from "../lib/ratelimit.js";
+import { getSchema } from "../lib/schemas.js";
+import { resolveMode } from "../lib/modes.js";
+import { createRedactor, loadRedaction } from "../lib/redact.js";
+import { FEEDBACK_KINDS, checkFeedback, saveFeedback, toRecord } from "../lib/feedback.js";
+
+// POST { kind: "plan" | "triage", mode?, input, output, ratings?, edited? } records the user's
+// feedback on a result (see lib/feedback.js): `output` is the result as the user now sees it,
+// with any inline edits, `ratings` maps sections to "up" or "down" and `edited` lists the
+// sections they rewrote. Send the whole state each time; it replaces earlier feedback on the
+// same input. Returns { id, accepted }; accepted results become prompt examples, which needs an
+// authenticated caller. Needs the scope named by kind when auth is configured, and takes a
+// rate-limit token like the model-backed functions.
+
+function schemaFor(kind, payload) {
+    if (kind === "triage") return { ok: true, schemaName: "ticket_triage", mode: null };
+    const resolved = resolveMode(payload.mode);
+    if (!resolved.ok) return resolved;
+    return { ok: true, schemaName: resolved.mode.schemaName, mode: resolved.mode.id };
+}
+
+export const handler = withCors(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    const requestId = getRequestId(event);
+    const body = parseJsonBody(event);
+    if (!body.ok) {
+        return jsonResponse(body.statusCode, { error: body.error, requestId });
+    }
+    const payload = body.value;
+
+    const { kind } = payload;
+    if (!FEEDBACK_KINDS.includes(kind)) {
+        return jsonResponse(400, { error: `kind must be one of: ${FEEDBACK_KINDS.join(", ")}.`, requestId });
+    }
+
+    const auth = authenticate(event.headers, kind);
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const input = readInput(payload, "input");
+    if (!input.ok) {
+        return jsonResponse(400, { error: input.error, requestId });
+    }
+
+    const target = schemaFor(kind, payload);
+    if (!target.ok) {
+        return jsonResponse(target.statusCode, { error: target.error, requestId });
+    }
+    const loaded = getSchema(target.schemaName);
+    if (!loaded.ok) {
+        return jsonResponse(500, { error: loaded.error, requestId });
+    }
+
+    const checked = checkFeedback(payload, loaded.schema);
+    if (!checked.ok) {
+        return jsonResponse(400, { error: checked.error, requestId });
+    }
+
+    const limit = await enforceLimits(event.headers, { principal: auth.principal });
+    if (!limit.ok) {
+        return jsonResponse(limit.statusCode, { error: limit.error, requestId }, limit.headers);
+    }
+
+    const redaction = loadRedaction();
+    if (!redaction.ok) {
+        return jsonResponse(500, { error: redaction.error, requestId });
+    }
+    const { redact } = createRedactor(redaction.config);
+
+    const record = toRecord({ kind, mode: target.mode, input: input.value, feedback: checked.value, user: auth.principal?.id }, redact);
+    const saved = await saveFeedback(record);
+    if (!saved.ok) {
+        return jsonResponse(500, { error: saved.error, requestId });
+    }
+    return jsonResponse(200, { id: record.id, accepted: record.accepted }, limit.headers);
+});
@@ -0,0 +1,194 @@
+import { streamStructured } from "../lib/structured.js";
+import { validateAgainstSchema } from "../lib/validate.js";
+import { recordUsage } from "../lib/ratelimit.js";
+import { DEBUG_ERRORS, corsHeaders, toHttpError } from "../lib/http.js";
+import { llmUsage, recordRequest } from "../lib/metrics.js";
+import { prepareStructuredRequest } from "../lib/pipeline.js";
+import { PLAN_SPEC } from "./generatePlan.js";
+
+// Streaming variant of generatePlan (Netlify Functions 2.0 format, Server-Sent Events).
+// Body: { input, mode?, language?, attachments?, promptVersion? }; everything up to the model call
+// is generatePlan's (see PLAN_SPEC and prepareStructuredRequest), refine rounds excepted.
+// Events: start { requestId, model, mode, promptVersion, redactions, language }, section { key, value }, retry { attempt },
+// done { plan, attempts, repaired }, error. Closing the connection aborts the upstream model call.
+// Shares generatePlan's cache: a hit replays the cached plan section by section (x-cache: HIT).
+// Requests are logged and counted like generatePlan's; a stream is recorded when it ends, with
+// the cause of an error event (or client_aborted) even though its HTTP status is 200.
+
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export default async (req) => {
+    const started = Date.now();
+    const obs = {};
+    const record = (status) =>
+        recordRequest({
+            function: "generatePlanStream",
+            request_id: req.headers.get("x-nf-request-id") || req.headers.get("x-request-id") || null,
+            method: req.method,
+            status,
+            latency_ms: Date.now() - started,
+            ...obs
+        });
+
+    const res = await streamPlan(req, obs, record);
+    if (req.method !== "OPTIONS" && !String(res.headers.get("content-type")).startsWith("text/event-stream")) {
+        await record(res.status);
+    }
+    return res;
+};
+
+async function streamPlan(req, obs, record) {
+    const headers = Object.fromEntries(req.headers);
+    const cors = corsHeaders(headers.origin);
+    const jsonResponse = (status, bodyObj, extraHeaders = {}) =>
+        new Response(JSON.stringify(bodyObj), {
+            status,
+            headers: { "content-type": "application/json; charset=utf-8", ...cors.headers, ...extraHeaders }
+        });
+
+    if (!cors.ok) {
+        return jsonResponse(403, { error: "Origin not allowed." });
+    }
+
+    if (req.method === "OPTIONS") {
+        return new Response(null, { status: 204, headers: cors.headers });
+    }
+
+    if (req.method !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    // The pipeline reads a classic event; attachments are prepared before the stream starts, so a
+    // bad file is a plain 400.
+    const event = {
+        httpMethod: "POST",
+        headers,
+        body: await req.text(),
+        queryStringParameters: Object.fromEntries(new URL(req.url).searchParams)
+    };
+    const prepared = await prepareStructuredRequest(PLAN_SPEC, event, obs, { signal: req.signal });
+    if (!prepared.ok) {
+        return jsonResponse(prepared.statusCode, prepared.body, prepared.headers);
+    }
+    const { ctx } = prepared;
+    const { provider, limit, prompt, prompts, redactor, schema, cache, cached, extraUsage, requestId, output } = ctx;
+    const language = ctx.headers["content-language"] || null;
+    obs.redactions = redactor.report();
+
+    const abort = new AbortController();
+    req.signal?.addEventListener("abort", () => abort.abort(), { once: true });
+    const encoder = new TextEncoder();
+
+    const body = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                if (!abort.signal.aborted) controller.enqueue(encoder.encode(formatEvent(event, data)));
+            };
+
+            const started = {
+                requestId,
+                model: provider.model,
+                mode: ctx.variant.id,
+                promptVersion: prompt.id,
+                redactions: redactor.report(),
+                language
+            };
+            if (cached) {
+                send("start", started);
+                for (const name of Object.keys(schema.properties)) {
+                    if (cached.value[name] !== undefined) send("section", { key: name, value: output(cached.value[name]) });
+                }
+                send("done", { plan: output(cached.value), attempts: 0, repaired: cached.repaired });
+                controller.close();
+                await recordUsage(limit.client, extraUsage.input_tokens + extraUsage.output_tokens);
+                Object.assign(obs, extraUsage, { validation: "cached" });
+                await record(200);
+                return;
+            }
+
+            let attempts = 0;
+            let outputText = "";
+            try {
+                send("start", started);
+                const events = streamStructured({
+                    provider,
+                    ...prompts,
+                    input: ctx.providerInput,
+                    images: ctx.images,
+                    schema,
+                    schemaName: ctx.schemaName,
+                    validate: (value) => validateAgainstSchema(value, schema),
+                    signal: abort.signal
+                });
+
+                for await (const ev of events) {
+                    if (ev.type === "done" || ev.type === "error") {
+                        attempts = ev.attempts;
+                        outputText = ev.type === "done" ? JSON.stringify(ev.value) : ev.text;
+                        Object.assign(obs, {
+                            validation: ev.type === "done" ? (ev.repaired ? "repaired" : "valid") : "invalid",
+                            validation_errors: ev.failures,
+                            ...(ev.type === "error" ? { cause: ev.cause } : {})
+                        });
+                    }
+                    if (ev.type === "done") await cache.set(ctx.cacheKey, { value: ev.value, repaired: ev.repaired });
+                    if (ev.type === "section") send("section", { key: ev.key, value: output(ev.value) });
+                    else if (ev.type === "retry") send("retry", { attempt: ev.attempt });
+                    else if (ev.type === "done") send("done", { plan: output(ev.value), attempts: ev.attempts, repaired: ev.repaired });
+                    else {
+                        send("error", {
+                            error: ev.error,
+                            requestId,
+                            attempts: ev.attempts,
+                            ...(DEBUG_ERRORS ? { details: ev.details, model_output: ev.text.slice(0, 2000) } : {})
+                        });
+                    }
+                }
+            } catch (err) {
+                if (abort.signal.aborted) {
+                    obs.cause = "client_aborted";
+                } else {
+                    const httpErr = toHttpError(err);
+                    Object.assign(obs, { cause: httpErr.cause, error: err?.message || String(err) });
+                    send("error", {
+                        error: httpErr.message,
+                        status: httpErr.statusCode,
+                        requestId,
+                        ...(DEBUG_ERRORS ? { details: err?.message || String(err) } : {})
+                    });
+                }
+            }
+
+            // A cancelled stream still used the tokens generated so far; charge at least one attempt.
+            // Attachment summaries were paid for before the stream started.
+            const usage = llmUsage({ ...prompts, output: outputText, attempts: Math.max(attempts, 1) });
+            const extra = extraUsage;
+            await recordUsage(limit.client, usage.input_tokens + usage.output_tokens + extra.input_tokens + extra.output_tokens);
+            if (!abort.signal.aborted) controller.close();
+            Object.assign(obs, {
+                input_tokens: usage.input_tokens + extra.input_tokens,
+                output_tokens: usage.output_tokens + extra.output_tokens,
+                cost_usd: usage.cost_usd + extra.cost_usd,
+                attempts: Math.max(attempts, 1) + extra.attempts
+            });
+            await record(200);
+        },
+        cancel() {
+            abort.abort();
+        }
+    });
+
+    return new Response(body, {
+        status: 200,
+        headers: {
+            "content-type": "text/event-stream; charset=utf-8",
+            "cache-control": "no-cache",
+            ...cors.headers,
+            ...limit.headers,
+            ...ctx.headers,
+            ...ctx.metaHeaders
+        }
+    });
+}
@@ -0,0 +1,39 @@
+import { handler as generatePlan } from "./generatePlan.js";
+import { handler as triage } from "./triage.js";
+import { handler as triageBatch } from "./triageBatch.js";
+import { deliverTriage } from "./triageWebhook.js";
+import { runJob, verifyWorkerCall } from "../lib/jobs.js";
+import { jsonResponse, parseJsonBody } from "../lib/http.js";
+import { log } from "../lib/logging.js";
+
+// The function each job kind runs (see lib/jobs.js).
+export const JOB_HANDLERS = { plan: generatePlan, triage, triageBatch, webhook: deliverTriage };
+
+// Background function: Netlify answers the caller with 202 straight away and lets this run for
+// up to 15 minutes. POST { id } runs that queued job; the jobs function calls it when
+// JOBS_WORKER=background, signed with JOBS_WORKER_SECRET; unsigned calls are refused. Jobs that
+// are already running or done are left alone.
+export const handler = async (event) => {
+    if (event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+    const verified = verifyWorkerCall(event.headers, rawBody);
+    if (!verified.ok) {
+        return jsonResponse(verified.statusCode, { error: verified.error });
+    }
+
+    const body = parseJsonBody(event);
+    const id = body.ok && typeof body.value.id === "string" ? body.value.id : "";
+    if (!id) {
+        return jsonResponse(400, { error: "Missing required field: id" });
+    }
+
+    const ran = await runJob(id, JOB_HANDLERS);
+    if (!ran.ok) {
+        log("error", "job worker failed", { job_id: id, error: ran.error });
+        return jsonResponse(500, { error: ran.error });
+    }
+    return jsonResponse(200, { id, status: ran.job.status });
+};
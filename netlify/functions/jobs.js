@@ -0,0 +1,93 @@
+import { JOB_HANDLERS } from "./jobWorker-background.js";
+import { getRequestId, jsonResponse, optionsResponse, parseJsonBody, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { clientHeaders, enforceLimits } from "../lib/ratelimit.js";
+import { MAX_BODY_BYTES_WITH_ATTACHMENTS } from "../lib/attachments.js";
+import { JOB_KINDS, createJob, dispatchJob, jobsEnabled, publicJob, readJob } from "../lib/jobs.js";
+
+// Job API for requests that may outlast a synchronous function (see lib/jobs.js).
+//   POST { kind: "plan" | "triage" | "triageBatch", body, fresh? }
+//                  queues `body` for that function (fresh skips the cache, like ?fresh=1) and returns 202 { id, kind, status }. Needs
+//                  the scope the function needs, and takes a rate-limit token like a direct call.
+//   GET /jobs/:id  (or ?id=) the job: { id, kind, status, progress, result, headers, error,
+//                  statusCode, ... }. Only its creator may read it.
+// Answers 503 when jobs are not enabled (JOBS_STORE=off, the default); callers then make the
+// request directly.
+
+function jobId(event) {
+    const match = /\/jobs\/([^/]+)\/?$/.exec(event.path || "");
+    return match ? decodeURIComponent(match[1]) : event.queryStringParameters?.id || "";
+}
+
+export const handler = withCors(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use GET or POST." });
+    }
+
+    const requestId = getRequestId(event);
+
+    if (!jobsEnabled()) {
+        return jsonResponse(503, { error: "Jobs are not enabled on this site.", requestId });
+    }
+
+    if (event.httpMethod === "GET") {
+        const id = jobId(event);
+        if (!id) {
+            return jsonResponse(400, { error: "Missing job id.", requestId });
+        }
+        const read = await readJob(id);
+        if (!read.ok) {
+            return jsonResponse(500, { error: read.error, requestId });
+        }
+        const auth = authenticate(event.headers, JOB_KINDS[read.job?.kind] || "plan");
+        if (!auth.ok) {
+            return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+        }
+        // Someone else's job, or one queued internally (webhook deliveries), is reported as
+        // missing, not forbidden.
+        if (!read.job || !Object.hasOwn(JOB_KINDS, read.job.kind) || (read.job.principal && read.job.principal.id !== auth.principal?.id)) {
+            return jsonResponse(404, { error: "Job not found. It may have expired.", requestId });
+        }
+        return jsonResponse(200, publicJob(read.job), { "cache-control": "no-store" });
+    }
+
+    const body = parseJsonBody(event, MAX_BODY_BYTES_WITH_ATTACHMENTS);
+    if (!body.ok) {
+        return jsonResponse(body.statusCode, { error: body.error, requestId });
+    }
+    const { kind, body: jobBody, fresh } = body.value;
+    if (!Object.hasOwn(JOB_KINDS, kind)) {
+        return jsonResponse(400, { error: `kind must be one of: ${Object.keys(JOB_KINDS).join(", ")}.`, requestId });
+    }
+    if (!jobBody || typeof jobBody !== "object" || Array.isArray(jobBody)) {
+        return jsonResponse(400, { error: "body must be the request body for the job's function.", requestId });
+    }
+
+    const auth = authenticate(event.headers, JOB_KINDS[kind]);
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const limit = await enforceLimits(event.headers, { principal: auth.principal });
+    if (!limit.ok) {
+        return jsonResponse(limit.statusCode, { error: limit.error, requestId }, limit.headers);
+    }
+
+    // The worker acts for the caller's principal; credentials themselves are not stored.
+    const { "x-api-key": _key, authorization: _authorization, ...client } = clientHeaders(event.headers);
+    const created = await createJob({ kind, body: jobBody, fresh, principal: auth.principal, client, requestId });
+    if (!created.ok) {
+        return jsonResponse(500, { error: created.error, requestId });
+    }
+    const { job } = created;
+
+    const dispatched = await dispatchJob(job, JOB_HANDLERS);
+    if (!dispatched.ok) {
+        return jsonResponse(500, { error: dispatched.error, id: job.id, requestId });
+    }
+    return jsonResponse(202, { id: job.id, kind, status: job.status }, { ...limit.headers, location: `/jobs/${job.id}` });
+});
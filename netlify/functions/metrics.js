@@ -0,0 +1,34 @@
+import { getRequestId, jsonResponse, optionsResponse, textResponse, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { readMetrics, renderPrometheus, summarizeMetrics } from "../lib/metrics.js";
+
+// GET /metrics (redirected here, see netlify.toml) returns Prometheus text format.
+// GET ?format=json returns the summary the admin view shows: requests, error rates by cause,
+// validation failures by rule, and estimated tokens and cost per function.
+// Needs credentials with the "admin" scope, even when AUTH_REQUIRED is off.
+
+export const handler = withCors(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "GET") {
+        return jsonResponse(405, { error: "Method not allowed. Use GET." });
+    }
+
+    const requestId = getRequestId(event);
+    const auth = authenticate(event.headers, "admin");
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const loaded = await readMetrics();
+    if (!loaded.ok) {
+        return jsonResponse(500, { error: loaded.error, requestId });
+    }
+
+    if (event.queryStringParameters?.format === "json") {
+        return jsonResponse(200, summarizeMetrics(loaded.snapshot), { "cache-control": "no-store" });
+    }
+    return textResponse(200, "text/plain; version=0.0.4; charset=utf-8", renderPrometheus(loaded.snapshot), { "cache-control": "no-store" });
+});
@@ -0,0 +1,29 @@
+import { getRequestId, jsonResponse, optionsResponse, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { describeMode, loadModes } from "../lib/modes.js";
+
+// GET returns { modes: [{ id, label, description, sections: [{ key, label, kind }] }] }, the
+// workflow plan first, for the mode picker and renderers in the app. Needs the "plan" scope
+// when auth is configured.
+
+export const handler = withCors(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "GET") {
+        return jsonResponse(405, { error: "Method not allowed. Use GET." });
+    }
+
+    const requestId = getRequestId(event);
+    const auth = authenticate(event.headers, "plan");
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const loaded = loadModes();
+    if (!loaded.ok) {
+        return jsonResponse(500, { error: loaded.error, requestId });
+    }
+    return jsonResponse(200, { modes: loaded.modes.map(describeMode) });
+});
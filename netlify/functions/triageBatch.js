@@ -0,0 +1,98 @@
+import { handler as triageHandler } from "./triage.js";
+import { parseTickets, runBatch, summarize, ticketMessage, toCsv, toJsonl } from "../lib/batch.js";
+import { getRequestId, jsonResponse, optionsResponse, parseJsonBody, textResponse, withCors } from "../lib/http.js";
+import { clientHeaders, enforceLimits } from "../lib/ratelimit.js";
+import { authenticate } from "../lib/auth.js";
+import { withMetrics } from "../lib/metrics.js";
+
+// POST { data: string, format?: "csv" | "jsonl", concurrency?: number, output?: "json" | "jsonl" | "csv" }
+// Triages every ticket in the export through the triage function and returns per-row results.
+// Large exports should go through scripts/triage-batch.js; this endpoint is bounded by the
+// synchronous function timeout unless it is run as a job (see jobs.js), which reports
+// { done, total } progress. The whole batch takes one rate-limit token; every ticket still
+// counts against the caller's daily quota.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_TICKETS = 200;
+const MAX_CONCURRENCY = 8;
+
+export const handler = withCors(withMetrics("triageBatch", async (event, obs) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    const requestId = getRequestId(event);
+    // Jobs run the batch in-process for the principal that queued it (see lib/jobs.js).
+    const auth = event.internal && event.principal ? { ok: true, principal: event.principal } : authenticate(event.headers, "triage");
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const body = parseJsonBody(event, MAX_BODY_BYTES);
+    if (!body.ok) {
+        return jsonResponse(body.statusCode, { error: body.error, requestId });
+    }
+    const payload = body.value;
+
+    const data = typeof payload.data === "string" ? payload.data : "";
+    if (!data.trim()) {
+        return jsonResponse(400, { error: "Missing required field: data", requestId });
+    }
+
+    const output = payload.output || "json";
+    if (!["json", "jsonl", "csv"].includes(output)) {
+        return jsonResponse(400, { error: "output must be one of: json, jsonl, csv.", requestId });
+    }
+
+    const parsed = parseTickets(data, payload.format || undefined);
+    if (!parsed.ok) {
+        return jsonResponse(400, { error: parsed.error, requestId });
+    }
+    if (!parsed.tickets.length) {
+        return jsonResponse(400, { error: "No tickets found in data.", requestId });
+    }
+    if (parsed.tickets.length > MAX_TICKETS) {
+        return jsonResponse(400, {
+            error: `Too many tickets (${parsed.tickets.length}). Send at most ${MAX_TICKETS} per request or use scripts/triage-batch.js.`,
+            requestId
+        });
+    }
+
+    const limit = await enforceLimits(event.headers, { principal: auth.principal, bucket: !event.internal });
+    if (!limit.ok) {
+        return jsonResponse(limit.statusCode, { error: limit.error, requestId }, limit.headers);
+    }
+
+    const concurrency = Math.min(Number(payload.concurrency) || 4, MAX_CONCURRENCY);
+    let done = 0;
+    const results = await runBatch(
+        parsed.tickets,
+        (ticket) =>
+            triageHandler({
+                httpMethod: "POST",
+                internal: true,
+                principal: auth.principal,
+                headers: {
+                    ...clientHeaders(event.headers),
+                    ...(requestId ? { "x-request-id": `${requestId}:${ticket.row}` } : {})
+                },
+                body: JSON.stringify({ userMessage: ticketMessage(ticket) })
+            }),
+        {
+            concurrency,
+            maxRetries: 2,
+            baseDelayMs: 500,
+            onResult: () => event.onProgress?.({ done: ++done, total: parsed.tickets.length })
+        }
+    );
+    const { total, failed } = summarize(results);
+    Object.assign(obs, { tickets: total, failed_tickets: failed });
+
+    if (output === "jsonl") return textResponse(200, "application/x-ndjson; charset=utf-8", toJsonl(results), limit.headers);
+    if (output === "csv") return textResponse(200, "text/csv; charset=utf-8", toCsv(results), limit.headers);
+    return jsonResponse(200, { ...summarize(results), requestId, results }, limit.headers);
+}));
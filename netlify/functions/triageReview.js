@@ -0,0 +1,108 @@
+import { getRequestId, jsonResponse, optionsResponse, parseJsonBody, textResponse, withCors } from "../lib/http.js";
+import { authenticate } from "../lib/auth.js";
+import { loadRouting } from "../lib/routing.js";
+import { getSchema } from "../lib/schemas.js";
+import { createRedactor, loadRedaction } from "../lib/redact.js";
+import { REVIEW_FIELDS, checkReview, readExamples, reviewOptions, saveExample, toExample } from "../lib/labels.js";
+import { checkFeedback, saveFeedback, toRecord } from "../lib/feedback.js";
+import { indexTicket, toIndexEntry } from "../lib/ticketIndex.js";
+
+// Reviewer side of triage (see lib/labels.js). Needs the "triage" scope when auth is configured.
+//   GET                 { fields: { priority: [{ id, label, description? }], ... } } for the review form
+//   GET ?format=jsonl   the labelled examples (tickets redacted), one per line, for
+//                       node scripts/eval-prompts.js --family triage --golden <file>
+//   POST { ticket, decision, final }
+//                       returns { id, overridden, recorded }; a review with overrides is saved
+//                       as a labelled example, a plain accept is not. Either way the reviewed
+//                       decision becomes accepted feedback (lib/feedback.js), so later tickets
+//                       like it are triaged the way the reviewers settled on, and replaces the
+//                       model's decision in the similar-ticket index (lib/ticketIndex.js).
+
+export const handler = withCors(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use GET or POST." });
+    }
+
+    const requestId = getRequestId(event);
+    const auth = authenticate(event.headers, "triage");
+    if (!auth.ok) {
+        return jsonResponse(auth.statusCode, { error: auth.error, requestId }, auth.headers);
+    }
+
+    const loaded = loadRouting();
+    if (!loaded.ok) {
+        return jsonResponse(500, { error: loaded.error, requestId });
+    }
+
+    const redaction = loadRedaction();
+    if (!redaction.ok) {
+        return jsonResponse(500, { error: redaction.error, requestId });
+    }
+    const { redact } = createRedactor(redaction.config);
+
+    if (event.httpMethod === "GET") {
+        if (event.queryStringParameters?.format !== "jsonl") {
+            return jsonResponse(200, { fields: reviewOptions(loaded.routing) });
+        }
+        const read = await readExamples();
+        if (!read.ok) {
+            return jsonResponse(500, { error: read.error, requestId });
+        }
+        // Examples saved before tickets were redacted on the way in are redacted on the way out.
+        const lines = read.examples.map((e) => JSON.stringify({ ...e, input: redact(e.input) }) + "\n").join("");
+        return textResponse(200, "application/x-ndjson; charset=utf-8", lines, { "cache-control": "no-store" });
+    }
+
+    const body = parseJsonBody(event);
+    if (!body.ok) {
+        return jsonResponse(body.statusCode, { error: body.error, requestId });
+    }
+
+    const checked = checkReview(body.value, loaded.routing);
+    if (!checked.ok) {
+        return jsonResponse(400, { error: checked.error, requestId });
+    }
+
+    const { review } = checked;
+    const example = toExample(review, auth.principal?.id, redact);
+    if (review.overridden.length) {
+        const saved = await saveExample(example);
+        if (!saved.ok) {
+            return jsonResponse(500, { error: saved.error, requestId });
+        }
+    }
+
+    const feedback = await saveReviewFeedback(review, auth.principal?.id, redact);
+    if (!feedback.ok) {
+        return jsonResponse(500, { error: feedback.error, requestId });
+    }
+
+    const decision = { ...review.decision, ...review.final, summary: redact(review.decision.summary) };
+    const indexed = await indexTicket(toIndexEntry({ ticket: redact(review.ticket), decision, reviewed: true }));
+    if (!indexed.ok) {
+        return jsonResponse(500, { error: indexed.error, requestId });
+    }
+    return jsonResponse(200, { id: example.id, overridden: review.overridden, recorded: review.overridden.length > 0 });
+});
+
+// The reviewed decision as feedback: overridden fields count as edits, the rest as thumbs up.
+// A decision that does not fit the triage schema (not one the triage function returned) is
+// left out of the examples.
+async function saveReviewFeedback(review, user, redact) {
+    const loaded = getSchema("ticket_triage");
+    if (!loaded.ok) return loaded;
+    const checked = checkFeedback(
+        {
+            output: { ...review.decision, ...review.final },
+            ratings: Object.fromEntries(REVIEW_FIELDS.map((f) => [f, "up"])),
+            edited: review.overridden
+        },
+        loaded.schema
+    );
+    if (!checked.ok) return { ok: true };
+    return saveFeedback(toRecord({ kind: "triage", input: review.ticket, feedback: checked.value, user }, redact));
+}
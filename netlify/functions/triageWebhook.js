@@ -0,0 +1,132 @@
+import { handler as triageHandler } from "./triage.js";
+import { getRequestId, jsonResponse, optionsResponse, safeJsonParse, withCors } from "../lib/http.js";
+import { enforceLimits } from "../lib/ratelimit.js";
+import { withMetrics } from "../lib/metrics.js";
+import { ticketMessage } from "../lib/batch.js";
+import { createJob, dispatchJob, jobsEnabled } from "../lib/jobs.js";
+import { log } from "../lib/logging.js";
+import {
+    callbackPayload,
+    claimDelivery,
+    deliveryId,
+    detectSource,
+    loadWebhookConfig,
+    normalizeWebhook,
+    releaseDelivery,
+    sendCallback,
+    verifySignature
+} from "../lib/webhooks.js";
+
+// POST from an issue tracker (see lib/webhooks.js for the sources and settings). The payload's
+// signature replaces API credentials. New tickets are queued as a webhook job and acknowledged
+// with 202 { ticket, job } straight away, as trackers give up on slow webhooks; the job runs the
+// triage function and, when WEBHOOK_CALLBACK_URL is set, POSTs the result there as a
+// comment/labels payload. Needs jobs (JOBS_STORE; 503 without). A delivery id seen before gets
+// { duplicate } and events that are not new tickets get { skipped }, both with 200.
+// ?source=github|jira|generic names the sender when it cannot be detected.
+
+const MAX_BODY_BYTES = 512 * 1024;
+
+export const handler = withCors(withMetrics("triageWebhook", async (event, obs) => {
+    if (event.httpMethod === "OPTIONS") {
+        return optionsResponse();
+    }
+
+    if (event.httpMethod !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed. Use POST." });
+    }
+
+    const requestId = getRequestId(event);
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+    if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_BYTES) {
+        return jsonResponse(413, { error: "Request body too large.", requestId });
+    }
+    const parsed = safeJsonParse(rawBody || "{}");
+    if (!parsed.ok) {
+        return jsonResponse(400, { error: "Invalid JSON body.", requestId });
+    }
+    const payload = parsed.value;
+
+    const source = detectSource(event.headers, payload, event.queryStringParameters?.source);
+    if (!source) {
+        return jsonResponse(400, { error: "source must be one of: github, jira, generic.", requestId });
+    }
+    obs.source = source;
+
+    const config = loadWebhookConfig();
+    const verified = verifySignature(source, event.headers, rawBody, config);
+    if (!verified.ok) {
+        return jsonResponse(verified.statusCode, { error: verified.error, requestId });
+    }
+
+    const normalized = normalizeWebhook(source, event.headers, payload);
+    if (!normalized.ok) {
+        return jsonResponse(400, { error: normalized.error, requestId });
+    }
+    if (normalized.skip) {
+        return jsonResponse(200, { skipped: normalized.skip, requestId });
+    }
+    const { ticket } = normalized;
+
+    const delivery = deliveryId(source, event.headers);
+    if (delivery) {
+        const claimed = await claimDelivery(source, delivery);
+        if (!claimed.ok) {
+            return jsonResponse(500, { error: claimed.error, requestId });
+        }
+        if (claimed.duplicate) {
+            obs.duplicate = true;
+            return jsonResponse(200, { duplicate: delivery, requestId });
+        }
+    }
+    // The delivery may be redelivered when it was not queued.
+    const refuse = async (statusCode, body, headers) => {
+        if (delivery) await releaseDelivery(source, delivery);
+        return jsonResponse(statusCode, { ...body, requestId }, headers);
+    };
+
+    if (!jobsEnabled()) {
+        return refuse(503, { error: "Webhooks need jobs. Set JOBS_STORE (see .env.example)." });
+    }
+
+    const principal = { id: `webhook:${source}`, kind: "webhook", scopes: ["triage"] };
+    const limit = await enforceLimits(event.headers, { principal });
+    if (!limit.ok) {
+        return refuse(limit.statusCode, { error: limit.error }, limit.headers);
+    }
+
+    const created = await createJob({ kind: "webhook", body: { ticket, requestId }, principal, requestId });
+    if (!created.ok) {
+        return refuse(500, { error: created.error });
+    }
+    const dispatched = await dispatchJob(created.job, { webhook: deliverTriage });
+    if (!dispatched.ok) {
+        return refuse(500, { error: dispatched.error });
+    }
+    return jsonResponse(202, { ticket, job: created.job.id, requestId }, limit.headers);
+}));
+
+// Job handler for a queued webhook ({ ticket, requestId }): triages the ticket for the job's
+// principal and sends the callback. Answers { ticket, triage, callback }, which the job keeps.
+export async function deliverTriage(event) {
+    const { ticket, requestId } = safeJsonParse(event.body).value || {};
+    const res = await triageHandler({
+        httpMethod: "POST",
+        internal: true,
+        principal: event.principal,
+        headers: event.headers,
+        body: JSON.stringify({ userMessage: ticketMessage(ticket) })
+    });
+    const triage = safeJsonParse(res.body).value || {};
+    if (res.statusCode !== 200) {
+        log("warn", "webhook triage failed", { request_id: requestId, ticket: ticket.id, status: res.statusCode });
+        return jsonResponse(res.statusCode, { error: triage.error || `Triage failed (${res.statusCode})`, ticket, requestId });
+    }
+
+    const config = loadWebhookConfig();
+    const callback = config.callbackUrl ? await sendCallback(callbackPayload(ticket, triage, requestId), config) : null;
+    if (callback && !callback.delivered) {
+        log("warn", "webhook callback failed", { request_id: requestId, ticket: ticket.id, error: callback.error, dead_lettered: callback.dead_lettered });
+    }
+    return jsonResponse(200, { ticket, triage, callback, requestId });
+}
@@ -0,0 +1,287 @@
+import { generateStructured } from "./structured.js";
+import { getSchema } from "./schemas.js";
+import { validateAgainstSchema } from "./validate.js";
+import { renderTemplate } from "./template.js";
+import { selectPrompt } from "./prompts.js";
+import { cacheKey, versionOf } from "./cache.js";
+import { llmUsage } from "./metrics.js";
+import { extractPdfText } from "./pdf.js";
+import {
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_BYTES,
+    MAX_TOTAL_ATTACHMENT_BYTES,
+    attachmentKind,
+    formatBytes
+} from "../../shared/attachments.js";
+
+// Files attached to a plan request, as { name, type, data } with base64 data (a data: URL is
+// accepted too). Text, logs, Markdown, CSV and JSON are decoded; PDFs go through pdf.js; images
+// are passed to the model as image input and need a vision-capable model (provider.vision).
+//
+// Extracted text is redacted, then added to the prompt. When it does not fit the context budget
+// (ATTACHMENT_CONTEXT_CHARS, shared by all files), an oversized file is split into chunks that
+// are summarised by the model one by one (prompt family "attachment"), and the summaries are used
+// instead. Summaries are cached like plans, so a refine round does not pay for them again.
+// At most SUMMARY_CONCURRENCY chunks are summarised at a time, and each summarised file is
+// charged to the caller's rate limit (the `charge` option) before its model calls are made.
+
+// Netlify caps synchronous function payloads at 6 MB; base64 adds a third to the file sizes.
+export const MAX_BODY_BYTES_WITH_ATTACHMENTS = 6 * 1024 * 1024;
+
+const DEFAULT_CONTEXT_CHARS = 12000;
+const CHUNK_CHARS = 6000;
+const MAX_SUMMARY_CHUNKS = 8;
+const SUMMARY_CONCURRENCY = 3;
+const MAX_NAME_CHARS = 120;
+
+// Magic numbers, so a renamed file cannot pass as an image or PDF.
+const SIGNATURES = [
+    ["image/png", (b) => b.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))],
+    ["image/jpeg", (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))],
+    ["image/gif", (b) => b.subarray(0, 4).toString("latin1") === "GIF8"],
+    ["image/webp", (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP"],
+    ["application/pdf", (b) => b.subarray(0, 5).toString("latin1") === "%PDF-"]
+];
+
+function contextChars(env) {
+    const n = Number.parseInt(env.ATTACHMENT_CONTEXT_CHARS, 10);
+    return Number.isFinite(n) && n >= 1000 ? n : DEFAULT_CONTEXT_CHARS;
+}
+
+function sniff(bytes) {
+    return SIGNATURES.find(([, matches]) => matches(bytes))?.[0] || null;
+}
+
+function decodeBase64(data) {
+    const base64 = String(data).replace(/^data:[^,]*;base64,/, "").replace(/\s+/g, "");
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) return null;
+    return Buffer.from(base64, "base64");
+}
+
+// Returns { ok: true, files: [{ name, kind, type, bytes }] } or { ok: false, error }.
+export function parseAttachments(raw) {
+    if (raw === undefined || raw === null) return { ok: true, files: [] };
+    if (!Array.isArray(raw)) return { ok: false, error: "attachments must be an array of { name, type, data }." };
+    if (raw.length > MAX_ATTACHMENTS) return { ok: false, error: `Attach at most ${MAX_ATTACHMENTS} files.` };
+
+    const files = [];
+    let total = 0;
+    for (const item of raw) {
+        const name = typeof item?.name === "string" ? item.name.split(/[\\/]/).pop().trim().slice(0, MAX_NAME_CHARS) : "";
+        if (!name || typeof item.data !== "string") return { ok: false, error: "Each attachment needs a name and base64 data." };
+
+        const bytes = decodeBase64(item.data);
+        if (!bytes) return { ok: false, error: `${name} is not valid base64.` };
+        if (bytes.length > MAX_ATTACHMENT_BYTES) {
+            return { ok: false, error: `${name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.` };
+        }
+        total += bytes.length;
+        if (total > MAX_TOTAL_ATTACHMENT_BYTES) {
+            return { ok: false, error: `Attachments add up to more than ${formatBytes(MAX_TOTAL_ATTACHMENT_BYTES)}.` };
+        }
+
+        const kind = attachmentKind(name, item.type);
+        const sniffed = sniff(bytes);
+        if (kind === "image" && !sniffed?.startsWith("image/")) {
+            return { ok: false, error: `${name} is not a PNG, JPEG, GIF or WebP image.` };
+        }
+        if (kind === "pdf" && sniffed !== "application/pdf") return { ok: false, error: `${name} is not a PDF.` };
+        if (kind === "text" && bytes.includes(0)) return { ok: false, error: `${name} looks like a binary file, not text.` };
+        if (!kind) {
+            return {
+                ok: false,
+                error: `${name}: unsupported file type. Attach text, logs, Markdown, CSV, JSON, PDF or PNG/JPEG/GIF/WebP images.`
+            };
+        }
+        files.push({ name, kind, type: kind === "text" ? "text/plain" : sniffed, bytes });
+    }
+    return { ok: true, files };
+}
+
+// Log dumps repeat themselves; runs of identical lines become one line and a count.
+export function collapseRepeats(text) {
+    const lines = text.split("\n");
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        let j = i;
+        while (j + 1 < lines.length && lines[j + 1] === lines[i]) j++;
+        out.push(j > i ? `${lines[i]}  [repeated ${j - i + 1} times]` : lines[i]);
+        i = j;
+    }
+    return out.join("\n");
+}
+
+// Returns { ok: true, text } or { ok: false, error }.
+export function extractText(file) {
+    if (file.kind === "pdf") {
+        const text = extractPdfText(file.bytes);
+        if (!text) {
+            return { ok: false, error: `No text could be read from ${file.name}. If it is a scan, attach it as an image instead.` };
+        }
+        return { ok: true, text };
+    }
+    const text = new TextDecoder("utf-8").decode(file.bytes).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    return { ok: true, text: collapseRepeats(text).trim() };
+}
+
+// Splits on line boundaries where possible so chunks do not cut log lines in half.
+export function chunkText(text, size = CHUNK_CHARS) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > size) {
+        const cut = rest.lastIndexOf("\n", size);
+        const end = cut > size / 2 ? cut : size;
+        chunks.push(rest.slice(0, end));
+        rest = rest.slice(end).replace(/^\n/, "");
+    }
+    if (rest.trim()) chunks.push(rest);
+    return chunks;
+}
+
+// The beginning and end of a long file usually matter most (setup, then the failure).
+function pickChunks(chunks) {
+    if (chunks.length <= MAX_SUMMARY_CHUNKS) return { picked: chunks.map((text, i) => ({ text, part: i + 1 })), skipped: 0 };
+    const head = Math.ceil(MAX_SUMMARY_CHUNKS / 2);
+    const tail = MAX_SUMMARY_CHUNKS - head;
+    const picked = [
+        ...chunks.slice(0, head).map((text, i) => ({ text, part: i + 1 })),
+        ...chunks.slice(-tail).map((text, i) => ({ text, part: chunks.length - tail + i + 1 }))
+    ];
+    return { picked, skipped: chunks.length - picked.length };
+}
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight.
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const idx = next++;
+            results[idx] = await fn(items[idx]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function clip(text, max) {
+    return text.length > max ? `${text.slice(0, max)}\n[truncated]` : text;
+}
+
+function createSummarizer({ provider, seed, cache, signal, usage }) {
+    const prompt = selectPrompt("attachment", { seed });
+    if (!prompt.ok) return prompt;
+    const loaded = getSchema("attachment_summary");
+    if (!loaded.ok) return { ok: false, statusCode: 500, error: loaded.error };
+    const { schema } = loaded;
+
+    async function summarize(chunk, vars) {
+        const system = renderTemplate(prompt.templates.system, vars);
+        const user = renderTemplate(prompt.templates.user, { ...vars, chunk });
+        const key = cacheKey({
+            input: user,
+            model: `${provider.name}:${provider.model}`,
+            promptVersion: `${prompt.id}:${versionOf(system)}`,
+            schemaVersion: versionOf(JSON.stringify(schema))
+        });
+        const cached = cache.enabled ? await cache.get(key) : undefined;
+        if (cached) return cached.value.summary;
+
+        const result = await generateStructured({
+            provider,
+            system,
+            user,
+            input: chunk,
+            schema,
+            schemaName: "attachment_summary",
+            validate: (value) => validateAgainstSchema(value, schema),
+            signal
+        });
+        const spent = llmUsage({ system, user, output: result.ok ? JSON.stringify(result.value) : result.text, attempts: result.attempts });
+        usage.attempts += result.attempts;
+        usage.input_tokens += spent.input_tokens;
+        usage.output_tokens += spent.output_tokens;
+        usage.cost_usd += spent.cost_usd;
+        if (!result.ok) return `${clip(chunk, 1500)}\n[summary failed; excerpt shown]`;
+        await cache.set(key, { value: result.value, repaired: result.repaired });
+        return result.value.summary;
+    }
+
+    return { ok: true, summarize };
+}
+
+// Turns request attachments into prompt text and image inputs.
+// Returns { ok: true, text, images, report, usage } or { ok: false, statusCode, error, headers, usage }.
+// `text` is empty or starts with a blank line, so templates can put {{attachments}} right after
+// {{input}}. `report` lists what was done with each file, for logs and the response.
+// `charge()` resolves like enforceLimits (see ratelimit.js); a refusal is returned as is.
+// Provider errors while summarising are thrown, like generateStructured's.
+export async function prepareAttachments(raw, { provider, redactor, seed, cache, signal, charge = async () => ({ ok: true }), env = process.env }) {
+    const usage = { attempts: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    const parsed = parseAttachments(raw);
+    if (!parsed.ok) return { ok: false, statusCode: 400, error: parsed.error };
+    if (!parsed.files.length) return { ok: true, text: "", images: [], report: [], usage };
+
+    const images = parsed.files.filter((f) => f.kind === "image");
+    if (images.length && !provider.vision) {
+        return {
+            ok: false,
+            statusCode: 400,
+            error: `The configured model (${provider.model}) does not accept images. Remove ${images[0].name}, or set LLM_VISION=true if the model supports image input.`
+        };
+    }
+
+    const texts = [];
+    for (const file of parsed.files.filter((f) => f.kind !== "image")) {
+        const extracted = extractText(file);
+        if (!extracted.ok) return { ok: false, statusCode: 400, error: extracted.error };
+        texts.push({ file, text: redactor.redact(extracted.text) });
+    }
+
+    const budget = contextChars(env);
+    const total = texts.reduce((sum, t) => sum + t.text.length, 0);
+    const share = Math.floor(budget / Math.max(texts.length, 1));
+    let summarizer = null;
+    const report = [];
+    const sections = [];
+
+    for (const { file, text } of texts) {
+        if (total <= budget || text.length <= share) {
+            sections.push(`--- ${file.name} (${file.kind}) ---\n${text}`);
+            report.push({ name: file.name, kind: file.kind, chars: text.length, summarized: false });
+            continue;
+        }
+
+        summarizer ||= createSummarizer({ provider, seed, cache, signal, usage });
+        if (!summarizer.ok) return summarizer;
+        const charged = await charge();
+        if (!charged.ok) return { ok: false, statusCode: charged.statusCode, error: charged.error, headers: charged.headers, usage };
+        const chunks = chunkText(text);
+        const { picked, skipped } = pickChunks(chunks);
+        const summaries = await mapLimit(picked, SUMMARY_CONCURRENCY, async ({ text: chunk, part }) => {
+            const summary = await summarizer.summarize(chunk, { name: file.name, part, parts: chunks.length });
+            return `[part ${part}/${chunks.length}] ${summary}`;
+        });
+        if (skipped) summaries.splice(Math.ceil(MAX_SUMMARY_CHUNKS / 2), 0, `[${skipped} parts in the middle were skipped]`);
+        sections.push(`--- ${file.name} (${file.kind}, summarised from ${text.length} characters) ---\n${clip(summaries.join("\n"), share)}`);
+        report.push({ name: file.name, kind: file.kind, chars: text.length, summarized: true, parts: chunks.length, skipped });
+    }
+
+    for (const image of images) {
+        sections.push(`--- ${image.name} (image, attached below) ---`);
+        report.push({ name: image.name, kind: "image", bytes: image.bytes.length });
+    }
+
+    return {
+        ok: true,
+        text: `\n\nAttached files:\n\n${sections.join("\n\n")}`,
+        images: images.map((image) => ({ name: image.name, type: image.type, data: image.bytes.toString("base64") })),
+        report,
+        usage
+    };
+}
+
+// Stable identity for image inputs in cache keys.
+export function imagesVersion(images) {
+    return images.map((image) => versionOf(image.data)).join(",");
+}
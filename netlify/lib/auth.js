@@ -0,0 +1,192 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { getHeader } from "./http.js";
+
+// Optional caller authentication. Credentials are sent as x-api-key or Authorization: Bearer.
+//
+//   API_KEYS       comma-separated keys, each optionally limited to scopes: "k1,k2:triage,k3:plan|triage".
+//                  A key without scopes gets plan and triage; admin must be listed.
+//   JWT_SECRET     accepts HS256/384/512 tokens signed with this secret.
+//   JWT_JWKS_FILE  accepts RS/PS/ES tokens signed by a key in this JWKS file (matched on kid).
+//   JWT_ISSUER, JWT_AUDIENCE  optional iss / aud checks.
+//   AUTH_REQUIRED  true rejects anonymous callers. Otherwise credentials are optional and
+//                  invalid ones are treated as anonymous, so a scoped key limits what that key
+//                  can do but not what an anonymous caller can.
+//
+// Scopes are "plan", "triage" and "admin" (metrics). "admin" always needs valid credentials,
+// whatever AUTH_REQUIRED says. Token scopes come from the `scope` claim (space-separated)
+// or a `scopes` array; a token without either gets plan and triage, like an unscoped key.
+
+const DEFAULT_SCOPES = ["plan", "triage"];
+const CLOCK_SKEW_SECONDS = 60;
+const jwksCache = new Map();
+
+export function parseApiKeys(value) {
+    const keys = new Map();
+    for (const entry of String(value || "").split(",")) {
+        const [key, scopes] = entry.trim().split(":");
+        if (!key) continue;
+        keys.set(key, scopes ? scopes.split("|").map((s) => s.trim()).filter(Boolean) : DEFAULT_SCOPES);
+    }
+    return keys;
+}
+
+export function presentedCredential(headers) {
+    const apiKey = getHeader(headers, "x-api-key");
+    if (apiKey) return String(apiKey).trim();
+    const auth = String(getHeader(headers, "authorization") || "");
+    return auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "";
+}
+
+function loadJwks(file) {
+    const resolved = path.resolve(process.cwd(), file);
+    if (!jwksCache.has(resolved)) {
+        try {
+            const keys = JSON.parse(fs.readFileSync(resolved, "utf8"))?.keys;
+            if (!Array.isArray(keys)) throw new Error("keys must be an array");
+            jwksCache.set(resolved, { ok: true, keys });
+        } catch (e) {
+            jwksCache.set(resolved, { ok: false, error: `Could not load JWKS file: ${e.message}` });
+        }
+    }
+    return jwksCache.get(resolved);
+}
+
+export function loadAuth(env = process.env) {
+    const jwks = env.JWT_JWKS_FILE ? loadJwks(env.JWT_JWKS_FILE) : { ok: true, keys: [] };
+    if (!jwks.ok) return jwks;
+    return {
+        ok: true,
+        config: {
+            required: String(env.AUTH_REQUIRED || "").toLowerCase() === "true",
+            // Keys are compared by digest, in constant time (see identify).
+            apiKeys: [...parseApiKeys(env.API_KEYS)].map(([key, scopes]) => ({ digest: digest(key), scopes })),
+            jwtSecret: env.JWT_SECRET || "",
+            jwks: jwks.keys,
+            issuer: env.JWT_ISSUER || "",
+            audience: env.JWT_AUDIENCE || ""
+        }
+    };
+}
+
+function digest(value) {
+    return crypto.createHash("sha256").update(value).digest();
+}
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function verifySignature(alg, data, signature, config, kid) {
+    const bits = alg.slice(2);
+    if (!["256", "384", "512"].includes(bits)) return `Unsupported algorithm ${alg}.`;
+    const hash = `sha${bits}`;
+
+    if (alg.startsWith("HS")) {
+        if (!config.jwtSecret) return "HMAC-signed tokens are not accepted.";
+        const expected = crypto.createHmac(hash, config.jwtSecret).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature) ? null : "Bad signature.";
+    }
+
+    if (!["RS", "PS", "ES"].includes(alg.slice(0, 2))) return `Unsupported algorithm ${alg}.`;
+    const candidates = config.jwks.filter((k) => (kid ? k.kid === kid : true));
+    const jwk = kid || candidates.length === 1 ? candidates[0] : null;
+    if (!jwk) return "No matching signing key.";
+
+    const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    const options = alg.startsWith("PS")
+        ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+        : alg.startsWith("ES")
+            ? { key, dsaEncoding: "ieee-p1363" }
+            : key;
+    return crypto.verify(hash, Buffer.from(data), options, signature) ? null : "Bad signature.";
+}
+
+// Returns { ok: true, claims } or { ok: false, error }.
+export function verifyJwt(token, config, now = Date.now()) {
+    const parts = token.split(".");
+    if (parts.length !== 3) return { ok: false, error: "Malformed token." };
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch {
+        return { ok: false, error: "Malformed token." };
+    }
+    if (!claims || typeof claims !== "object") return { ok: false, error: "Malformed token." };
+
+    let signatureError;
+    try {
+        signatureError = verifySignature(String(header?.alg || ""), `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], "base64url"), config, header?.kid);
+    } catch (e) {
+        signatureError = `Signature check failed: ${e.message}`;
+    }
+    if (signatureError) return { ok: false, error: signatureError };
+
+    const nowSeconds = Math.floor(now / 1000);
+    if (typeof claims.exp === "number" && nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) return { ok: false, error: "Token expired." };
+    if (typeof claims.nbf === "number" && nowSeconds + CLOCK_SKEW_SECONDS < claims.nbf) return { ok: false, error: "Token not yet valid." };
+    if (config.issuer && claims.iss !== config.issuer) return { ok: false, error: "Wrong token issuer." };
+    if (config.audience) {
+        const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!aud.includes(config.audience)) return { ok: false, error: "Wrong token audience." };
+    }
+    return { ok: true, claims };
+}
+
+function tokenScopes(claims) {
+    if (Array.isArray(claims.scopes)) return claims.scopes.map(String);
+    if (typeof claims.scope === "string") return claims.scope.split(/\s+/).filter(Boolean);
+    return DEFAULT_SCOPES;
+}
+
+function identify(credential, config) {
+    const presented = digest(credential);
+    const key = config.apiKeys.find((k) => crypto.timingSafeEqual(k.digest, presented));
+    if (key) {
+        return { ok: true, principal: { id: `key:${hashKey(credential)}`, kind: "key", scopes: key.scopes } };
+    }
+    if (credential.split(".").length === 3 && (config.jwtSecret || config.jwks.length)) {
+        const verified = verifyJwt(credential, config);
+        if (!verified.ok) return { ok: false, error: `Invalid token: ${verified.error}` };
+        const subject = verified.claims.sub ? String(verified.claims.sub) : hashKey(credential);
+        return { ok: true, principal: { id: `user:${subject}`, kind: "jwt", scopes: tokenScopes(verified.claims) } };
+    }
+    return { ok: false, error: "Invalid API key." };
+}
+
+// Checks the caller against `scope`. Returns { ok: true, principal } (principal is null for
+// anonymous callers when auth is optional) or { ok: false, statusCode, error, headers }.
+export function authenticate(headers, scope, env = process.env) {
+    const loaded = loadAuth(env);
+    if (!loaded.ok) return { ok: false, statusCode: 500, error: loaded.error, headers: {} };
+    const { config } = loaded;
+    const challenge = { "www-authenticate": "Bearer" };
+
+    const required = config.required || scope === "admin";
+
+    const credential = presentedCredential(headers);
+    if (!credential) {
+        return required
+            ? { ok: false, statusCode: 401, error: "Authentication required.", headers: challenge }
+            : { ok: true, principal: null };
+    }
+
+    const identified = identify(credential, config);
+    if (!identified.ok) {
+        return required ? { ok: false, statusCode: 401, error: identified.error, headers: challenge } : { ok: true, principal: null };
+    }
+
+    const { principal } = identified;
+    if (!principal.scopes.includes(scope)) {
+        return { ok: false, statusCode: 403, error: `These credentials are not allowed to use ${scope}.`, headers: {} };
+    }
+    return { ok: true, principal };
+}
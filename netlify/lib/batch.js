@@ -0,0 +1,255 @@
+// Batch triage helpers shared by the triageBatch function and scripts/triage-batch.js:
+// parse CSV/JSONL ticket exports, run triage with bounded concurrency and 429 backoff,
+// and serialise the per-row results. A failing row never aborts the rest of the run.
+
+const ID_COLUMNS = ["id", "key", "issue key", "issue_key", "issue id", "number", "ticket id"];
+const TITLE_COLUMNS = ["title", "summary", "subject", "name"];
+const DESCRIPTION_COLUMNS = ["description", "body", "details", "text", "message"];
+
+export function detectFormat(text) {
+    const first = String(text || "").trimStart()[0];
+    return first === "{" ? "jsonl" : "csv";
+}
+
+export function parseTickets(text, format = detectFormat(text)) {
+    if (format === "jsonl") return parseJsonlTickets(text);
+    if (format === "csv") return parseCsvTickets(text);
+    return { ok: false, error: `Unsupported format: ${format}. Use csv or jsonl.` };
+}
+
+function parseJsonlTickets(text) {
+    const tickets = [];
+    const lines = String(text || "").split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            tickets.push({ row: i + 1, error: "Invalid JSON line." });
+            continue;
+        }
+        tickets.push(toTicket(record, i + 1));
+    }
+    return { ok: true, tickets };
+}
+
+function parseCsvTickets(text) {
+    const rows = parseCsv(text);
+    if (!rows.length) return { ok: true, tickets: [] };
+
+    const headers = rows[0].map((h) => h.trim().toLowerCase());
+    if (!headers.some((h) => TITLE_COLUMNS.includes(h) || DESCRIPTION_COLUMNS.includes(h))) {
+        return { ok: false, error: "CSV needs a header row with a title/summary or description column." };
+    }
+
+    const tickets = [];
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].every((cell) => !cell.trim())) continue;
+        const record = {};
+        headers.forEach((h, idx) => {
+            record[h] = rows[i][idx] ?? "";
+        });
+        // Row numbers count the header as row 1, like a spreadsheet.
+        tickets.push(toTicket(record, i + 1));
+    }
+    return { ok: true, tickets };
+}
+
+function pick(record, names) {
+    for (const [key, value] of Object.entries(record || {})) {
+        if (names.includes(key.trim().toLowerCase()) && value !== undefined && value !== null && String(value).trim()) {
+            return String(value).trim();
+        }
+    }
+    return "";
+}
+
+function toTicket(record, row) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return { row, error: "Row is not an object." };
+    }
+    const ticket = {
+        row,
+        id: pick(record, ID_COLUMNS) || `row-${row}`,
+        title: pick(record, TITLE_COLUMNS),
+        description: pick(record, DESCRIPTION_COLUMNS)
+    };
+    if (!ticket.title && !ticket.description) ticket.error = "Missing title and description.";
+    return ticket;
+}
+
+export function ticketMessage(ticket) {
+    return [ticket.title, ticket.description].filter(Boolean).join("\n\n");
+}
+
+// RFC 4180-style parser: quoted fields, doubled quotes, embedded newlines, CRLF.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    const s = String(text || "").replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < s.length; i++) {
+        const ch = s[i];
+        if (inQuotes) {
+            if (ch === "\"" && s[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (ch === "\"") {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === "\"") {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && s[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Spreadsheets run a cell that starts with one of these as a formula, and ticket text is
+// untrusted, so such cells get a leading apostrophe to keep them as text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    const raw = value === undefined || value === null ? "" : String(value);
+    const s = FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A retry-after longer than this (an exhausted daily quota) fails the row instead of waiting.
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+// triageOne(ticket) must resolve to a handler-style response { statusCode, headers, body }.
+// 429 responses are retried with exponential backoff (honouring retry-after when present);
+// every other failure is recorded on the row.
+export async function runBatch(tickets, triageOne, options = {}) {
+    const concurrency = Math.max(1, Math.min(Number(options.concurrency) || 4, 16));
+    const maxRetries = options.maxRetries ?? 4;
+    const baseDelayMs = options.baseDelayMs ?? 1000;
+    const results = new Array(tickets.length);
+    let next = 0;
+
+    async function runOne(ticket) {
+        if (ticket.error) return { id: ticket.id ?? null, row: ticket.row, ok: false, status: null, error: ticket.error };
+
+        for (let attempt = 0; ; attempt++) {
+            let res;
+            try {
+                res = await triageOne(ticket);
+            } catch (err) {
+                return { id: ticket.id, row: ticket.row, ok: false, status: null, error: err?.message || String(err) };
+            }
+
+            let body = null;
+            try {
+                body = JSON.parse(res.body || "null");
+            } catch {
+                body = null;
+            }
+
+            if (res.statusCode === 200) return { id: ticket.id, row: ticket.row, ok: true, status: 200, triage: body };
+            const retryAfter = Number(res.headers?.["retry-after"]);
+            if (res.statusCode === 429 && attempt < maxRetries && !(retryAfter > MAX_RETRY_AFTER_SECONDS)) {
+                const delay = Number.isFinite(retryAfter) && retryAfter > 0
+                    ? retryAfter * 1000
+                    : baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+                await sleep(delay);
+                continue;
+            }
+            return {
+                id: ticket.id,
+                row: ticket.row,
+                ok: false,
+                status: res.statusCode,
+                error: body?.error || `Triage failed (${res.statusCode})`
+            };
+        }
+    }
+
+    async function worker() {
+        while (next < tickets.length) {
+            const idx = next++;
+            results[idx] = await runOne(tickets[idx]);
+            options.onResult?.(results[idx], idx);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, tickets.length) }, worker));
+    return results;
+}
+
+export function summarize(results) {
+    const succeeded = results.filter((r) => r.ok).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+export function toJsonl(results) {
+    return results.map((r) => JSON.stringify(r)).join("\n") + (results.length ? "\n" : "");
+}
+
+const CSV_COLUMNS = [
+    "id",
+    "row",
+    "status",
+    "priority",
+    "severity",
+    "category",
+    "component",
+    "assignee_team",
+    "duplicate_likelihood",
+    "labels",
+    "summary",
+    "duplicate_of",
+    "error"
+];
+
+// The closest earlier ticket the triage function flagged as a likely duplicate, by its summary.
+function duplicateOf(triage) {
+    const match = (triage.similar || []).find((s) => s.duplicate);
+    return match ? match.decision.summary || match.ticket : "";
+}
+
+export function toCsv(results) {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const r of results) {
+        const t = r.triage || {};
+        const values = {
+            id: r.id,
+            row: r.row,
+            status: r.ok ? "ok" : "error",
+            priority: t.priority,
+            severity: t.severity,
+            category: t.category,
+            component: t.component,
+            assignee_team: t.assignee_team,
+            duplicate_likelihood: t.duplicate_likelihood,
+            labels: Array.isArray(t.labels) ? t.labels.join(";") : "",
+            summary: t.summary,
+            duplicate_of: duplicateOf(t),
+            error: r.error
+        };
+        lines.push(CSV_COLUMNS.map((c) => csvCell(values[c])).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
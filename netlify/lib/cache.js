@@ -0,0 +1,67 @@
+import crypto from "node:crypto";
+import { createStore } from "./store.js";
+
+// Cache of validated model output. The key is a hash of the normalized input, the model, the
+// prompt version and the schema version, so changing any of them (or the routing config the
+// triage schema is built from) starts from a cold cache. Callers can force a fresh answer with
+// ?fresh=1; responses say x-cache: HIT or MISS.
+//
+//   CACHE=off            disables it
+//   CACHE_TTL_SECONDS    default one day
+//   CACHE_STORE          memory (default), file (CACHE_FILE) or blobs (CACHE_BLOBS_STORE)
+
+const cachedStores = new Map();
+
+export function versionOf(text) {
+    return crypto.createHash("sha256").update(String(text)).digest("hex").slice(0, 12);
+}
+
+// Whitespace and Unicode-form differences should not produce a different plan.
+export function normalizeInput(text) {
+    return String(text || "").normalize("NFKC").replace(/\s+/g, " ").trim();
+}
+
+export function cacheKey({ input, model, promptVersion, schemaVersion }) {
+    const material = JSON.stringify({ input: normalizeInput(input), model, promptVersion, schemaVersion });
+    return `response:${crypto.createHash("sha256").update(material).digest("hex")}`;
+}
+
+export function wantsFresh(value) {
+    return ["1", "true", "yes"].includes(String(value || "").toLowerCase());
+}
+
+// { ok, cache } where cache.get/set never throw: a broken store only costs a cache miss.
+export function loadCache(env = process.env) {
+    const enabled = !["off", "false", "0"].includes(String(env.CACHE || "").toLowerCase());
+    const ttlSeconds = Number.parseInt(env.CACHE_TTL_SECONDS, 10) > 0 ? Number.parseInt(env.CACHE_TTL_SECONDS, 10) : 24 * 60 * 60;
+    if (!enabled) return { ok: true, cache: { enabled, get: async () => undefined, set: async () => {} } };
+
+    const kind = env.CACHE_STORE || "memory";
+    const options = { file: env.CACHE_FILE || ".data/response-cache.json", name: env.CACHE_BLOBS_STORE || "response-cache" };
+    const storeKey = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(storeKey)) cachedStores.set(storeKey, createStore(kind, options));
+    const loaded = cachedStores.get(storeKey);
+    if (!loaded.ok) return { ok: false, error: `Invalid cache config: ${loaded.error}` };
+
+    const { store } = loaded;
+    return {
+        ok: true,
+        cache: {
+            enabled,
+            async get(key) {
+                try {
+                    return await store.get(key);
+                } catch {
+                    return undefined;
+                }
+            },
+            async set(key, value) {
+                try {
+                    await store.set(key, value, ttlSeconds);
+                } catch {
+                    // Not cached this time; the response itself is still fine.
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,172 @@
+import { createStore } from "./store.js";
+import { normalizeInput, versionOf } from "./cache.js";
+import { validateAgainstSchema } from "./validate.js";
+import { rankBySimilarity } from "./similarity.js";
+
+// Human feedback on generated results. The app sends a thumbs up or down per section, and
+// sections it edited inline, together with the result as the user now sees it; triage reviews
+// count as feedback on the decision (see the triageReview function). A result with at least
+// one thumbs up (or edit) and no thumbs down is "accepted", and the most similar accepted
+// results for the same kind (and plan mode) are shown to the model as examples in {{examples}},
+// so output drifts toward what the team keeps.
+//
+//   FEEDBACK_STORE      file (default, FEEDBACK_FILE), memory or blobs (FEEDBACK_BLOBS_STORE)
+//   FEEDBACK_EXAMPLES   accepted examples per prompt (default 2, 0 disables)
+//
+// Inputs and outputs are redacted before they are stored, so examples never carry the
+// personal data the original request redacted. Only feedback from an authenticated caller (an
+// API key or token) can be accepted: anonymous feedback is kept but never shown to the model,
+// so it cannot steer other users' prompts.
+
+export const FEEDBACK_KINDS = ["plan", "triage"];
+export const RATINGS = ["up", "down"];
+
+const RECORDS_KEY = "records";
+const MAX_RECORDS = 2000;
+const DEFAULT_EXAMPLES = 2;
+const MAX_EXAMPLES = 5;
+const MIN_SIMILARITY = 0.1;
+const MAX_EXAMPLE_INPUT_CHARS = 1500;
+
+const cachedStores = new Map();
+let pendingWrite = Promise.resolve();
+
+function getStore(env) {
+    const kind = env.FEEDBACK_STORE || "file";
+    const options = { file: env.FEEDBACK_FILE || ".data/feedback.json", name: env.FEEDBACK_BLOBS_STORE || "feedback" };
+    const key = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(kind, options));
+    const loaded = cachedStores.get(key);
+    return loaded.ok ? loaded : { ok: false, error: `Invalid feedback config: ${loaded.error}` };
+}
+
+export function exampleCount(env = process.env) {
+    const n = Number.parseInt(env.FEEDBACK_EXAMPLES, 10);
+    if (!Number.isFinite(n) || n < 0) return DEFAULT_EXAMPLES;
+    return Math.min(n, MAX_EXAMPLES);
+}
+
+// One record per kind, mode and (redacted) input: feedback on a newer result for the same input
+// replaces it.
+export function feedbackId(kind, mode, input) {
+    return versionOf(`${kind}\u0000${mode || ""}\u0000${normalizeInput(input)}`);
+}
+
+export function isAccepted(record) {
+    const ratings = Object.values(record.ratings || {});
+    return ratings.includes("up") && !ratings.includes("down");
+}
+
+// Checks { output, ratings, edited } against the result's schema. `ratings` maps a section to
+// "up" or "down"; `edited` lists sections the user rewrote, which must still fit the schema and
+// count as a thumbs up. Returns { ok, value: { output, ratings, edited } } or { ok: false, error }.
+export function checkFeedback({ output, ratings = {}, edited = [] }, schema) {
+    const shapeError = validateAgainstSchema(output, schema);
+    if (shapeError) return { ok: false, error: `output does not match the schema: ${shapeError}` };
+    if (!ratings || typeof ratings !== "object" || Array.isArray(ratings)) return { ok: false, error: "ratings must map sections to up or down." };
+    if (!Array.isArray(edited)) return { ok: false, error: "edited must be a list of sections." };
+
+    const sections = Object.keys(schema.properties);
+    const checked = {};
+    for (const [section, rating] of Object.entries(ratings)) {
+        if (!sections.includes(section)) return { ok: false, error: `Unknown section in ratings: ${section}` };
+        if (rating === null) continue;
+        if (!RATINGS.includes(rating)) return { ok: false, error: `Rating for ${section} must be up or down.` };
+        checked[section] = rating;
+    }
+    for (const section of edited) {
+        if (!sections.includes(section)) return { ok: false, error: `Unknown section in edited: ${section}` };
+        checked[section] = "up";
+    }
+    return { ok: true, value: { output, ratings: checked, edited: [...new Set(edited)] } };
+}
+
+function redactDeep(value, redact) {
+    if (typeof value === "string") return redact(value);
+    if (Array.isArray(value)) return value.map((v) => redactDeep(v, redact));
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v, redact)]));
+    return value;
+}
+
+// Builds the stored record from checked feedback; `redact` is a request's redactor.redact.
+export function toRecord({ kind, mode, input, feedback, user }, redact) {
+    const safeInput = redact(input);
+    return {
+        id: feedbackId(kind, mode, safeInput),
+        kind,
+        mode: mode || null,
+        input: safeInput,
+        output: redactDeep(feedback.output, redact),
+        ratings: feedback.ratings,
+        edited: feedback.edited,
+        accepted: Boolean(user) && isAccepted(feedback),
+        user: user || null,
+        updated_at: new Date().toISOString()
+    };
+}
+
+// Saves a record, replacing earlier feedback with the same id; the oldest records are dropped
+// past MAX_RECORDS. Writes from one instance are applied one at a time.
+// Returns { ok } or { ok: false, error }.
+export async function saveFeedback(record, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+
+    const write = pendingWrite.then(async () => {
+        const records = (await loaded.store.get(RECORDS_KEY)) || [];
+        await loaded.store.set(RECORDS_KEY, [...records.filter((r) => r.id !== record.id), record].slice(-MAX_RECORDS));
+    });
+    pendingWrite = write.catch(() => {});
+    try {
+        await write;
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, error: `Could not save feedback: ${e.message}` };
+    }
+}
+
+// { ok, records } oldest first, or { ok: false, error }.
+export async function readFeedback(env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    try {
+        await pendingWrite;
+        return { ok: true, records: (await loaded.store.get(RECORDS_KEY)) || [] };
+    } catch (e) {
+        return { ok: false, error: `Could not read feedback: ${e.message}` };
+    }
+}
+
+// The accepted records most similar to `input` (redacted, like the stored inputs), best first.
+// The input itself is skipped, so regenerating a result is not steered by its own earlier
+// version. Never fails: without a working store a prompt simply gets no examples.
+export async function similarExamples({ kind, mode, input }, env = process.env) {
+    const limit = exampleCount(env);
+    if (!limit) return [];
+    const read = await readFeedback(env);
+    if (!read.ok) return [];
+
+    const self = feedbackId(kind, mode, input);
+    const candidates = read.records.filter((r) => r.accepted && r.kind === kind && (r.mode || null) === (mode || null) && r.id !== self);
+    return rankBySimilarity(input, candidates, { text: (r) => r.input, limit, minScore: MIN_SIMILARITY }).map(({ item }) => item);
+}
+
+// The {{examples}} prompt variable: empty without examples, so templates render unchanged.
+export function formatExamples(records) {
+    if (!records.length) return "";
+    const blocks = records.map((r, idx) => {
+        const input = r.input.length > MAX_EXAMPLE_INPUT_CHARS ? `${r.input.slice(0, MAX_EXAMPLE_INPUT_CHARS)}…` : r.input;
+        return `Example ${idx + 1}\nInput:\n${input}\nAccepted output:\n${JSON.stringify(r.output)}`;
+    });
+    return (
+        "\n\nOur team reviewed and accepted the results below for similar requests. Match their style, tone and level of detail, " +
+        "but write about the new input only and do not copy their facts.\n\n" +
+        blocks.join("\n\n")
+    );
+}
+
+// { text, count } for the {{examples}} variable of a request; mode is the plan mode id, if any.
+export async function examplesVar({ kind, mode, input }, env = process.env) {
+    const examples = await similarExamples({ kind, mode, input }, env);
+    return { text: formatExamples(examples), count: examples.length };
+}
@@ -0,0 +1,99 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Record/replay of model responses, so tests and demos run offline against real model output.
+//
+//   LLM_FIXTURES=record   call the configured provider and save every response
+//   LLM_FIXTURES=replay   answer from saved responses only; no provider or API key needed
+//   LLM_FIXTURES_DIR      where fixtures live (default test/fixtures/llm)
+//
+// A fixture is one JSON file per request, named by a hash of what the model sees (prompts,
+// schema name, repair turns and images), so changing a prompt means recording again. Streamed
+// calls keep their chunks and replay them in the same pieces.
+const DEFAULT_FIXTURES_DIR = "test/fixtures/llm";
+
+export function fixtureKey({ system, user, schemaName, history, images }) {
+    const request = {
+        system,
+        user,
+        schemaName,
+        history: history || [],
+        images: (images || []).map((image) => crypto.createHash("sha256").update(image.data).digest("hex"))
+    };
+    return crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex").slice(0, 24);
+}
+
+function fixturesDir(env) {
+    return path.resolve(process.cwd(), env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+function readFixture(dir, key) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, `${key}.json`), "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+    }
+}
+
+function writeFixture(dir, key, args, provider, recorded) {
+    const { system, user, schemaName, history } = args;
+    const fixture = {
+        provider: `${provider.name}:${provider.model}`,
+        request: { schemaName, system, user, ...(history?.length ? { history } : {}) },
+        ...recorded
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(fixture, null, 2) + "\n");
+}
+
+// Wraps a provider so each response is saved as a fixture.
+export function createRecordingProvider(provider, env = process.env) {
+    const dir = fixturesDir(env);
+    return {
+        ...provider,
+        async generate(args) {
+            const output = await provider.generate(args);
+            writeFixture(dir, fixtureKey(args), args, provider, { output });
+            return output;
+        },
+        async *stream(args) {
+            const chunks = [];
+            for await (const chunk of provider.stream(args)) {
+                chunks.push(chunk);
+                yield chunk;
+            }
+            writeFixture(dir, fixtureKey(args), args, provider, { output: chunks.join(""), chunks });
+        }
+    };
+}
+
+export function createReplayProvider(env = process.env) {
+    const dir = fixturesDir(env);
+
+    function lookup(args) {
+        const key = fixtureKey(args);
+        const fixture = readFixture(dir, key);
+        if (!fixture) {
+            throw new Error(`No recorded model response for this request (fixture ${key} in ${dir}). Record it with LLM_FIXTURES=record.`);
+        }
+        return fixture;
+    }
+
+    return {
+        name: "replay",
+        model: env.LLM_FIXTURES_MODEL || "fixtures",
+        vision: true,
+        async generate(args) {
+            return lookup(args).output;
+        },
+        async *stream(args) {
+            const fixture = lookup(args);
+            for (const chunk of fixture.chunks || [fixture.output]) {
+                if (args.signal?.aborted) return;
+                yield chunk;
+            }
+        }
+    };
+}
@@ -0,0 +1,115 @@
+// HTTP plumbing shared by the Netlify functions (classic `handler(event)` format).
+
+export const MAX_INPUT_CHARS = 8000;
+export const MAX_BODY_BYTES = 64 * 1024;
+export const DEBUG_ERRORS = String(process.env.DEBUG_ERRORS || "").toLowerCase() === "true";
+
+// CORS_ALLOWED_ORIGINS: comma-separated origins allowed to call from a browser. "*" (default) allows any.
+export const CORS_HEADERS = {
+    "access-control-allow-origin": "*",
+    "access-control-allow-headers": "content-type, authorization, x-api-key",
+    "access-control-allow-methods": "GET, POST, OPTIONS",
+    "access-control-expose-headers":
+        "x-llm-attempts, x-llm-repaired, x-redactions, x-cache, x-prompt-version, content-language, ratelimit-limit, ratelimit-remaining, ratelimit-reset, ratelimit-policy, retry-after"
+};
+
+// Case-insensitive lookup; Netlify lowercases header names but in-process callers may not.
+export function getHeader(headers, name) {
+    if (!headers) return undefined;
+    if (headers[name] !== undefined) return headers[name];
+    const found = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    return found ? headers[found] : undefined;
+}
+
+// CORS headers for a request from `origin`. { ok: false } means the origin is not allowed;
+// requests without an Origin header (curl, servers) are not browser requests and always pass.
+export function corsHeaders(origin, env = process.env) {
+    const allowed = String(env.CORS_ALLOWED_ORIGINS || "*").split(",").map((o) => o.trim()).filter(Boolean);
+    if (!allowed.length || allowed.includes("*")) return { ok: true, headers: CORS_HEADERS };
+    const headers = { ...CORS_HEADERS, "access-control-allow-origin": allowed[0], vary: "origin" };
+    if (!origin) return { ok: true, headers };
+    if (!allowed.includes(origin)) return { ok: false, headers };
+    return { ok: true, headers: { ...headers, "access-control-allow-origin": origin } };
+}
+
+// Wraps a handler so every response carries the CORS headers for the caller's origin, and
+// browsers on other origins are turned away before the handler runs.
+export function withCors(handler) {
+    return async (event) => {
+        const cors = corsHeaders(getHeader(event.headers, "origin"));
+        if (!cors.ok) {
+            return jsonResponse(403, { error: "Origin not allowed.", requestId: getRequestId(event) }, cors.headers);
+        }
+        const res = await handler(event);
+        return { ...res, headers: { ...res.headers, ...cors.headers } };
+    };
+}
+
+export function getRequestId(event) {
+    const h = event?.headers || {};
+    return h["x-nf-request-id"] || h["X-Nf-Request-Id"] || h["x-request-id"] || h["X-Request-Id"] || null;
+}
+
+export function jsonResponse(statusCode, bodyObj, extraHeaders = {}) {
+    return {
+        statusCode,
+        headers: {
+            "content-type": "application/json; charset=utf-8",
+            ...CORS_HEADERS,
+            ...extraHeaders
+        },
+        body: JSON.stringify(bodyObj)
+    };
+}
+
+export function textResponse(statusCode, contentType, body, extraHeaders = {}) {
+    return { statusCode, headers: { "content-type": contentType, ...CORS_HEADERS, ...extraHeaders }, body };
+}
+
+export function optionsResponse() {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+}
+
+export function safeJsonParse(text) {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch (e) {
+        return { ok: false, error: e };
+    }
+}
+
+// Decodes (base64 if needed) and parses the JSON body of an event.
+// Returns { ok: true, value } or { ok: false, statusCode, error }.
+export function parseJsonBody(event, maxBytes = MAX_BODY_BYTES) {
+    if (event.body && typeof event.body === "string" && Buffer.byteLength(event.body, "utf8") > maxBytes) {
+        return { ok: false, statusCode: 413, error: "Request body too large." };
+    }
+
+    try {
+        const bodyText = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : (event.body || "");
+        const parsed = safeJsonParse(bodyText || "{}");
+        if (!parsed.ok) return { ok: false, statusCode: 400, error: "Invalid JSON body." };
+        return { ok: true, value: parsed.value || {} };
+    } catch {
+        return { ok: false, statusCode: 400, error: "Invalid JSON body." };
+    }
+}
+
+// Reads a required, length-limited string field from a parsed payload.
+export function readInput(payload, field, maxChars = MAX_INPUT_CHARS) {
+    const value = typeof payload?.[field] === "string" ? payload[field] : "";
+    if (!value.trim()) return { ok: false, error: `Missing required field: ${field}` };
+    if (value.length > maxChars) {
+        return { ok: false, error: `Input is too long. Please keep it under ${maxChars} characters.` };
+    }
+    return { ok: true, value };
+}
+
+// Maps a provider error to the response status and message; `cause` labels it in metrics.
+export function toHttpError(err) {
+    const status = typeof err?.status === "number" ? err.status : null;
+    if (status === 401 || status === 403) return { statusCode: 502, message: "LLM authentication failed.", cause: "provider_auth" };
+    if (status === 429) return { statusCode: 429, message: "Rate limited by LLM provider. Try again shortly.", cause: "provider_rate_limit" };
+    if (status && status >= 500) return { statusCode: 502, message: "LLM provider error. Try again shortly.", cause: "provider_error" };
+    return { statusCode: 502, message: "LLM request failed.", cause: "provider_request" };
+}
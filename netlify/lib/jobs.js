@@ -0,0 +1,231 @@
+import crypto from "node:crypto";
+import { createStore } from "./store.js";
+import { getHeader, safeJsonParse } from "./http.js";
+import { log } from "./logging.js";
+
+// Jobs: requests that may outlast a synchronous function (plans with attachments, refine rounds,
+// batch triage, webhook deliveries) are queued by the jobs function (or triageWebhook) and run by
+// a worker, and callers poll for the result. A job runs the same function a direct request would, so it is validated, limited,
+// cached and logged the same way.
+//
+//   JOBS_STORE          off (default) disables jobs: the jobs function answers 503 and the app
+//                       makes its requests directly. blobs (JOBS_BLOBS_STORE) when deployed; file
+//                       (JOBS_FILE) or memory for `netlify dev`. The jobs function and its worker
+//                       must share it.
+//   JOBS_WORKER         inline (default) runs the job in the process that queued it, after it has
+//                       answered. Only for `netlify dev` and tests: a deployed function is frozen
+//                       once it has answered. background hands the job to the jobWorker-background
+//                       function (JOBS_WORKER_URL, default $URL/.netlify/functions/jobWorker-background),
+//                       which may run for 15 minutes.
+//   JOBS_WORKER_SECRET  signs the jobs function's calls to the worker, which refuses unsigned ones.
+//                       Needed for JOBS_WORKER=background.
+//   JOBS_TTL_SECONDS    how long jobs are kept (default one day)
+//
+// A job moves from queued to running to succeeded (result holds the function's 200 body) or
+// failed (error and statusCode hold its error response). progress is { done, total } while a
+// batch runs.
+
+// Job kind -> the auth scope needed to start it through the jobs function. Other kinds (webhook)
+// are only queued internally.
+export const JOB_KINDS = { plan: "plan", triage: "triage", triageBatch: "triage" };
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// Response headers worth keeping with a result (the client cannot see the worker's response).
+const RESULT_HEADERS = ["content-language", "x-prompt-version", "x-cache", "x-redactions"];
+
+const WORKER_SIGNATURE_HEADER = "x-jobs-signature";
+
+const cachedStores = new Map();
+
+export function jobsEnabled(env = process.env) {
+    return (env.JOBS_STORE || "off") !== "off";
+}
+
+function getStore(env) {
+    const kind = env.JOBS_STORE || "off";
+    if (kind === "off") return { ok: false, error: "Jobs are not enabled. Set JOBS_STORE." };
+    const options = { file: env.JOBS_FILE || ".data/jobs.json", name: env.JOBS_BLOBS_STORE || "jobs" };
+    const key = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(kind, options));
+    const loaded = cachedStores.get(key);
+    return loaded.ok ? loaded : { ok: false, error: `Invalid jobs config: ${loaded.error}` };
+}
+
+function ttlSeconds(env) {
+    const n = Number.parseInt(env.JOBS_TTL_SECONDS, 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+// What a job's owner sees: everything but the request it was started with.
+export function publicJob(job) {
+    const { body, fresh, principal, client, ...rest } = job;
+    return rest;
+}
+
+async function saveJob(job, env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    try {
+        await loaded.store.set(`job:${job.id}`, job, ttlSeconds(env));
+        return { ok: true, job };
+    } catch (e) {
+        return { ok: false, error: `Could not save the job: ${e.message}` };
+    }
+}
+
+// Queues a job. `principal` is the authenticated caller (null when anonymous); `client` the
+// headers that identify it for quotas, without credentials; `fresh` skips the cache like ?fresh=1.
+// Returns { ok, job } or { ok: false, error }.
+export function createJob({ kind, body, fresh, principal, client, requestId }, env = process.env) {
+    const now = new Date().toISOString();
+    return saveJob(
+        {
+            id: crypto.randomUUID(),
+            kind,
+            status: "queued",
+            progress: null,
+            result: null,
+            error: null,
+            statusCode: null,
+            requestId: requestId || null,
+            created_at: now,
+            updated_at: now,
+            body,
+            fresh: Boolean(fresh),
+            principal: principal || null,
+            client: client || {}
+        },
+        env
+    );
+}
+
+// { ok, job } (job is null when unknown or expired), or { ok: false, error }.
+export async function readJob(id, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    try {
+        return { ok: true, job: (await loaded.store.get(`job:${id}`)) || null };
+    } catch (e) {
+        return { ok: false, error: `Could not read the job: ${e.message}` };
+    }
+}
+
+function updateJob(job, changes, env) {
+    return saveJob({ ...job, ...changes, updated_at: new Date().toISOString() }, env);
+}
+
+// Runs a queued job through `handlers[kind]` (classic function handlers) as an in-process call
+// for its principal, and stores the outcome. Jobs that are not queued are left alone, so a
+// repeated worker call cannot run one twice. Returns { ok, job } or { ok: false, error }.
+export async function runJob(id, handlers, env = process.env) {
+    const read = await readJob(id, env);
+    if (!read.ok) return read;
+    if (!read.job) return { ok: false, error: `Unknown job: ${id}` };
+    if (read.job.status !== "queued") return { ok: true, job: read.job };
+
+    // Progress reports arrive while the handler runs and are not awaited by it; chaining every
+    // write keeps a late one from overwriting the outcome.
+    let job = read.job;
+    let writes = Promise.resolve();
+    const write = (changes) => {
+        const next = writes.then(async () => {
+            const saved = await updateJob(job, changes, env);
+            if (saved.ok) job = saved.job;
+            return saved;
+        });
+        writes = next.catch(() => {});
+        return next;
+    };
+
+    const started = await write({ status: "running" });
+    if (!started.ok) return started;
+
+    let res;
+    try {
+        res = await handlers[job.kind]({
+            httpMethod: "POST",
+            internal: true,
+            principal: job.principal,
+            headers: { ...job.client, ...(job.requestId ? { "x-request-id": `${job.requestId}:job` } : {}) },
+            queryStringParameters: job.fresh ? { fresh: "1" } : {},
+            body: JSON.stringify(job.body),
+            onProgress: (progress) => write({ progress })
+        });
+    } catch (e) {
+        res = { statusCode: 500, headers: {}, body: JSON.stringify({ error: `Job failed: ${e.message}` }) };
+    }
+
+    const parsed = safeJsonParse(res.body || "null");
+    const value = parsed.ok ? parsed.value : res.body;
+    const headers = Object.fromEntries(RESULT_HEADERS.filter((h) => res.headers?.[h] !== undefined).map((h) => [h, res.headers[h]]));
+    const outcome =
+        res.statusCode === 200
+            ? { status: "succeeded", result: value, headers }
+            : { status: "failed", error: value?.error || `Job failed (${res.statusCode})`, statusCode: res.statusCode };
+    // The request may hold attachments; it is not needed once the job has run.
+    return write({ ...outcome, body: null });
+}
+
+// Marks a job failed without running it, e.g. when its worker could not be started.
+export async function failJob(job, error, env = process.env) {
+    return updateJob(job, { status: "failed", error, statusCode: 500, body: null }, env);
+}
+
+// Hands a queued job to the worker; `handlers` are the ones runJob needs for an inline worker.
+// Returns { ok } or { ok: false, error } after failing the job.
+export async function dispatchJob(job, handlers, env = process.env) {
+    const mode = env.JOBS_WORKER || "inline";
+    if (mode === "inline") {
+        // Not awaited: the caller gets the id straight away and polls for the outcome.
+        runJob(job.id, handlers, env).then((ran) => {
+            if (!ran.ok) log("error", "job failed to run", { job_id: job.id, error: ran.error });
+        });
+        return { ok: true };
+    }
+    if (mode !== "background") {
+        await failJob(job, `Unknown JOBS_WORKER: ${mode}. Use inline or background.`, env);
+        return { ok: false, error: `Unknown JOBS_WORKER: ${mode}. Use inline or background.` };
+    }
+
+    const url = env.JOBS_WORKER_URL || (env.URL ? `${env.URL}/.netlify/functions/jobWorker-background` : "");
+    const body = JSON.stringify({ id: job.id });
+    try {
+        if (!url) throw new Error("set JOBS_WORKER_URL or URL");
+        const signed = workerCallHeaders(body, env);
+        if (!signed.ok) throw new Error(signed.error);
+        const res = await fetch(url, { method: "POST", headers: signed.headers, body });
+        if (!res.ok) throw new Error(`the worker answered ${res.status}`);
+        return { ok: true };
+    } catch (e) {
+        const error = `Could not start the job: ${e.message}`;
+        await failJob(job, error, env);
+        return { ok: false, error };
+    }
+}
+
+function signWorkerBody(body, secret) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+// Headers for a worker call with `body` (the raw JSON), or { ok: false, error } without a secret.
+export function workerCallHeaders(body, env = process.env) {
+    if (!env.JOBS_WORKER_SECRET) return { ok: false, error: "set JOBS_WORKER_SECRET" };
+    return { ok: true, headers: { "content-type": "application/json", [WORKER_SIGNATURE_HEADER]: signWorkerBody(body, env.JOBS_WORKER_SECRET) } };
+}
+
+// Checks a worker call's signature against its raw body. Returns { ok } or
+// { ok: false, statusCode, error }.
+export function verifyWorkerCall(headers, rawBody, env = process.env) {
+    if (!env.JOBS_WORKER_SECRET) {
+        return { ok: false, statusCode: 500, error: "No worker secret configured. Set JOBS_WORKER_SECRET." };
+    }
+    const presented = String(getHeader(headers, WORKER_SIGNATURE_HEADER) || "").trim();
+    if (!presented) return { ok: false, statusCode: 401, error: "Missing worker signature." };
+
+    const expected = Buffer.from(signWorkerBody(rawBody, env.JOBS_WORKER_SECRET));
+    const actual = Buffer.from(presented.toLowerCase());
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { ok: false, statusCode: 401, error: "Invalid worker signature." };
+    }
+    return { ok: true };
+}
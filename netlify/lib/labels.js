@@ -0,0 +1,130 @@
+import crypto from "node:crypto";
+import { createStore } from "./store.js";
+import { CONFIDENCE_FIELDS } from "./routing.js";
+
+// Labelled triage examples: tickets where a reviewer overrode part of the model's decision.
+// Each is kept in the golden-set format scripts/eval-prompts.js reads ({ id, input, expect }),
+// plus what the model said and which fields were changed, so the triage prompts can be scored
+// against the reviewers' corrections.
+//
+//   TRIAGE_LABELS_STORE   file (default, TRIAGE_LABELS_FILE), memory or blobs
+//                         (TRIAGE_LABELS_BLOBS_STORE). Deployed sites need blobs: the file
+//                         store cannot write there.
+
+const EXAMPLES_KEY = "examples";
+const MAX_EXAMPLES = 5000;
+
+// The fields a reviewer can accept or override: every decision field except the duplicate score.
+export const REVIEW_FIELDS = CONFIDENCE_FIELDS.filter((f) => f !== "duplicate_likelihood");
+
+const cachedStores = new Map();
+let pendingWrite = Promise.resolve();
+
+function getStore(env) {
+    const kind = env.TRIAGE_LABELS_STORE || "file";
+    const options = { file: env.TRIAGE_LABELS_FILE || ".data/triage-labels.json", name: env.TRIAGE_LABELS_BLOBS_STORE || "triage-labels" };
+    const key = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(kind, options));
+    const loaded = cachedStores.get(key);
+    return loaded.ok ? loaded : { ok: false, error: `Invalid triage labels config: ${loaded.error}` };
+}
+
+// The choices for each review field, in routing-config order (priorities from most urgent).
+export function reviewOptions(routing) {
+    const named = (id, label, description) => ({ id, label: label || id, ...(description ? { description } : {}) });
+    return {
+        priority: Object.entries(routing.priorities).map(([id, description]) => named(id, id, description)),
+        severity: Object.entries(routing.severities).map(([id, description]) => named(id, id, description)),
+        category: routing.categories.map((id) => named(id)),
+        component: routing.components.map((c) => named(c.id, c.name)),
+        assignee_team: routing.teams.map((t) => named(t.id, t.name, t.description)),
+        labels: routing.labels.map((id) => named(id))
+    };
+}
+
+function sameValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && [...a].sort().join("\n") === [...b].sort().join("\n");
+    return a === b;
+}
+
+// Checks a review body { ticket, decision, final } against the routing config. `final` holds
+// the reviewer's value for every review field; fields where it differs from `decision` are the
+// overrides. Returns { ok, review: { ticket, decision, final, overridden } } or { ok: false, error }.
+export function checkReview(payload, routing) {
+    const ticket = typeof payload?.ticket === "string" ? payload.ticket.trim() : "";
+    if (!ticket) return { ok: false, error: "Missing required field: ticket" };
+    const { decision, final } = payload;
+    if (!decision || typeof decision !== "object" || Array.isArray(decision)) return { ok: false, error: "decision must be the triage result." };
+    if (!final || typeof final !== "object" || Array.isArray(final)) return { ok: false, error: "final must be an object of reviewed fields." };
+
+    const options = reviewOptions(routing);
+    const reviewed = {};
+    for (const field of REVIEW_FIELDS) {
+        const ids = options[field].map((o) => o.id);
+        const value = final[field];
+        if (field === "labels") {
+            if (!Array.isArray(value) || value.some((l) => !ids.includes(l))) {
+                return { ok: false, error: `final.labels must be a list of: ${ids.join(", ")}.` };
+            }
+            reviewed.labels = [...new Set(value)];
+        } else {
+            if (!ids.includes(value)) return { ok: false, error: `final.${field} must be one of: ${ids.join(", ")}.` };
+            reviewed[field] = value;
+        }
+    }
+
+    const overridden = REVIEW_FIELDS.filter((f) => !sameValue(decision[f], reviewed[f]));
+    return { ok: true, review: { ticket, decision, final: reviewed, overridden } };
+}
+
+export function exampleId(ticket) {
+    return crypto.createHash("sha256").update(ticket.normalize("NFKC").replace(/\s+/g, " ").trim()).digest("hex").slice(0, 16);
+}
+
+// Builds the stored example from a checked review; `redact` is a request's redactor.redact, so
+// the ticket is kept (and exported) without the personal data the prompts never see.
+export function toExample(review, reviewer, redact) {
+    const ticket = redact(review.ticket);
+    return {
+        id: exampleId(ticket),
+        input: ticket,
+        expect: review.final,
+        overridden: review.overridden,
+        model: Object.fromEntries(REVIEW_FIELDS.map((f) => [f, review.decision[f] ?? null])),
+        reviewer: reviewer || null,
+        reviewed_at: new Date().toISOString()
+    };
+}
+
+// Saves an example, replacing an earlier review of the same ticket; the oldest examples are
+// dropped past MAX_EXAMPLES. Writes from one instance are applied one at a time.
+// Returns { ok } or { ok: false, error }.
+export async function saveExample(example, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+
+    const write = pendingWrite.then(async () => {
+        const examples = (await loaded.store.get(EXAMPLES_KEY)) || [];
+        const kept = examples.filter((e) => e.id !== example.id);
+        await loaded.store.set(EXAMPLES_KEY, [...kept, example].slice(-MAX_EXAMPLES));
+    });
+    pendingWrite = write.catch(() => {});
+    try {
+        await write;
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, error: `Could not save the triage label: ${e.message}` };
+    }
+}
+
+// { ok, examples } oldest first, or { ok: false, error }.
+export async function readExamples(env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    try {
+        await pendingWrite;
+        return { ok: true, examples: (await loaded.store.get(EXAMPLES_KEY)) || [] };
+    } catch (e) {
+        return { ok: false, error: `Could not read triage labels: ${e.message}` };
+    }
+}
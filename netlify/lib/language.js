@@ -0,0 +1,24 @@
+import { LANGUAGES, detectLanguage } from "../../shared/languages.js";
+
+// Resolves the `language` option of a plan request (see shared/languages.js) to the language
+// the plan is written in and the prompt instruction that asks for it. "auto" (the default)
+// detects the input's language; when detection is unsure, the model is told to follow the input
+// and `code` is null.
+// Returns { ok: true, code, instruction } or { ok: false, error }.
+export function resolveLanguage(requested, text) {
+    const value = requested === undefined || requested === null || requested === "" ? "auto" : requested;
+    if (typeof value !== "string" || !Object.hasOwn(LANGUAGES, value)) {
+        return { ok: false, error: `language must be one of: ${Object.keys(LANGUAGES).join(", ")}.` };
+    }
+
+    const code = value === "auto" ? detectLanguage(text) : value;
+    const names = "Keep product, tool and company names as written.";
+    if (!code) {
+        return { ok: true, code: null, instruction: `Write every string value in the same language as the workflow problem. ${names}` };
+    }
+    return {
+        ok: true,
+        code,
+        instruction: `Write every string value in ${LANGUAGES[code].name}, even where the workflow problem mixes in other languages. ${names}`
+    };
+}
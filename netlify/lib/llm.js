@@ -0,0 +1,347 @@
+import OpenAI from "openai";
+import { createRecordingProvider, createReplayProvider } from "./fixtures.js";
+
+// Every provider exposes generate({ system, user, input, images, schema, schemaName, history, signal })
+// and resolves to the raw model text, plus stream(...) with the same arguments, an async
+// iterator of text deltas. `history` holds extra turns appended after the user message
+// (used by the repair-and-retry loop in structured.js); `signal` aborts the upstream call.
+// `images` ([{ type, data }], base64) are sent with the user message; only providers with
+// `vision: true` may receive them. LLM_VISION=true/false overrides the default (on for OpenAI,
+// off for compatible servers, whose local models are mostly text-only).
+//
+// Provider selection:
+//   LLM_PROVIDER=openai      (default) OpenAI Responses API, needs OPENAI_API_KEY / OPENAI_MODEL
+//   LLM_PROVIDER=compatible  OpenAI-compatible chat server (Ollama, llama.cpp, vLLM), uses LLM_BASE_URL / LLM_MODEL / LLM_API_KEY
+//   LLM_PROVIDER=mock        deterministic offline backend that fills the requested JSON schema
+//
+// LLM_FIXTURES=record|replay saves or replays model responses (see fixtures.js); replay needs
+// no provider settings.
+const PROVIDER_ALIASES = {
+    openai: "openai",
+    compatible: "compatible",
+    "openai-compatible": "compatible",
+    ollama: "compatible",
+    llamacpp: "compatible",
+    mock: "mock"
+};
+
+const DEFAULT_COMPATIBLE_BASE_URL = "http://localhost:11434/v1";
+
+export function resolveProvider(env = process.env) {
+    const fixtures = String(env.LLM_FIXTURES || "").trim().toLowerCase();
+    if (fixtures === "replay") return { ok: true, provider: createReplayProvider(env) };
+    if (fixtures && fixtures !== "record") {
+        return { ok: false, error: `Unknown LLM_FIXTURES: ${fixtures}. Use record or replay.` };
+    }
+
+    const resolved = resolveBaseProvider(env);
+    if (!resolved.ok || fixtures !== "record") return resolved;
+    return { ok: true, provider: createRecordingProvider(resolved.provider, env) };
+}
+
+function resolveBaseProvider(env) {
+    const requested = String(env.LLM_PROVIDER || "openai").trim().toLowerCase();
+    const kind = PROVIDER_ALIASES[requested];
+    if (!kind) {
+        return { ok: false, error: `Unknown LLM_PROVIDER: ${requested}` };
+    }
+
+    if (kind === "openai") {
+        if (!env.OPENAI_API_KEY) {
+            return { ok: false, error: "Missing OPENAI_API_KEY environment variable." };
+        }
+        return { ok: true, provider: createOpenAIProvider(env) };
+    }
+    if (kind === "compatible") return { ok: true, provider: createCompatibleProvider(env) };
+    return { ok: true, provider: createMockProvider(env) };
+}
+
+function visionEnabled(env, fallback) {
+    const value = String(env.LLM_VISION || "").toLowerCase();
+    return value ? value === "true" : fallback;
+}
+
+function dataUrl(image) {
+    return `data:${image.type};base64,${image.data}`;
+}
+
+function createOpenAIProvider(env) {
+    const model = env.OPENAI_MODEL || "gpt-4o-mini";
+    const client = new OpenAI({ apiKey: env.OPENAI_API_KEY });
+
+    return {
+        name: "openai",
+        model,
+        vision: visionEnabled(env, true),
+        async generate({ signal, ...args }) {
+            const response = await client.responses.create(requestBody(args), { signal });
+            return response.output_text;
+        },
+        async *stream({ signal, ...args }) {
+            const events = await client.responses.create({ ...requestBody(args), stream: true }, { signal });
+            for await (const event of events) {
+                if (event.type === "response.output_text.delta") yield event.delta;
+            }
+        }
+    };
+
+    function requestBody({ system, user, images = [], schema, schemaName, history = [] }) {
+        const content = images.length
+            ? [{ type: "input_text", text: user }, ...images.map((image) => ({ type: "input_image", image_url: dataUrl(image) }))]
+            : user;
+        return {
+            model,
+            input: [
+                { role: "system", content: system },
+                { role: "user", content },
+                ...history
+            ],
+            text: {
+                format: {
+                    type: "json_schema",
+                    name: schemaName,
+                    schema,
+                    strict: true
+                }
+            }
+        };
+    }
+}
+
+function createCompatibleProvider(env) {
+    const model = env.LLM_MODEL || "llama3.1";
+    // Local servers usually ignore the key, but the SDK refuses to start without one.
+    const client = new OpenAI({
+        apiKey: env.LLM_API_KEY || "not-needed",
+        baseURL: env.LLM_BASE_URL || DEFAULT_COMPATIBLE_BASE_URL
+    });
+
+    return {
+        name: "compatible",
+        model,
+        vision: visionEnabled(env, false),
+        async generate({ signal, ...args }) {
+            const completion = await client.chat.completions.create(requestBody(args), { signal });
+            return stripCodeFence(completion.choices?.[0]?.message?.content);
+        },
+        async *stream({ signal, ...args }) {
+            const chunks = await client.chat.completions.create({ ...requestBody(args), stream: true }, { signal });
+            for await (const chunk of chunks) {
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        }
+    };
+
+    function requestBody({ system, user, images = [], schema, schemaName, history = [] }) {
+        const content = images.length
+            ? [{ type: "text", text: user }, ...images.map((image) => ({ type: "image_url", image_url: { url: dataUrl(image) } }))]
+            : user;
+        return {
+            model,
+            messages: [
+                { role: "system", content: system },
+                { role: "user", content },
+                ...history
+            ],
+            response_format: {
+                type: "json_schema",
+                json_schema: { name: schemaName, schema, strict: true }
+            }
+        };
+    }
+}
+
+// Smaller local models often wrap JSON in ```json fences even when asked not to. Streamed
+// replies are stripped once complete (see streamStructured).
+export function stripCodeFence(text) {
+    if (typeof text !== "string") return text;
+    const m = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return m ? m[1] : text;
+}
+
+function createMockProvider(env) {
+    const latencyMs = Number(env.MOCK_LATENCY_MS) || 0;
+    const chunkDelayMs = env.MOCK_STREAM_CHUNK_MS === undefined ? 20 : Number(env.MOCK_STREAM_CHUNK_MS) || 0;
+
+    // `input` is the raw user text; the real providers only see it through `user`.
+    function mockText({ user, input, schema }) {
+        const source = input || user || "";
+        return JSON.stringify(mockValue(schema, { key: "", seed: hashString(source), subject: pickSubject(source) }));
+    }
+
+    // Accepts images so the attachment flow can be tried offline; it ignores them.
+    return {
+        name: "mock",
+        model: "mock",
+        vision: true,
+        async generate({ signal, ...args }) {
+            await sleep(latencyMs, signal);
+            return mockText(args);
+        },
+        async *stream({ signal, ...args }) {
+            await sleep(latencyMs, signal);
+            const text = mockText(args);
+            for (let i = 0; i < text.length; i += 16) {
+                await sleep(chunkDelayMs, signal);
+                yield text.slice(i, i + 16);
+            }
+        }
+    };
+}
+
+function sleep(ms, signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+function abortError() {
+    const err = new Error("Request was aborted.");
+    err.name = "AbortError";
+    return err;
+}
+
+const MOCK_PHRASES = {
+    clarifying_questions: [
+        "Who owns this workflow end to end today?",
+        "How many items pass through it in a typical week?",
+        "Which systems hold the source data right now?",
+        "What would a good outcome look like in numbers?",
+        "Are there compliance rules for the data involved?",
+        "Who has to sign off on changes to the process?"
+    ],
+    proposed_approach: [
+        "Map the current workflow and every hand-off",
+        "Identify repetitive decisions that can be automated",
+        "Prototype an AI-assisted step on a small sample",
+        "Add a human review step for low-confidence results",
+        "Measure time saved against the current baseline",
+        "Roll out to the wider team with a feedback loop",
+        "Document the process and its owners"
+    ],
+    recommended_tools: ["OpenAI API", "Netlify Functions", "Google Sheets", "Zapier", "Jira Automation", "Slack", "Notion"],
+    risks_and_privacy: [
+        "Customer data may be sent to a third-party model provider",
+        "Automated decisions can drift without periodic review",
+        "Access to the tool should be limited to the team",
+        "Prompts and outputs may be retained in provider logs"
+    ],
+    next_steps: [
+        "Schedule a kickoff with the workflow owner",
+        "Collect a sample of recent items to test against",
+        "Draft success metrics for the pilot",
+        "Build a prototype using the mock provider",
+        "Review the prototype output with the team",
+        "Decide on the rollout scope",
+        "Write a short runbook for the new process"
+    ]
+};
+
+const MOCK_TEXT = {
+    problem_statement: (subject) => `The team needs a repeatable, lower-effort way to handle this: ${subject}`,
+    summary: (subject) => `Reported issue: ${subject}`,
+    rationale: () => "Chosen deterministically by the mock provider from the ticket text; no model was called."
+};
+
+const MOCK_FALLBACK_PHRASES = [
+    "Review the current process with the team",
+    "Confirm the scope with stakeholders",
+    "Document the agreed outcome",
+    "Track progress in the team backlog"
+];
+
+function mockValue(schema, ctx) {
+    if (!schema || typeof schema !== "object") return null;
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+        return schema.enum[ctx.seed % schema.enum.length];
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+
+    if (type === "object") {
+        const out = {};
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            out[key] = mockValue(propSchema, { ...ctx, key, seed: ctx.seed + hashString(key) });
+        }
+        return out;
+    }
+
+    if (type === "array") {
+        const min = schema.minItems ?? 1;
+        const max = Math.max(min, schema.maxItems ?? min + 2);
+        const phrases = MOCK_PHRASES[ctx.key] || MOCK_FALLBACK_PHRASES;
+        // Stay within the phrase bank where the schema allows it so items do not repeat.
+        const count = Math.min(min + (ctx.seed % (max - min + 1)), Math.max(min, phrases.length));
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            const itemSchema = schema.items || { type: "string" };
+            if (Array.isArray(itemSchema.enum)) {
+                // Distinct enum values (labels and the like), capped by how many exist.
+                if (i >= itemSchema.enum.length) break;
+                items.push(itemSchema.enum[(ctx.seed + i) % itemSchema.enum.length]);
+            } else if (itemSchema.type === "string") {
+                items.push(fitString(phrases[(ctx.seed + i) % phrases.length], itemSchema, i));
+            } else {
+                items.push(mockValue(itemSchema, { ...ctx, seed: ctx.seed + i }));
+            }
+        }
+        return items;
+    }
+
+    if (type === "string") {
+        const template = MOCK_TEXT[ctx.key] || MOCK_TEXT.problem_statement;
+        const base = MOCK_PHRASES[ctx.key]
+            ? MOCK_PHRASES[ctx.key][ctx.seed % MOCK_PHRASES[ctx.key].length]
+            : template(ctx.subject);
+        return fitString(base, schema, 0);
+    }
+
+    if (type === "integer" || type === "number") {
+        const min = schema.minimum ?? 0;
+        const max = schema.maximum ?? min + 10;
+        const value = min + ((ctx.seed % 100) / 100) * (max - min);
+        return type === "integer" ? Math.round(value) : Math.round(value * 100) / 100;
+    }
+
+    if (type === "boolean") return ctx.seed % 2 === 0;
+    return null;
+}
+
+function fitString(text, schema, index) {
+    let out = text;
+    const minLength = schema.minLength || 0;
+    // Repeat a neutral suffix rather than random characters so short phrases stay readable.
+    while (out.length < minLength) out += index === 0 ? " (details to follow)" : ` (item ${index + 1})`;
+    if (schema.maxLength && out.length > schema.maxLength) out = out.slice(0, schema.maxLength);
+    return out;
+}
+
+function pickSubject(text) {
+    const first = String(text)
+        .split(/\r?\n/)
+        .map((l) => l.trim())
+        .find(Boolean) || "";
+    const collapsed = first.replace(/\s+/g, " ");
+    return collapsed.length > 160 ? `${collapsed.slice(0, 157)}...` : collapsed || "an unspecified workflow problem.";
+}
+
+// FNV-1a: stable across runs and platforms, which keeps mock output deterministic.
+function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
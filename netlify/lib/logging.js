@@ -0,0 +1,22 @@
+// One JSON object per line on stdout/stderr, which Netlify's function logs (and most log
+// shippers) index as fields. LOG_LEVEL: debug, info (default), warn, error or off.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: Infinity };
+
+function threshold(env) {
+    return LEVELS[String(env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+}
+
+export function log(level, msg, fields = {}, env = process.env) {
+    if (LEVELS[level] < threshold(env)) return;
+    const line = JSON.stringify({ ts: new Date().toISOString(), level, msg, ...fields });
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+}
+
+// Level for a finished request: server-side failures are errors, rejected requests warnings.
+export function levelFor(statusCode, cause) {
+    if (statusCode >= 500) return "error";
+    if (statusCode >= 400 || (cause && cause !== "ok")) return "warn";
+    return "info";
+}
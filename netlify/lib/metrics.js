@@ -0,0 +1,277 @@
+import { createStore } from "./store.js";
+import { getRequestId } from "./http.js";
+import { levelFor, log } from "./logging.js";
+import { estimateCostUsd, estimateTokens } from "./ratelimit.js";
+
+// Per-request logging and metrics. Every request is written as one JSON log line and folded
+// into a metrics snapshot (counters and a latency histogram) that the metrics function serves
+// in Prometheus text format and as a JSON summary for the admin view.
+//
+//   METRICS=off          disables the snapshot (requests are still logged)
+//   METRICS_STORE        memory (default), file (METRICS_FILE) or blobs (METRICS_BLOBS_STORE)
+//
+// With the memory store each function instance keeps its own numbers, and the metrics function
+// only sees its own, so deployed sites should use blobs and `netlify dev` the file store.
+// Token counts and cost are estimates (see ratelimit.js).
+
+const PREFIX = "office_hours_";
+const SNAPSHOT_KEY = "metrics";
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const METRICS = {
+    requests_total: { type: "counter", help: "Requests handled, by function, HTTP status and cause (ok or why it failed)." },
+    request_duration_seconds: { type: "histogram", help: "Request latency in seconds." },
+    llm_attempts_total: { type: "counter", help: "Model calls, including retries after rejected output." },
+    tokens_total: { type: "counter", help: "Estimated model tokens, by direction (input or output)." },
+    cost_usd_total: { type: "counter", help: "Estimated model cost in USD." },
+    validation_failures_total: { type: "counter", help: "Rejected model attempts, by response field and validation rule." }
+};
+
+// Fallback causes for responses that did not set one.
+const STATUS_CAUSES = {
+    400: "bad_request",
+    401: "unauthorized",
+    403: "forbidden",
+    405: "method_not_allowed",
+    413: "body_too_large",
+    429: "rate_limited"
+};
+
+// Validation details (see validate.js and structured.js) reduced to a rule name, so the
+// metric has a small, fixed set of label values.
+const RULES = [
+    [/^The response was empty/, "empty"],
+    [/^Output is not valid JSON/, "json"],
+    [/^Unexpected property/, "unexpected_property"],
+    [/^Missing required property/, "required"],
+    [/must be one of/, "enum"],
+    [/must have .*items/, "item_count"],
+    [/must not contain duplicates/, "unique"],
+    [/must match required pattern/, "pattern"],
+    [/must be at most \d+ characters/, "max_length"],
+    [/minLength/, "min_length"],
+    [/must be a number between/, "range"],
+    [/must be an? |is not an object/, "type"]
+];
+
+const cachedStores = new Map();
+let pendingWrite = Promise.resolve();
+
+export function loadMetrics(env = process.env) {
+    return {
+        enabled: !["off", "false", "0"].includes(String(env.METRICS || "").toLowerCase()),
+        storeKind: env.METRICS_STORE || "memory",
+        storeFile: env.METRICS_FILE || ".data/metrics.json",
+        storeName: env.METRICS_BLOBS_STORE || "metrics"
+    };
+}
+
+function getStore(config) {
+    const key = `${config.storeKind}:${config.storeFile}:${config.storeName}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(config.storeKind, { file: config.storeFile, name: config.storeName }));
+    return cachedStores.get(key);
+}
+
+export function validationRule(details) {
+    const text = String(details || "");
+    const rule = RULES.find(([pattern]) => pattern.test(text))?.[1] || "other";
+    if (rule === "empty" || rule === "json") return { field: "response", rule };
+    const path = text.match(/^(?:Unexpected property|Missing required property): ([\w.]+)/)?.[1] || text.match(/^([\w.]+)(?: items)? (?:must|is)/)?.[1];
+    return { field: !path || path === "Response" ? "response" : path.split(".")[0], rule };
+}
+
+export function causeFor(statusCode, cause) {
+    if (cause) return cause;
+    if (statusCode < 400) return "ok";
+    return STATUS_CAUSES[statusCode] || (statusCode >= 500 ? "server_error" : "bad_request");
+}
+
+// Token and cost estimate for a model call; every attempt resends the prompts.
+export function llmUsage({ system, user, output, attempts }, env = process.env) {
+    const inputTokens = attempts * estimateTokens(system, user);
+    const outputTokens = attempts * estimateTokens(output);
+    return { input_tokens: inputTokens, output_tokens: outputTokens, cost_usd: estimateCostUsd(inputTokens + outputTokens, env) };
+}
+
+function emptySnapshot() {
+    return { since: new Date().toISOString(), counters: {}, histograms: {} };
+}
+
+function increment(snapshot, name, labels, by = 1) {
+    if (!by) return;
+    const series = (snapshot.counters[name] ||= {});
+    const key = JSON.stringify(labels);
+    series[key] = (series[key] || 0) + by;
+}
+
+function observe(snapshot, name, labels, value) {
+    const series = (snapshot.histograms[name] ||= {});
+    const key = JSON.stringify(labels);
+    const histogram = (series[key] ||= { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (value <= bound) histogram.buckets[i] += 1;
+    });
+    histogram.sum += value;
+    histogram.count += 1;
+}
+
+function applyRecord(snapshot, record) {
+    const fn = { function: record.function };
+    increment(snapshot, "requests_total", { ...fn, status: String(record.status), cause: record.cause });
+    observe(snapshot, "request_duration_seconds", fn, record.latency_ms / 1000);
+    increment(snapshot, "llm_attempts_total", fn, record.attempts || 0);
+    increment(snapshot, "tokens_total", { ...fn, direction: "input" }, record.input_tokens || 0);
+    increment(snapshot, "tokens_total", { ...fn, direction: "output" }, record.output_tokens || 0);
+    increment(snapshot, "cost_usd_total", fn, record.cost_usd || 0);
+    for (const details of record.validation_errors || []) {
+        increment(snapshot, "validation_failures_total", { ...fn, ...validationRule(details) });
+    }
+}
+
+// Logs a finished request and adds it to the snapshot. Never throws: losing a data point is
+// better than failing the request. Updates from one instance are applied one at a time.
+export async function recordRequest(record, env = process.env) {
+    const entry = { ...record, cause: causeFor(record.status, record.cause) };
+    log(levelFor(entry.status, entry.cause), "request", entry, env);
+
+    const config = loadMetrics(env);
+    if (!config.enabled) return;
+    const loaded = getStore(config);
+    if (!loaded.ok) {
+        log("error", "metrics store unavailable", { error: loaded.error }, env);
+        return;
+    }
+
+    pendingWrite = pendingWrite
+        .then(async () => {
+            const snapshot = (await loaded.store.get(SNAPSHOT_KEY)) || emptySnapshot();
+            applyRecord(snapshot, entry);
+            await loaded.store.set(SNAPSHOT_KEY, snapshot);
+        })
+        .catch((e) => log("error", "metrics update failed", { error: e.message }, env));
+    await pendingWrite;
+}
+
+// { ok, snapshot } or { ok: false, error }.
+export async function readMetrics(env = process.env) {
+    const config = loadMetrics(env);
+    if (!config.enabled) return { ok: true, snapshot: emptySnapshot() };
+    const loaded = getStore(config);
+    if (!loaded.ok) return loaded;
+    try {
+        await pendingWrite;
+        return { ok: true, snapshot: (await loaded.store.get(SNAPSHOT_KEY)) || emptySnapshot() };
+    } catch (e) {
+        return { ok: false, error: `Could not read metrics: ${e.message}` };
+    }
+}
+
+// Wraps a classic handler so every request except CORS preflights is logged and counted.
+// The handler gets `obs` as a second argument to attach what it learns along the way
+// (model, prompt_version, attempts, tokens, validation, cause).
+export function withMetrics(name, handler) {
+    return async (event) => {
+        if (event.httpMethod === "OPTIONS") return handler(event, {});
+
+        const started = Date.now();
+        const obs = {};
+        const base = {
+            function: name,
+            request_id: getRequestId(event),
+            method: event.httpMethod,
+            ...(event.internal ? { internal: true } : {})
+        };
+        try {
+            const res = await handler(event, obs);
+            await recordRequest({ ...base, status: res.statusCode, latency_ms: Date.now() - started, ...obs });
+            return res;
+        } catch (err) {
+            await recordRequest({ ...base, status: 500, cause: "exception", error: err?.message || String(err), latency_ms: Date.now() - started, ...obs });
+            throw err;
+        }
+    };
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+export function renderPrometheus(snapshot) {
+    const lines = [];
+    for (const [name, def] of Object.entries(METRICS)) {
+        const metric = PREFIX + name;
+        lines.push(`# HELP ${metric} ${def.help}`, `# TYPE ${metric} ${def.type}`);
+
+        if (def.type === "counter") {
+            for (const [key, value] of Object.entries(snapshot.counters[name] || {})) {
+                lines.push(`${metric}${labelText(JSON.parse(key))} ${value}`);
+            }
+            continue;
+        }
+        for (const [key, histogram] of Object.entries(snapshot.histograms[name] || {})) {
+            const labels = JSON.parse(key);
+            LATENCY_BUCKETS.forEach((bound, i) => lines.push(`${metric}_bucket${labelText({ ...labels, le: String(bound) })} ${histogram.buckets[i]}`));
+            lines.push(
+                `${metric}_bucket${labelText({ ...labels, le: "+Inf" })} ${histogram.count}`,
+                `${metric}_sum${labelText(labels)} ${histogram.sum}`,
+                `${metric}_count${labelText(labels)} ${histogram.count}`
+            );
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+function eachSeries(snapshot, name, fn) {
+    for (const [key, value] of Object.entries(snapshot.counters[name] || {})) fn(JSON.parse(key), value);
+}
+
+function share(count, total) {
+    return total ? count / total : 0;
+}
+
+// Totals per function, failures by cause and validation failures by rule, for the admin view.
+export function summarizeMetrics(snapshot) {
+    const functions = {};
+    const causes = {};
+    const row = (name) =>
+        (functions[name] ||= { function: name, requests: 0, errors: 0, attempts: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, avg_latency_ms: null });
+
+    eachSeries(snapshot, "requests_total", (labels, count) => {
+        const fn = row(labels.function);
+        fn.requests += count;
+        if (labels.cause !== "ok") {
+            fn.errors += count;
+            causes[labels.cause] = (causes[labels.cause] || 0) + count;
+        }
+    });
+    eachSeries(snapshot, "llm_attempts_total", (labels, count) => (row(labels.function).attempts += count));
+    eachSeries(snapshot, "tokens_total", (labels, count) => (row(labels.function)[`${labels.direction}_tokens`] += count));
+    eachSeries(snapshot, "cost_usd_total", (labels, cost) => (row(labels.function).cost_usd += cost));
+    for (const [key, histogram] of Object.entries(snapshot.histograms.request_duration_seconds || {})) {
+        if (histogram.count) row(JSON.parse(key).function).avg_latency_ms = Math.round((histogram.sum / histogram.count) * 1000);
+    }
+
+    const validation = [];
+    eachSeries(snapshot, "validation_failures_total", (labels, count) => validation.push({ ...labels, count }));
+
+    const rows = Object.values(functions).sort((a, b) => b.requests - a.requests);
+    const requests = rows.reduce((sum, fn) => sum + fn.requests, 0);
+    const errors = rows.reduce((sum, fn) => sum + fn.errors, 0);
+    return {
+        since: snapshot.since,
+        requests,
+        errors,
+        error_rate: share(errors, requests),
+        cost_usd: rows.reduce((sum, fn) => sum + fn.cost_usd, 0),
+        functions: rows.map((fn) => ({ ...fn, error_rate: share(fn.errors, fn.requests) })),
+        causes: Object.entries(causes)
+            .map(([cause, count]) => ({ cause, count, rate: share(count, requests) }))
+            .sort((a, b) => b.count - a.count),
+        validation_failures: validation.sort((a, b) => b.count - a.count)
+    };
+}
@@ -0,0 +1,141 @@
+import fs from "node:fs";
+import path from "node:path";
+import { buildModeSchema, registerSchema } from "./schemas.js";
+import { DEFAULT_MODE, SECTION_KINDS, WORKFLOW_MODE } from "../../shared/planModes.js";
+
+// Plan modes beyond the built-in workflow plan, from config/plan-modes.json (override with
+// PLAN_MODES_FILE). A mode is { id, label, description?, instructions, sections, prompts? } with
+// sections { key, label, kind, min?, max?, hint? } (kinds in shared/planModes.js). Its response
+// schema is built from the sections and registered as plan_mode_<id>. Modes share the generic
+// "mode" prompt family, which renders their instructions and sections, unless `prompts` names a
+// family of their own in config/prompts. The workflow plan needs no config, so a broken file
+// only affects the modes in it.
+const DEFAULT_MODES_FILE = "config/plan-modes.json";
+const GENERIC_PROMPTS = "mode";
+const MAX_SECTIONS = 12;
+const MAX_ITEMS = 20;
+const ID_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const LIST_KEYS = ["clarifying_questions", "next_steps"];
+
+const WORKFLOW = { ...WORKFLOW_MODE, schemaName: "office_hours_plan", prompts: "plan" };
+
+const cache = new Map();
+
+export function loadModes(env = process.env) {
+    const file = path.resolve(process.cwd(), env.PLAN_MODES_FILE || DEFAULT_MODES_FILE);
+    if (cache.has(file)) return cache.get(file);
+
+    let result;
+    try {
+        const config = JSON.parse(fs.readFileSync(file, "utf8"));
+        const error = checkModes(config);
+        result = error ? { ok: false, error: `Invalid plan modes config: ${error}` } : { ok: true, modes: [WORKFLOW, ...config.modes.map(toMode)] };
+    } catch (e) {
+        result = { ok: false, error: `Could not load plan modes config: ${e.message}` };
+    }
+    cache.set(file, result);
+    return result;
+}
+
+function isCount(value) {
+    return value === undefined || (Number.isInteger(value) && value >= 1 && value <= MAX_ITEMS);
+}
+
+function checkSection(s, keys) {
+    if (!s || typeof s !== "object") return "every section must be an object.";
+    if (typeof s.key !== "string" || !ID_PATTERN.test(s.key)) return `section key ${s.key} must be lowercase letters, digits and underscores.`;
+    if (keys.has(s.key)) return `duplicate section ${s.key}.`;
+    if (typeof s.label !== "string" || !s.label.trim()) return `section ${s.key} needs a label.`;
+    if (!SECTION_KINDS.includes(s.kind)) return `section ${s.key} kind must be one of: ${SECTION_KINDS.join(", ")}.`;
+    if (LIST_KEYS.includes(s.key) && s.kind === "text") return `section ${s.key} must be a list.`;
+    if (!isCount(s.min) || !isCount(s.max)) return `section ${s.key} min and max must be integers from 1 to ${MAX_ITEMS}.`;
+    if (s.min !== undefined && s.max !== undefined && s.min > s.max) return `section ${s.key} min is larger than max.`;
+    if (s.hint !== undefined && typeof s.hint !== "string") return `section ${s.key} hint must be a string.`;
+    return null;
+}
+
+function checkModes(config) {
+    if (!config || typeof config !== "object" || !Array.isArray(config.modes)) return "modes must be an array.";
+    const ids = new Set([DEFAULT_MODE]);
+    for (const m of config.modes) {
+        if (typeof m?.id !== "string" || !ID_PATTERN.test(m.id)) return `mode id ${m?.id} must be lowercase letters, digits and underscores.`;
+        if (ids.has(m.id)) return `mode ${m.id} is defined twice (${DEFAULT_MODE} is built in).`;
+        ids.add(m.id);
+        if (typeof m.label !== "string" || !m.label.trim()) return `mode ${m.id} needs a label.`;
+        if (m.description !== undefined && typeof m.description !== "string") return `mode ${m.id} description must be a string.`;
+        if (m.prompts !== undefined && (typeof m.prompts !== "string" || !/^[a-z][a-z0-9_-]*$/.test(m.prompts))) {
+            return `mode ${m.id} prompts must name a prompt family.`;
+        }
+        if (m.prompts === undefined && (typeof m.instructions !== "string" || !m.instructions.trim())) {
+            return `mode ${m.id} needs instructions (or its own prompts).`;
+        }
+        if (!Array.isArray(m.sections) || !m.sections.length || m.sections.length > MAX_SECTIONS) {
+            return `mode ${m.id} needs 1-${MAX_SECTIONS} sections.`;
+        }
+        const keys = new Set();
+        for (const s of m.sections) {
+            const error = checkSection(s, keys);
+            if (error) return `mode ${m.id}: ${error}`;
+            keys.add(s.key);
+        }
+    }
+    return null;
+}
+
+function toMode(m) {
+    const sections = m.sections.map(({ key, label, kind, min, max, hint }) => ({ key, label, kind, min, max, hint }));
+    const schemaName = `plan_mode_${m.id}`;
+    registerSchema(schemaName, buildModeSchema(sections));
+    return {
+        id: m.id,
+        label: m.label,
+        description: m.description || "",
+        instructions: m.instructions || "",
+        sections,
+        schemaName,
+        prompts: m.prompts || GENERIC_PROMPTS
+    };
+}
+
+// Returns { ok, mode } or { ok: false, statusCode, error }. No mode means the workflow plan.
+export function resolveMode(requested, env = process.env) {
+    if (requested === undefined || requested === null || requested === DEFAULT_MODE) return { ok: true, mode: WORKFLOW };
+    if (typeof requested !== "string") return { ok: false, statusCode: 400, error: "mode must be a string." };
+
+    const loaded = loadModes(env);
+    if (!loaded.ok) return { ok: false, statusCode: 500, error: loaded.error };
+    const mode = loaded.modes.find((m) => m.id === requested);
+    if (!mode) {
+        return { ok: false, statusCode: 400, error: `Unknown mode: ${requested}. Available: ${loaded.modes.map((m) => m.id).join(", ")}.` };
+    }
+    return { ok: true, mode };
+}
+
+// What the app needs to offer and render a mode.
+export function describeMode(mode) {
+    const { id, label, description, sections } = mode;
+    return { id, label, description, sections: sections.map(({ key, label, kind }) => ({ key, label, kind })) };
+}
+
+function describeSection(section, schema) {
+    const { key, label, kind, hint } = section;
+    let shape;
+    if (kind === "text") {
+        shape = "a paragraph";
+    } else {
+        shape = `${schema.minItems}-${schema.maxItems} ${kind === "tags" ? "short labels" : "items"}`;
+        if (kind === "numbered") shape += " in order";
+        if (key === "next_steps") shape += ", each starting with an action verb (no numbering or bullet prefixes)";
+        if (key === "clarifying_questions") shape += ", questions whose answers would most improve this";
+    }
+    return `- ${key} (${label}): ${shape}.${hint ? ` ${hint}` : ""}`;
+}
+
+// Template variables for the generic "mode" prompt family.
+export function modeVars(mode, schema) {
+    return {
+        mode_label: mode.label,
+        mode_instructions: mode.instructions,
+        mode_sections: mode.sections.map((s) => describeSection(s, schema.properties[s.key])).join("\n")
+    };
+}
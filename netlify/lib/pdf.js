@@ -0,0 +1,127 @@
+import zlib from "node:zlib";
+
+// Best-effort text extraction from PDF content streams, without a PDF library. It reads the
+// text-showing operators (Tj, TJ, ', ") of uncompressed and FlateDecode streams and decodes
+// literal and hex strings as single-byte text, which works for PDFs whose fonts use simple
+// (WinAnsi-style) encodings. Many exports embed two-byte CID fonts (Identity-H) instead; their
+// text cannot be read this way, and streams that decode to mostly unprintable characters are
+// dropped rather than passed on as garbage. Scanned PDFs (images only) have no text either;
+// callers treat all of these as "no text found".
+
+// A stream may inflate to far more than the file's size; larger ones are skipped, and once the
+// streams of one file have inflated to MAX_TOTAL_INFLATED_BYTES the rest are not read.
+const MAX_INFLATED_BYTES = 4 * 1024 * 1024;
+const MAX_TOTAL_INFLATED_BYTES = 8 * 1024 * 1024;
+// Share of unprintable characters above which a stream's text is treated as unreadable.
+const MAX_UNPRINTABLE_SHARE = 0.1;
+
+const STREAM_START = /\bstream\r?\n/g;
+const SKIPPED_STREAMS = /\/Subtype\s*\/Image|\/FontFile|\/Length1|\/Type\s*\/(?:XRef|ObjStm|Metadata|EmbeddedFile)/;
+const TOKEN = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9A-Fa-f\s]*>|\[|\]|[+-]?(?:\d+\.?\d*|\.\d+)|\/[^\s/[\]()<>{}%]+|[A-Za-z'"*]+/g;
+
+function streams(raw) {
+    const out = [];
+    let budget = MAX_TOTAL_INFLATED_BYTES;
+    STREAM_START.lastIndex = 0;
+    let match;
+    while ((match = STREAM_START.exec(raw))) {
+        // The stream's dictionary sits between "N 0 obj" and "stream".
+        const dict = raw.slice(raw.lastIndexOf("obj", match.index), match.index);
+        const start = match.index + match[0].length;
+        const end = raw.indexOf("endstream", start);
+        if (end === -1) break;
+        STREAM_START.lastIndex = end + "endstream".length;
+        if (SKIPPED_STREAMS.test(dict)) continue;
+
+        const data = Buffer.from(raw.slice(start, end).replace(/\r?\n$/, ""), "latin1");
+        const filters = dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || "";
+        if (!filters) {
+            out.push(data.toString("latin1"));
+        } else if (filters.replace(/[[\]\s]/g, "") === "/FlateDecode") {
+            if (budget <= 0) break;
+            const limit = Math.min(MAX_INFLATED_BYTES, budget);
+            try {
+                const inflated = zlib.inflateSync(data, { maxOutputLength: limit });
+                budget -= inflated.length;
+                out.push(inflated.toString("latin1"));
+            } catch {
+                // Truncated, corrupt or too large once inflated: skip it and keep what the others
+                // yield. It may have inflated up to the limit before failing, so that is charged.
+                budget -= limit;
+            }
+        }
+    }
+    return out;
+}
+
+function literalString(token) {
+    const body = token.slice(1, -1);
+    return body.replace(/\\(\r?\n|[0-7]{1,3}|[\s\S])/g, (_, esc) => {
+        if (/^\r?\n$/.test(esc)) return "";
+        if (/^[0-7]+$/.test(esc)) return String.fromCharCode(Number.parseInt(esc, 8) & 0xff);
+        return { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[esc] ?? esc;
+    });
+}
+
+function hexString(token) {
+    let hex = token.slice(1, -1).replace(/\s+/g, "");
+    if (hex.length % 2) hex += "0";
+    return Buffer.from(hex, "hex").toString("latin1");
+}
+
+function contentText(content) {
+    let text = "";
+    let operands = [];
+    let array = null;
+
+    for (const token of content.match(TOKEN) || []) {
+        const first = token[0];
+        const value = first === "(" ? literalString(token) : first === "<" ? hexString(token) : null;
+
+        if (token === "[") {
+            array = [];
+        } else if (token === "]") {
+            operands.push(array || []);
+            array = null;
+        } else if (array) {
+            // Inside TJ arrays a large negative kerning value usually stands for a space.
+            if (value !== null) array.push(value);
+            else if (Number(token) < -200) array.push(" ");
+        } else if (value !== null || /^[+-]?[\d.]/.test(token) || first === "/") {
+            operands.push(value ?? token);
+        } else {
+            if (token === "Tj") text += operands.at(-1) ?? "";
+            else if (token === "TJ") text += (operands.at(-1) || []).join("");
+            else if (token === "'" || token === '"') text += `\n${operands.at(-1) ?? ""}`;
+            else if (token === "T*" || token === "ET") text += "\n";
+            else if (token === "Td" || token === "TD") text += Number(operands.at(-1)) !== 0 ? "\n" : " ";
+            operands = [];
+        }
+    }
+    return text;
+}
+
+// Two-byte glyph codes read as single bytes come out as NULs and other control characters.
+function readable(text) {
+    const chars = text.replace(/\s+/g, "");
+    if (!chars) return false;
+    const unprintable = (chars.match(/[\x00-\x1f\x7f-\x9f]/g) || []).length;
+    return unprintable / chars.length <= MAX_UNPRINTABLE_SHARE;
+}
+
+// Returns the text of a PDF (as a Buffer), or "" when none could be read.
+export function extractPdfText(buffer) {
+    const raw = buffer.toString("latin1");
+    const text = streams(raw)
+        .filter((content) => /\bBT\b/.test(content))
+        .map(contentText)
+        .filter(readable)
+        .join("\n");
+    return text
+        .replace(/[^\S\n]+/g, " ")
+        .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, "")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join("\n");
+}
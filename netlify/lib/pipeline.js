@@ -0,0 +1,305 @@
+import { resolveProvider } from "./llm.js";
+import { generateStructured } from "./structured.js";
+import { getSchema } from "./schemas.js";
+import { validateAgainstSchema } from "./validate.js";
+import { renderTemplate } from "./template.js";
+import { createRedactor, formatRedactions, loadRedaction } from "./redact.js";
+import { enforceLimits, identifyClient, recordUsage } from "./ratelimit.js";
+import { authenticate } from "./auth.js";
+import { cacheKey, loadCache, versionOf, wantsFresh } from "./cache.js";
+import { selectPrompt } from "./prompts.js";
+import { llmUsage, withMetrics } from "./metrics.js";
+import { MAX_BODY_BYTES_WITH_ATTACHMENTS, imagesVersion, prepareAttachments } from "./attachments.js";
+import { examplesVar } from "./feedback.js";
+import {
+    DEBUG_ERRORS,
+    MAX_BODY_BYTES,
+    MAX_INPUT_CHARS,
+    getRequestId,
+    jsonResponse,
+    optionsResponse,
+    parseJsonBody,
+    readInput,
+    toHttpError,
+    withCors
+} from "./http.js";
+
+// Builds a Netlify handler for a structured-output endpoint from a spec: name (logs and metrics),
+// schemaName, scope (see auth.js), prompts (a family in config/prompts), inputField, and the
+// optional variant, attachments, feedback, system/user, prepare(ctx) and respond(value, ctx).
+// prepare may reject with { error, statusCode } and must pass any user text it adds to a prompt
+// through ctx.redactor.redact(). In-process callers set event.internal to skip the rate-limit
+// bucket, and event.principal when they authenticated the request another way.
+export function createStructuredHandler(spec) {
+    const { name, respond } = spec;
+
+    return withCors(withMetrics(name, async (event, obs) => {
+        if (event.httpMethod === "OPTIONS") {
+            return optionsResponse();
+        }
+
+        if (event.httpMethod !== "POST") {
+            return jsonResponse(405, { error: "Method not allowed. Use POST." });
+        }
+
+        const prepared = await prepareStructuredRequest(spec, event, obs);
+        if (!prepared.ok) {
+            return jsonResponse(prepared.statusCode, prepared.body, prepared.headers);
+        }
+        const { ctx } = prepared;
+        const { provider, limit, prompts, redactor, requestId, cached, extraUsage } = ctx;
+
+        try {
+            let result;
+            if (cached) {
+                result = { ok: true, value: cached.value, repaired: cached.repaired, attempts: 0 };
+                obs.validation = "cached";
+                if (extraUsage.attempts) {
+                    await recordUsage(limit.client, extraUsage.input_tokens + extraUsage.output_tokens);
+                    Object.assign(obs, extraUsage);
+                }
+            } else {
+                result = await generateStructured({
+                    provider,
+                    ...prompts,
+                    input: ctx.providerInput,
+                    images: ctx.images,
+                    schema: ctx.schema,
+                    schemaName: ctx.schemaName,
+                    validate: (value) => validateAgainstSchema(value, ctx.schema)
+                });
+                const output = result.ok ? JSON.stringify(result.value) : result.text;
+                const usage = llmUsage({ ...prompts, output, attempts: result.attempts });
+                await recordUsage(limit.client, usage.input_tokens + usage.output_tokens + extraUsage.input_tokens + extraUsage.output_tokens);
+                if (result.ok) await ctx.cache.set(ctx.cacheKey, { value: result.value, repaired: result.repaired });
+                Object.assign(obs, {
+                    input_tokens: usage.input_tokens + extraUsage.input_tokens,
+                    output_tokens: usage.output_tokens + extraUsage.output_tokens,
+                    cost_usd: usage.cost_usd + extraUsage.cost_usd,
+                    attempts: result.attempts + extraUsage.attempts,
+                    validation: result.ok ? (result.repaired ? "repaired" : "valid") : "invalid",
+                    validation_errors: result.failures,
+                    ...(result.ok ? {} : { cause: result.cause })
+                });
+            }
+            obs.redactions = redactor.report();
+
+            if (!result.ok) {
+                return jsonResponse(502, {
+                    error: result.error,
+                    requestId,
+                    attempts: result.attempts,
+                    ...(DEBUG_ERRORS ? { details: result.details, model_output: result.text.slice(0, 2000) } : {})
+                }, {
+                    ...limit.headers,
+                    ...ctx.metaHeaders,
+                    "x-llm-attempts": String(result.attempts),
+                    "x-redactions": formatRedactions(redactor.report())
+                });
+            }
+
+            const value = ctx.output(result.value);
+            return jsonResponse(200, respond ? await respond(value, ctx) : value, {
+                ...limit.headers,
+                ...ctx.headers,
+                ...ctx.metaHeaders,
+                "x-llm-attempts": String(result.attempts),
+                "x-llm-repaired": String(result.repaired),
+                "x-redactions": formatRedactions(redactor.report())
+            });
+        } catch (err) {
+            const failed = failure(err, obs, requestId);
+            return jsonResponse(failed.statusCode, failed.body, failed.headers);
+        }
+    }));
+}
+
+// A thrown provider error (network, auth, 429) as a rejection; see toHttpError.
+function failure(err, obs, requestId) {
+    const httpErr = toHttpError(err);
+    Object.assign(obs, { cause: httpErr.cause, error: err?.message || String(err) });
+    return {
+        ok: false,
+        statusCode: httpErr.statusCode,
+        body: { error: httpErr.message, requestId, ...(DEBUG_ERRORS ? { details: err?.message || String(err) } : {}) },
+        headers: {}
+    };
+}
+
+function reject(statusCode, body, headers = {}) {
+    return { ok: false, statusCode, body, headers };
+}
+
+// Everything before the model call, for createStructuredHandler and for streaming handlers
+// (generatePlanStream) that send the result their own way: auth, provider, body, variant,
+// schema, redaction, cache, prompt, prepare, limits, examples, attachments, rendered prompts
+// and the cache lookup. `event` is a classic event (streaming handlers build one from their
+// Request); `signal` aborts attachment summaries.
+//
+// Returns { ok: true, ctx } or { ok: false, statusCode, body, headers } for the caller to send.
+// Besides the fields listed above, ctx holds provider, limit, schemaName, prompts ({ system,
+// user }), cache, cacheKey, cached (the cache entry, if any), metaHeaders, extraUsage (attachment
+// summaries) and output(value), which rehydrates redacted values when configured.
+export async function prepareStructuredRequest(spec, event, obs, { signal } = {}) {
+    const {
+        schemaName,
+        scope,
+        prompts: promptFamily,
+        inputField,
+        variant,
+        attachments: acceptsAttachments = false,
+        feedback: feedbackKind,
+        system = (ctx) => ctx.prompt.templates.system,
+        user = (ctx) => ctx.prompt.templates.user,
+        prepare,
+        maxInputChars = MAX_INPUT_CHARS,
+        maxBodyBytes = acceptsAttachments ? MAX_BODY_BYTES_WITH_ATTACHMENTS : MAX_BODY_BYTES
+    } = spec;
+
+    const auth = event.internal && event.principal ? { ok: true, principal: event.principal } : authenticate(event.headers, scope);
+    if (!auth.ok) {
+        return reject(auth.statusCode, { error: auth.error, requestId: getRequestId(event) }, auth.headers);
+    }
+
+    const resolved = resolveProvider();
+    if (!resolved.ok) {
+        return reject(500, { error: resolved.error });
+    }
+    const { provider } = resolved;
+    obs.model = `${provider.name}:${provider.model}`;
+
+    const requestId = getRequestId(event);
+    const body = parseJsonBody(event, maxBodyBytes);
+    if (!body.ok) {
+        return reject(body.statusCode, { error: body.error, requestId });
+    }
+    const payload = body.value;
+
+    const input = readInput(payload, inputField, maxInputChars);
+    if (!input.ok) {
+        return reject(400, { error: input.error, requestId });
+    }
+
+    const picked = variant ? variant(payload) : { ok: true, schemaName, prompts: promptFamily };
+    if (!picked.ok) {
+        return reject(picked.statusCode, { error: picked.error, requestId });
+    }
+
+    const loaded = getSchema(picked.schemaName);
+    if (!loaded.ok) {
+        return reject(500, { error: loaded.error, requestId });
+    }
+    const { schema } = loaded;
+
+    const redaction = loadRedaction();
+    if (!redaction.ok) {
+        return reject(500, { error: redaction.error, requestId });
+    }
+    const redactor = createRedactor(redaction.config);
+    const safeInput = redactor.redact(input.value);
+
+    const cacheLoaded = loadCache();
+    if (!cacheLoaded.ok) {
+        return reject(500, { error: cacheLoaded.error, requestId });
+    }
+    const { cache } = cacheLoaded;
+
+    const client = identifyClient(event.headers, auth.principal);
+    const prompt = selectPrompt(picked.prompts, { requested: payload.promptVersion, seed: client.id });
+    if (!prompt.ok) {
+        return reject(prompt.statusCode, { error: prompt.error, requestId });
+    }
+    obs.prompt_version = prompt.id;
+
+    const ctx = {
+        event,
+        payload,
+        input: safeInput,
+        requestId,
+        variant: picked.value,
+        schema,
+        schemaName: picked.schemaName,
+        prompt,
+        vars: { input: safeInput },
+        providerInput: safeInput,
+        redactor,
+        headers: {},
+        images: [],
+        provider,
+        cache,
+        extraUsage: { attempts: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 },
+        output: (value) => (redaction.config.rehydrate ? redactor.rehydrate(value) : value)
+    };
+
+    if (prepare) {
+        const prepared = await prepare(ctx);
+        if (prepared?.error) {
+            return reject(prepared.statusCode || 400, { error: prepared.error, requestId });
+        }
+    }
+
+    // Only requests that passed validation take a token.
+    const limit = await enforceLimits(event.headers, { principal: auth.principal, bucket: !event.internal });
+    if (!limit.ok) {
+        return reject(limit.statusCode, { error: limit.error, requestId }, limit.headers);
+    }
+    ctx.limit = limit;
+
+    if (feedbackKind) {
+        const examples = await examplesVar({ kind: feedbackKind, mode: ctx.variant?.id, input: safeInput });
+        ctx.vars.examples = examples.text;
+        if (examples.count) obs.examples = examples.count;
+    }
+
+    try {
+        if (acceptsAttachments) {
+            // Summarising an oversized file calls the model, so this is inside the try.
+            const attached = await prepareAttachments(payload.attachments, {
+                provider,
+                redactor,
+                seed: limit.client.id,
+                cache,
+                signal,
+                // Summarising a file is a round of model calls of its own, so it takes another token.
+                charge: () => enforceLimits(event.headers, { principal: auth.principal, bucket: !event.internal })
+            });
+            if (!attached.ok) {
+                if (attached.usage) await recordUsage(limit.client, attached.usage.input_tokens + attached.usage.output_tokens);
+                return reject(attached.statusCode, { error: attached.error, requestId }, { ...limit.headers, ...attached.headers });
+            }
+            ctx.vars.attachments = attached.text;
+            ctx.images = attached.images;
+            Object.assign(ctx.extraUsage, attached.usage);
+            if (attached.report.length) {
+                obs.attachments = attached.report.map(({ kind, summarized }) => (summarized ? `${kind}:summarized` : kind));
+            }
+        }
+
+        ctx.prompts = { system: renderPrompt(system, ctx), user: renderPrompt(user, ctx) };
+
+        // The rendered user prompt is the input plus any context prepare() added (a refine
+        // round's previous plan and answers, attachment text), so it is what the cache entry
+        // must match, together with any images.
+        ctx.cacheKey = cacheKey({
+            input: ctx.images.length ? `${ctx.prompts.user}\n${imagesVersion(ctx.images)}` : ctx.prompts.user,
+            model: `${provider.name}:${provider.model}`,
+            promptVersion: `${prompt.id}:${versionOf(ctx.prompts.system)}`,
+            schemaVersion: versionOf(JSON.stringify(schema))
+        });
+        const fresh = wantsFresh(event.queryStringParameters?.fresh);
+        ctx.cached = cache.enabled && !fresh ? await cache.get(ctx.cacheKey) : undefined;
+        if (cache.enabled) obs.cache = ctx.cached ? "hit" : "miss";
+        ctx.metaHeaders = {
+            "x-prompt-version": prompt.id,
+            ...(cache.enabled ? { "x-cache": ctx.cached ? "HIT" : "MISS" } : {})
+        };
+    } catch (err) {
+        return failure(err, obs, requestId);
+    }
+
+    return { ok: true, ctx };
+}
+
+export function renderPrompt(template, ctx) {
+    return renderTemplate(template(ctx), ctx.vars);
+}
@@ -0,0 +1,88 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Prompt templates live in config/prompts/<family>/<version>/<part>.txt and use {{var}}
+// placeholders (see template.js). config/prompts/weights.json sets each family's A/B split:
+// requests are assigned a version by weight, sticky per client, and a version with weight 0
+// is only used when a request names it. Override the directory with PROMPTS_DIR.
+const DEFAULT_PROMPTS_DIR = "config/prompts";
+const REQUIRED_PARTS = ["system", "user"];
+
+const cache = new Map();
+
+function readVersion(dir) {
+    const templates = {};
+    for (const file of fs.readdirSync(dir)) {
+        if (path.extname(file) !== ".txt") continue;
+        templates[path.basename(file, ".txt")] = fs.readFileSync(path.join(dir, file), "utf8").trimEnd();
+    }
+    return templates;
+}
+
+// { ok, family: { versions: { v1: { system, user, ... } }, weights: { v1: 1 } } } or { ok: false, error }.
+export function loadPromptFamily(name, env = process.env) {
+    const root = path.resolve(process.cwd(), env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR);
+    const cacheKey = `${root}:${name}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let result;
+    try {
+        const weights = JSON.parse(fs.readFileSync(path.join(root, "weights.json"), "utf8"))?.[name];
+        if (!weights || typeof weights !== "object") throw new Error(`weights.json has no entry for ${name}`);
+
+        const versions = {};
+        for (const version of fs.readdirSync(path.join(root, name))) {
+            if (!fs.statSync(path.join(root, name, version)).isDirectory()) continue;
+            const templates = readVersion(path.join(root, name, version));
+            const missing = REQUIRED_PARTS.find((part) => !templates[part]);
+            if (missing) throw new Error(`${name}/${version} has no ${missing}.txt`);
+            versions[version] = templates;
+        }
+
+        for (const [version, weight] of Object.entries(weights)) {
+            if (!versions[version]) throw new Error(`weights.json references unknown version ${name}/${version}`);
+            if (typeof weight !== "number" || weight < 0) throw new Error(`weight for ${name}/${version} must be a number >= 0`);
+        }
+        if (!Object.values(weights).some((w) => w > 0)) throw new Error(`${name} needs at least one version with weight > 0`);
+
+        result = { ok: true, family: { versions, weights } };
+    } catch (e) {
+        result = { ok: false, error: `Could not load ${name} prompts: ${e.message}` };
+    }
+    cache.set(cacheKey, result);
+    return result;
+}
+
+// Deterministic point in [0, 1) for a seed, so a client keeps its variant across requests.
+function unitHash(seed) {
+    return crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+// Picks a version: `requested` if given (400 when unknown), otherwise by weight using `seed`.
+// Returns { ok, id: "plan/v1", version, templates } or { ok: false, statusCode, error }.
+export function selectPrompt(name, { requested, seed = "" } = {}, env = process.env) {
+    const loaded = loadPromptFamily(name, env);
+    if (!loaded.ok) return { ok: false, statusCode: 500, error: loaded.error };
+    const { versions, weights } = loaded.family;
+
+    if (requested !== undefined) {
+        if (typeof requested !== "string" || !versions[requested]) {
+            return { ok: false, statusCode: 400, error: `Unknown prompt version: ${requested}. Available: ${Object.keys(versions).join(", ")}.` };
+        }
+        return { ok: true, id: `${name}/${requested}`, version: requested, templates: versions[requested] };
+    }
+
+    const weighted = Object.entries(weights).filter(([, w]) => w > 0);
+    const total = weighted.reduce((sum, [, w]) => sum + w, 0);
+    let point = unitHash(`${name}:${seed}`) * total;
+    let version = weighted[weighted.length - 1][0];
+    for (const [candidate, weight] of weighted) {
+        if (point < weight) {
+            version = candidate;
+            break;
+        }
+        point -= weight;
+    }
+    return { ok: true, id: `${name}/${version}`, version, templates: versions[version] };
+}
@@ -0,0 +1,143 @@
+import { createStore } from "./store.js";
+import { getHeader } from "./http.js";
+
+// Per-client rate limiting (token bucket) and daily token/cost quotas for the model-backed
+// functions. A client is the authenticated principal (API key or token subject, see auth.js),
+// otherwise the caller's IP. Authenticated clients get their own, usually larger, bucket.
+//
+// Token counts are estimated from prompt and output length (about 4 characters per token),
+// which is close enough to cap spend without depending on each provider's usage reporting.
+
+const cachedStores = new Map();
+
+function intEnv(value, fallback) {
+    const n = Number.parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function numberEnv(value, fallback) {
+    const n = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function loadLimits(env = process.env) {
+    const ipPerMinute = intEnv(env.RATE_LIMIT_PER_MINUTE, 20);
+    const keyPerMinute = intEnv(env.RATE_LIMIT_KEY_PER_MINUTE, 60);
+    return {
+        enabled: !["off", "false", "0"].includes(String(env.RATE_LIMIT || "").toLowerCase()),
+        ip: { perMinute: ipPerMinute, burst: intEnv(env.RATE_LIMIT_BURST, ipPerMinute) },
+        key: { perMinute: keyPerMinute, burst: intEnv(env.RATE_LIMIT_KEY_BURST, keyPerMinute) },
+        dailyTokens: intEnv(env.QUOTA_DAILY_TOKENS, 200000),
+        dailyCostUsd: numberEnv(env.QUOTA_DAILY_COST_USD, 0),
+        costPer1kTokens: numberEnv(env.QUOTA_COST_PER_1K_TOKENS, 0.0006),
+        storeKind: env.RATE_LIMIT_STORE || "memory",
+        storeFile: env.RATE_LIMIT_FILE || ".data/rate-limits.json",
+        storeName: env.RATE_LIMIT_BLOBS_STORE || "rate-limits"
+    };
+}
+
+function getStore(config) {
+    const cacheKey = `${config.storeKind}:${config.storeFile}:${config.storeName}`;
+    if (!cachedStores.has(cacheKey)) {
+        cachedStores.set(cacheKey, createStore(config.storeKind, { file: config.storeFile, name: config.storeName }));
+    }
+    return cachedStores.get(cacheKey);
+}
+
+function clientIp(headers) {
+    const forwarded = String(getHeader(headers, "x-forwarded-for") || "").split(",")[0].trim();
+    return getHeader(headers, "x-nf-client-connection-ip") || getHeader(headers, "client-ip") || forwarded || "unknown";
+}
+
+export function identifyClient(headers, principal) {
+    return principal ? { id: principal.id, kind: "key" } : { id: `ip:${clientIp(headers)}`, kind: "ip" };
+}
+
+// The headers that identify a client, for in-process calls made on its behalf (triageBatch).
+export function clientHeaders(headers) {
+    const names = ["x-api-key", "authorization", "x-nf-client-connection-ip", "client-ip", "x-forwarded-for"];
+    return Object.fromEntries(names.map((n) => [n, getHeader(headers, n)]).filter(([, v]) => v !== undefined));
+}
+
+export function estimateTokens(...texts) {
+    return texts.reduce((sum, t) => sum + Math.ceil(String(t || "").length / 4), 0);
+}
+
+export function estimateCostUsd(tokens, env = process.env) {
+    return (tokens / 1000) * loadLimits(env).costPer1kTokens;
+}
+
+function secondsUntilUtcMidnight(now) {
+    const next = new Date(now);
+    next.setUTCHours(24, 0, 0, 0);
+    return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
+
+function quotaKey(client, now) {
+    return `quota:${client.id}:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+function rejection(error, retryAfter, headers = {}) {
+    return { ok: false, statusCode: 429, error, headers: { ...headers, "retry-after": String(retryAfter) } };
+}
+
+// Checks the daily quota, then takes one token from the client's bucket.
+// Returns { ok: true, client, headers } or { ok: false, statusCode: 429, error, headers }.
+// principal comes from authenticate(). Pass { bucket: false } for in-process calls already
+// counted by their caller. Call it once the request has been validated, so malformed requests
+// do not cost the caller a token.
+export async function enforceLimits(headers, { principal = null, bucket = true, env = process.env } = {}) {
+    const config = loadLimits(env);
+    const client = identifyClient(headers, principal);
+    if (!config.enabled) return { ok: true, client, headers: {} };
+
+    const loaded = getStore(config);
+    if (!loaded.ok) return { ok: false, statusCode: 500, error: loaded.error, headers: {} };
+    const { store } = loaded;
+    const now = Date.now();
+
+    const usage = (await store.get(quotaKey(client, now))) || { tokens: 0 };
+    if (config.dailyTokens && usage.tokens >= config.dailyTokens) {
+        return rejection("Daily token quota exceeded. Try again tomorrow.", secondsUntilUtcMidnight(now));
+    }
+    if (config.dailyCostUsd && estimateCostUsd(usage.tokens, env) >= config.dailyCostUsd) {
+        return rejection("Daily cost quota exceeded. Try again tomorrow.", secondsUntilUtcMidnight(now));
+    }
+
+    if (!bucket) return { ok: true, client, headers: {} };
+
+    const { perMinute, burst } = config[client.kind];
+    if (!perMinute || !burst) return { ok: true, client, headers: {} };
+    const rate = perMinute / 60;
+    const bucketKey = `bucket:${client.id}`;
+    const state = (await store.get(bucketKey)) || { tokens: burst, updatedAt: now };
+    const available = Math.min(burst, state.tokens + ((now - state.updatedAt) / 1000) * rate);
+    const allowed = available >= 1;
+    const remaining = allowed ? available - 1 : available;
+    await store.set(bucketKey, { tokens: remaining, updatedAt: now }, Math.ceil(burst / rate) + 60);
+
+    const limitHeaders = {
+        "ratelimit-limit": String(burst),
+        "ratelimit-remaining": String(Math.floor(remaining)),
+        "ratelimit-reset": String(Math.ceil((burst - remaining) / rate)),
+        "ratelimit-policy": `${burst};w=${Math.ceil(burst / rate)}`
+    };
+    if (!allowed) {
+        const retryAfter = Math.ceil((1 - available) / rate);
+        return rejection(`Rate limit exceeded. Try again in ${retryAfter} seconds.`, retryAfter, limitHeaders);
+    }
+    return { ok: true, client, headers: limitHeaders };
+}
+
+// Adds estimated tokens to the client's usage for today.
+export async function recordUsage(client, tokens, env = process.env) {
+    const config = loadLimits(env);
+    if (!config.enabled || !tokens) return;
+    const loaded = getStore(config);
+    if (!loaded.ok) return;
+
+    const now = Date.now();
+    const key = quotaKey(client, now);
+    const usage = (await loaded.store.get(key)) || { tokens: 0 };
+    await loaded.store.set(key, { tokens: usage.tokens + tokens }, 2 * 24 * 60 * 60);
+}
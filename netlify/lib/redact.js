@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Redaction of personal data and secrets before text is sent to the model. Matches are
+// replaced with stable placeholders ([EMAIL_1], [API_KEY_2], ...): the same value always gets
+// the same placeholder within a request, so the model can still refer to "the same customer".
+//
+// REDACTION=off disables it. REDACTION_REHYDRATE=true puts the original values back into the
+// model's output. Extra patterns come from config/redaction.json (or REDACTION_FILE).
+const DEFAULT_REDACTION_FILE = "config/redaction.json";
+
+// Order matters: earlier rules claim text first, so secrets and emails are matched before
+// the looser number patterns. `group` redacts only that capture group (the value of key=value).
+const BUILTIN_RULES = [
+    { type: "private_key", pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { type: "api_key", pattern: /\b(?:sk|pk|rk)-(?:[A-Za-z0-9]+-)*[A-Za-z0-9_]{16,}\b/g },
+    { type: "api_key", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g },
+    { type: "api_key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: "api_key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: "api_key", pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { type: "token", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\b/g },
+    { type: "token", pattern: /\bBearer\s+([A-Za-z0-9_~+/-][A-Za-z0-9._~+/-]{14,}[A-Za-z0-9_~+/=-])/g, group: 1 },
+    {
+        type: "secret",
+        pattern: /\b(?:api[_-]?key|access[_-]?token|auth[_-]?token|secret|password|passwd|pwd)\b["']?\s*[:=]\s*["']?([^\s"',;[][^\s"',;]{5,})/gi,
+        group: 1
+    },
+    { type: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { type: "credit_card", pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: luhnValid },
+    // Not when it is a version ("version 1.2.3.4", "v1.2.3.4") or part of a longer dotted number.
+    {
+        type: "ip_address",
+        pattern: /(?<![\w.]|\b(?:v|ver|version|release|build|rev)[.:]?\s*)(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?!\w|\.\d)/gi
+    },
+    { type: "ip_address", pattern: /\b(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}\b|\b(?:[0-9A-Fa-f]{1,4}:){1,6}:(?:[0-9A-Fa-f]{1,4}:?){1,6}\b/g },
+    // Phone numbers need phone-like formatting: a leading +, an area code in parentheses, or digit
+    // groups split by one separator (555-123-4567, 020 7946 0958). Bare digit runs (order IDs),
+    // dates and times are left alone.
+    {
+        type: "phone",
+        pattern: /(?<![\w.:/+-])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|\d{2,5}([ .-])\d{2,5}(?:\1\d{2,5}){1,3})(?![\w.:-]*\d)/g,
+        check: (m) => countDigits(m) >= 10 && countDigits(m) <= 15 && !ISO_DATE.test(m)
+    }
+];
+
+const ISO_DATE = /\d{4}-\d{2}-\d{2}/;
+
+function countDigits(text) {
+    return (text.match(/\d/g) || []).length;
+}
+
+function luhnValid(text) {
+    const digits = text.replace(/\D/g, "");
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+const cache = new Map();
+
+// { ok, config: { enabled, rehydrate, rules } } with the built-in rules followed by custom ones.
+export function loadRedaction(env = process.env) {
+    const enabled = !["off", "false", "0"].includes(String(env.REDACTION || "").toLowerCase());
+    const rehydrate = String(env.REDACTION_REHYDRATE || "").toLowerCase() === "true";
+    if (!enabled) return { ok: true, config: { enabled, rehydrate, rules: [] } };
+
+    const file = path.resolve(process.cwd(), env.REDACTION_FILE || DEFAULT_REDACTION_FILE);
+    if (!cache.has(file)) cache.set(file, loadCustomRules(file, !env.REDACTION_FILE));
+    const custom = cache.get(file);
+    if (!custom.ok) return custom;
+    return { ok: true, config: { enabled, rehydrate, rules: [...BUILTIN_RULES, ...custom.rules] } };
+}
+
+// The default file is optional; an explicitly configured one must exist.
+function loadCustomRules(file, optional) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        if (optional && e.code === "ENOENT") return { ok: true, rules: [] };
+        return { ok: false, error: `Could not load redaction config: ${e.message}` };
+    }
+
+    const patterns = parsed?.patterns;
+    if (!Array.isArray(patterns)) return { ok: false, error: "Invalid redaction config: patterns must be an array." };
+
+    const rules = [];
+    for (const p of patterns) {
+        if (!p?.type || typeof p.type !== "string" || !/^[a-z][a-z0-9_]*$/.test(p.type)) {
+            return { ok: false, error: "Invalid redaction config: every pattern needs a snake_case type." };
+        }
+        if (p.group !== undefined && !(Number.isInteger(p.group) && p.group > 0)) {
+            return { ok: false, error: `Invalid redaction config: group for ${p.type} must be a positive integer.` };
+        }
+        try {
+            const flags = new Set(["g", "u", ...String(p.flags || "").replace(/[^imsu]/g, "")]);
+            rules.push({ type: p.type, pattern: new RegExp(p.pattern, [...flags].join("")), group: p.group });
+        } catch (e) {
+            return { ok: false, error: `Invalid redaction config: pattern for ${p.type} does not compile (${e.message}).` };
+        }
+    }
+    return { ok: true, rules };
+}
+
+// Redactor for one request. redact() can be called on several texts (input, answers, a
+// previous plan) and keeps numbering placeholders across them.
+export function createRedactor(config) {
+    const placeholders = new Map();
+    const originals = new Map();
+    const counters = new Map();
+
+    function placeholderFor(type, value) {
+        const key = `${type}\u0000${value}`;
+        if (!placeholders.has(key)) {
+            const n = (counters.get(type) || 0) + 1;
+            counters.set(type, n);
+            const placeholder = `[${type.toUpperCase()}_${n}]`;
+            placeholders.set(key, placeholder);
+            originals.set(placeholder, { type, value });
+        }
+        return placeholders.get(key);
+    }
+
+    function redact(text) {
+        if (!config.enabled || typeof text !== "string") return text;
+        let out = text;
+        for (const rule of config.rules) {
+            rule.pattern.lastIndex = 0;
+            out = out.replace(rule.pattern, (match, ...rest) => {
+                if (rule.check && !rule.check(match)) return match;
+                if (rule.group === undefined) return placeholderFor(rule.type, match);
+                const value = rest[rule.group - 1];
+                if (!value) return match;
+                return match.slice(0, match.lastIndexOf(value)) + placeholderFor(rule.type, value);
+            });
+        }
+        return out;
+    }
+
+    // Deep copy of `value` with placeholders swapped back for the original text.
+    function rehydrate(value) {
+        if (!originals.size) return value;
+        if (typeof value === "string") {
+            return value.replace(/\[[A-Z0-9_]+_\d+\]/g, (p) => (originals.has(p) ? originals.get(p).value : p));
+        }
+        if (Array.isArray(value)) return value.map(rehydrate);
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rehydrate(v)]));
+        }
+        return value;
+    }
+
+    // What was redacted, without the values: [{ type, count }] in first-seen order.
+    function report() {
+        const counts = new Map();
+        for (const { type } of originals.values()) counts.set(type, (counts.get(type) || 0) + 1);
+        return [...counts].map(([type, count]) => ({ type, count }));
+    }
+
+    return { redact, rehydrate, report };
+}
+
+// Header form of report(): "email=2, api_key=1", or "none".
+export function formatRedactions(report) {
+    return report.length ? report.map((r) => `${r.type}=${r.count}`).join(", ") : "none";
+}
@@ -0,0 +1,121 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Triage routing config: the teams, components, categories and labels our org uses.
+// The triage schema enums and the prompt are both generated from it, so the model can
+// only answer with values that exist here. Override the location with TRIAGE_ROUTING_FILE.
+const DEFAULT_ROUTING_FILE = "config/triage-routing.json";
+
+const cache = new Map();
+
+export function loadRouting(env = process.env) {
+    const file = path.resolve(process.cwd(), env.TRIAGE_ROUTING_FILE || DEFAULT_ROUTING_FILE);
+    if (cache.has(file)) return cache.get(file);
+
+    let result;
+    try {
+        const routing = JSON.parse(fs.readFileSync(file, "utf8"));
+        const error = checkRouting(routing);
+        result = error ? { ok: false, error: `Invalid triage routing config: ${error}` } : { ok: true, routing };
+    } catch (e) {
+        result = { ok: false, error: `Could not load triage routing config: ${e.message}` };
+    }
+    cache.set(file, result);
+    return result;
+}
+
+function checkRouting(r) {
+    if (!r || typeof r !== "object") return "config is not an object.";
+    if (!r.priorities || !Object.keys(r.priorities).length) return "priorities must be a non-empty object.";
+    if (!r.severities || !Object.keys(r.severities).length) return "severities must be a non-empty object.";
+    if (!Array.isArray(r.categories) || !r.categories.length) return "categories must be a non-empty array.";
+    if (!Array.isArray(r.teams) || !r.teams.length) return "teams must be a non-empty array.";
+    if (!Array.isArray(r.components) || !r.components.length) return "components must be a non-empty array.";
+    if (!Array.isArray(r.labels)) return "labels must be an array.";
+
+    const teamIds = new Set(r.teams.map((t) => t?.id));
+    for (const c of r.components) {
+        if (!c?.id || typeof c.id !== "string") return "every component needs an id.";
+        if (!teamIds.has(c.team)) return `component ${c.id} references unknown team ${c.team}.`;
+        if (c.keywords !== undefined && !Array.isArray(c.keywords)) return `component ${c.id} keywords must be an array.`;
+    }
+    return null;
+}
+
+export const CONFIDENCE_FIELDS = ["priority", "severity", "category", "component", "assignee_team", "duplicate_likelihood", "labels"];
+
+export function buildTriageSchema(routing) {
+    const confidence = { type: "number", minimum: 0, maximum: 1 };
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+            summary: { type: "string", minLength: 10 },
+            priority: { type: "string", enum: Object.keys(routing.priorities) },
+            severity: { type: "string", enum: Object.keys(routing.severities) },
+            category: { type: "string", enum: routing.categories },
+            component: { type: "string", enum: routing.components.map((c) => c.id) },
+            assignee_team: { type: "string", enum: routing.teams.map((t) => t.id) },
+            duplicate_likelihood: { type: "number", minimum: 0, maximum: 1 },
+            labels: {
+                type: "array",
+                minItems: 0,
+                maxItems: 5,
+                items: { type: "string", enum: routing.labels }
+            },
+            rationale: { type: "string", minLength: 10 },
+            confidence: {
+                type: "object",
+                additionalProperties: false,
+                properties: Object.fromEntries(CONFIDENCE_FIELDS.map((f) => [f, confidence])),
+                required: CONFIDENCE_FIELDS
+            }
+        },
+        required: [
+            "summary",
+            "priority",
+            "severity",
+            "category",
+            "component",
+            "assignee_team",
+            "duplicate_likelihood",
+            "labels",
+            "rationale",
+            "confidence"
+        ]
+    };
+}
+
+// Plain-text rendering of the config for the system prompt.
+export function describeRouting(routing) {
+    const lines = ["Priorities:"];
+    for (const [id, text] of Object.entries(routing.priorities)) lines.push(`- ${id}: ${text}`);
+    lines.push("Severities:");
+    for (const [id, text] of Object.entries(routing.severities)) lines.push(`- ${id}: ${text}`);
+    lines.push(`Categories: ${routing.categories.join(", ")}`);
+    lines.push("Teams:");
+    for (const t of routing.teams) lines.push(`- ${t.id} (${t.name}): ${t.description || ""}`.trimEnd());
+    lines.push("Components (owning team; keywords):");
+    for (const c of routing.components) {
+        lines.push(`- ${c.id} (${c.name || c.id}) -> ${c.team}; ${(c.keywords || []).join(", ")}`);
+    }
+    lines.push(`Labels: ${routing.labels.join(", ")}`);
+    return lines.join("\n");
+}
+
+// Components whose keywords appear in the ticket, best match first. Passed to the model
+// as hints so routing stays consistent for tickets that use our usual vocabulary.
+export function matchComponents(text, routing) {
+    const haystack = String(text || "");
+    const matches = [];
+    for (const c of routing.components) {
+        const hits = (c.keywords || []).filter((k) => keywordPattern(k).test(haystack));
+        if (hits.length) matches.push({ component: c.id, team: c.team, keywords: hits });
+    }
+    return matches.sort((a, b) => b.keywords.length - a.keywords.length);
+}
+
+function keywordPattern(keyword) {
+    const escaped = String(keyword).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "iu");
+}
@@ -0,0 +1,127 @@
+import { loadRouting, buildTriageSchema } from "./routing.js";
+
+// Named response schemas. Each entry is either a schema object or a factory that builds
+// one at request time (for schemas derived from config files). The same schema is sent to
+// the model as the structured-output format and drives validateAgainstSchema, so the two
+// cannot drift apart.
+const registry = new Map();
+
+export function registerSchema(name, definition) {
+    registry.set(name, definition);
+}
+
+// Returns { ok: true, schema } or { ok: false, error }.
+export function getSchema(name) {
+    const definition = registry.get(name);
+    if (!definition) return { ok: false, error: `Unknown response schema: ${name}` };
+    if (typeof definition !== "function") return { ok: true, schema: definition };
+    try {
+        return { ok: true, schema: definition() };
+    } catch (e) {
+        return { ok: false, error: e.message };
+    }
+}
+
+export const PLAN_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        problem_statement: { type: "string", minLength: 10 },
+        clarifying_questions: {
+            type: "array",
+            minItems: 3,
+            maxItems: 5,
+            items: { type: "string", minLength: 5 }
+        },
+        proposed_approach: {
+            type: "array",
+            minItems: 4,
+            maxItems: 7,
+            items: { type: "string", minLength: 5 }
+        },
+        recommended_tools: {
+            type: "array",
+            minItems: 1,
+            maxItems: 10,
+            items: { type: "string", minLength: 2 }
+        },
+        risks_and_privacy: {
+            type: "array",
+            minItems: 1,
+            maxItems: 10,
+            items: { type: "string", minLength: 5 }
+        },
+        next_steps: {
+            type: "array",
+            minItems: 4,
+            maxItems: 7,
+            items: {
+                type: "string",
+                minLength: 3,
+                // A word starting with a capital, or with a letter from a script without case
+                // (Japanese, Chinese, Arabic...), after an optional list number or bullet.
+                pattern: "^(?:\\s*(?:[0-9０-９]+[.):\\-．、）]\\s*|[-•・]\\s*))?[\\p{Lu}\\p{Lt}\\p{Lo}][\\p{L}\\p{M}]+.*$"
+            }
+        }
+    },
+    required: [
+        "problem_statement",
+        "clarifying_questions",
+        "proposed_approach",
+        "recommended_tools",
+        "risks_and_privacy",
+        "next_steps"
+    ]
+};
+
+registerSchema("office_hours_plan", PLAN_SCHEMA);
+
+const SECTION_ITEMS = {
+    list: { type: "string", minLength: 5 },
+    numbered: { type: "string", minLength: 5 },
+    tags: { type: "string", minLength: 2 }
+};
+
+function sectionSchema({ key, kind, min, max, hint }) {
+    // Questions and next steps keep the workflow plan's rules, so refining and the checklist
+    // behave the same in every mode.
+    const shared = PLAN_SCHEMA.properties[key];
+    let schema;
+    if (kind === "text") {
+        schema = { type: "string", minLength: 10 };
+    } else if (key === "clarifying_questions" || key === "next_steps") {
+        const minItems = min ?? shared.minItems;
+        schema = { ...shared, minItems, maxItems: Math.max(max ?? shared.maxItems, minItems) };
+    } else {
+        const minItems = min ?? 1;
+        schema = { type: "array", minItems, maxItems: Math.max(max ?? 10, minItems), items: SECTION_ITEMS[kind] };
+    }
+    return hint ? { ...schema, description: hint } : schema;
+}
+
+// Response schema for a plan mode (see modes.js and shared/planModes.js): one required property
+// per section.
+export function buildModeSchema(sections) {
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties: Object.fromEntries(sections.map((section) => [section.key, sectionSchema(section)])),
+        required: sections.map((section) => section.key)
+    };
+}
+
+// Summary of one chunk of an attached file (see attachments.js).
+registerSchema("attachment_summary", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        summary: { type: "string", minLength: 20, maxLength: 1500 }
+    },
+    required: ["summary"]
+});
+
+registerSchema("ticket_triage", () => {
+    const loaded = loadRouting();
+    if (!loaded.ok) throw new Error(loaded.error);
+    return buildTriageSchema(loaded.routing);
+});
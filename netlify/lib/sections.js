@@ -0,0 +1,52 @@
+// Incremental scanner for a streamed top-level JSON object. Calls onSection(key, value)
+// as soon as each top-level property is complete, long before the closing brace arrives.
+// Malformed segments are skipped silently; the caller still validates the full text.
+export function createSectionParser(onSection) {
+    let text = "";
+    let pos = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let segmentStart = -1;
+
+    function emit(end) {
+        const segment = text.slice(segmentStart, end).trim();
+        if (!segment) return;
+        try {
+            const obj = JSON.parse(`{${segment}}`);
+            for (const [key, value] of Object.entries(obj)) onSection(key, value);
+        } catch {
+            // Incomplete or invalid segment; validation of the whole object reports it.
+        }
+    }
+
+    return {
+        push(chunk) {
+            text += chunk;
+            for (; pos < text.length; pos++) {
+                const ch = text[pos];
+                if (inString) {
+                    if (escaped) escaped = false;
+                    else if (ch === "\\") escaped = true;
+                    else if (ch === "\"") inString = false;
+                    continue;
+                }
+                if (ch === "\"") {
+                    inString = true;
+                } else if (ch === "{" || ch === "[") {
+                    depth++;
+                    if (depth === 1) segmentStart = pos + 1;
+                } else if (ch === "}" || ch === "]") {
+                    if (depth === 1) emit(pos);
+                    depth--;
+                } else if (ch === "," && depth === 1) {
+                    emit(pos);
+                    segmentStart = pos + 1;
+                }
+            }
+        },
+        text() {
+            return text;
+        }
+    };
+}
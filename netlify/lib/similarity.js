@@ -0,0 +1,82 @@
+// Lexical similarity for short texts (tickets, workflow problems), used to find related past
+// examples without calling an embedding model. Texts are compared as TF-IDF vectors over the
+// candidate set, so words every candidate shares count for little.
+//
+// Words are runs of letters and digits, lowercased after NFKC normalisation. Scripts written
+// without spaces (Chinese, Japanese) are split into overlapping character pairs instead.
+
+const STOPWORDS = new Set(
+    ("a an and are as at be but by can do does for from has have how i if in is it its me my no not of on or our so " +
+        "that the their them then there these they this to too was we were what when which who why will with you your")
+        .split(" ")
+);
+
+const UNSPACED = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+$/u;
+
+export function tokenize(text) {
+    const tokens = [];
+    for (const word of String(text || "").normalize("NFKC").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        if (UNSPACED.test(word)) {
+            if (word.length === 1) tokens.push(word);
+            for (let i = 0; i + 1 < word.length; i++) tokens.push(word.slice(i, i + 2));
+        } else if (word.length > 1 && !STOPWORDS.has(word)) {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+export function termCounts(tokens) {
+    const counts = new Map();
+    for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+    return counts;
+}
+
+// Smoothed inverse document frequency for `df` documents containing a term out of `n`.
+export function idf(df, n) {
+    return Math.log((1 + n) / (1 + df)) + 1;
+}
+
+// Unit-length TF-IDF vector (Map term -> weight) with sublinear term frequency.
+export function weighVector(counts, idfOf) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+        const weight = (1 + Math.log(count)) * idfOf(term);
+        vector.set(term, weight);
+        norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    if (norm) for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+}
+
+// Cosine similarity of two unit vectors.
+export function dot(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [term, weight] of small) sum += weight * (large.get(term) || 0);
+    return sum;
+}
+
+// Scores every candidate text against `query` (0-1) and returns [{ item, score }] for the
+// `limit` best at or above `minScore`, best first.
+export function rankBySimilarity(query, items, { text = (item) => item, limit = 5, minScore = 0 } = {}) {
+    const docs = items.map((item) => ({ item, counts: termCounts(tokenize(text(item))) }));
+    return rankDocuments(termCounts(tokenize(query)), docs, { limit, minScore });
+}
+
+// The same for documents whose term counts were computed ahead of time ([{ item, counts }]),
+// so an index does not tokenize every stored text on each query.
+export function rankDocuments(queryCounts, docs, { limit = 5, minScore = 0 } = {}) {
+    const df = new Map();
+    for (const { counts } of docs) for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+    const idfOf = (term) => idf(df.get(term) || 0, docs.length);
+
+    const q = weighVector(queryCounts, idfOf);
+    return docs
+        .map(({ item, counts }) => ({ item, score: dot(q, weighVector(counts, idfOf)) }))
+        .filter((r) => r.score > 0 && r.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
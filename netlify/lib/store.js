@@ -0,0 +1,149 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Small key-value stores for state that has to outlive a single request (rate-limit buckets,
+// daily quotas, cached responses). Values are JSON; entries expire after ttlSeconds. All
+// methods are async so a remote store can implement the same interface. setIfNew writes only
+// when the key is missing or expired and resolves to whether it wrote, so two callers racing
+// for the same key cannot both win.
+//
+//   memory  per function instance; resets on cold start. Fine for local dev and tests.
+//   file    one JSON file on disk, for `netlify dev` and the CLI scripts. Not for production:
+//           deployed functions have a read-only, per-instance filesystem.
+//   blobs   a Netlify Blobs store (or anything with the same get/getWithMetadata/setJSON/delete
+//           methods), shared by every function instance.
+
+export function createMemoryStore() {
+    const entries = new Map();
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    return {
+        async get(key) {
+            return live(key)?.value;
+        },
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+        },
+        async setIfNew(key, value, ttlSeconds) {
+            if (live(key)) return false;
+            entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+            return true;
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+export function createFileStore(file) {
+    const target = path.resolve(process.cwd(), file);
+
+    function read() {
+        try {
+            return JSON.parse(fs.readFileSync(target, "utf8")) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    // Drops expired entries on every write so the file does not grow without bound.
+    function write(data) {
+        const now = Date.now();
+        const kept = Object.fromEntries(Object.entries(data).filter(([, e]) => !e.expiresAt || e.expiresAt > now));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const tmp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(kept));
+        fs.renameSync(tmp, target);
+    }
+
+    return {
+        async get(key) {
+            const entry = read()[key];
+            if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return undefined;
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            const data = read();
+            data[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 };
+            write(data);
+        },
+        // Atomic within one process only, like the rest of the file store.
+        async setIfNew(key, value, ttlSeconds) {
+            const data = read();
+            const entry = data[key];
+            if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return false;
+            data[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 };
+            write(data);
+            return true;
+        },
+        async delete(key) {
+            const data = read();
+            delete data[key];
+            write(data);
+        }
+    };
+}
+
+// Adapts a Blobs-style store ({ get(key, { type: "json" }), getWithMetadata, setJSON(key, value,
+// { onlyIfNew, onlyIfMatch }), delete(key) }). Blobs have no expiry, so the expiry time is kept
+// next to the value and checked on read.
+// `blobs` may be a promise, so the client can be created lazily.
+export function createBlobsStore(blobs) {
+    return {
+        async get(key) {
+            const entry = await (await blobs).get(key, { type: "json" });
+            if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return undefined;
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            await (await blobs).setJSON(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+        },
+        async setIfNew(key, value, ttlSeconds) {
+            const store = await blobs;
+            const entry = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 };
+            if ((await store.setJSON(key, entry, { onlyIfNew: true })).modified) return true;
+            // An expired entry is still a blob: replace it only if no one else has since.
+            const existing = await store.getWithMetadata(key, { type: "json" });
+            if (!existing) return (await store.setJSON(key, entry, { onlyIfNew: true })).modified;
+            if (!existing.data?.expiresAt || existing.data.expiresAt > Date.now()) return false;
+            return (await store.setJSON(key, entry, { onlyIfMatch: existing.etag })).modified;
+        },
+        async delete(key) {
+            await (await blobs).delete(key);
+        }
+    };
+}
+
+// @netlify/blobs is only loaded when a blobs store is configured.
+async function netlifyBlobs(name) {
+    try {
+        const { getStore } = await import("@netlify/blobs");
+        return getStore(name);
+    } catch (e) {
+        throw new Error(`Could not open Netlify Blobs store "${name}": ${e.message}`);
+    }
+}
+
+// { ok, store } for a store kind, or { ok: false, error } for an unknown one.
+export function createStore(kind, { file, name } = {}) {
+    if (kind === "memory") return { ok: true, store: createMemoryStore() };
+    if (kind === "file") {
+        if (!file) return { ok: false, error: "The file store needs a file path." };
+        return { ok: true, store: createFileStore(file) };
+    }
+    if (kind === "blobs") {
+        if (!name) return { ok: false, error: "The blobs store needs a store name." };
+        const blobs = netlifyBlobs(name);
+        blobs.catch(() => {}); // reported by the first get/set instead of as an unhandled rejection
+        return { ok: true, store: createBlobsStore(blobs) };
+    }
+    return { ok: false, error: `Unknown store: ${kind}` };
+}
@@ -0,0 +1,156 @@
+import { createSectionParser } from "./sections.js";
+import { stripCodeFence } from "./llm.js";
+import { compilePattern } from "./validate.js";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_CAP = 5;
+
+export function getMaxAttempts(env = process.env) {
+    const n = Number.parseInt(env.LLM_MAX_ATTEMPTS, 10);
+    if (!Number.isFinite(n) || n < 1) return DEFAULT_MAX_ATTEMPTS;
+    return Math.min(n, MAX_ATTEMPTS_CAP);
+}
+
+// Calls the provider until the output parses and validates, or attempts run out.
+// Each failed attempt is first run through repairToSchema; if that is not enough, the
+// validation error is fed back to the model as a corrective turn.
+// Provider errors (network, auth, 429) are not retried here and propagate to the caller.
+// `failures` lists the details of every rejected attempt, for logging.
+export async function generateStructured({ provider, system, user, input, images, schema, schemaName, validate, maxAttempts, signal }) {
+    const limit = maxAttempts || getMaxAttempts();
+    const history = [];
+    const failures = [];
+    let result = null;
+
+    for (let attempt = 1; attempt <= limit; attempt++) {
+        const text = await provider.generate({ system, user, input, images, schema, schemaName, history, signal });
+
+        result = checkOutput(text, schema, validate);
+        if (result.ok) return { ...result, attempts: attempt, failures };
+        failures.push(result.details);
+        pushCorrection(history, text, result.details);
+    }
+
+    return { ...result, attempts: limit, failures };
+}
+
+// Streaming counterpart of generateStructured. Yields events:
+//   { type: "section", key, value }  a top-level property finished streaming
+//   { type: "retry", attempt, details }  the previous attempt failed; discard its sections
+//   { type: "done", value, attempts, repaired, text, failures }
+//   { type: "error", error, cause, details, text, attempts, failures }
+export async function* streamStructured({ provider, system, user, input, images, schema, schemaName, validate, maxAttempts, signal }) {
+    const limit = maxAttempts || getMaxAttempts();
+    const history = [];
+    const failures = [];
+    let result = null;
+
+    for (let attempt = 1; attempt <= limit; attempt++) {
+        if (attempt > 1) yield { type: "retry", attempt, details: result.details };
+
+        const pending = [];
+        const parser = createSectionParser((key, value) => pending.push({ type: "section", key, value }));
+        for await (const delta of provider.stream({ system, user, input, images, schema, schemaName, history, signal })) {
+            parser.push(delta);
+            while (pending.length) yield pending.shift();
+        }
+
+        // The section parser skips a leading fence; the complete text must not have one either.
+        const text = stripCodeFence(parser.text());
+        result = checkOutput(text, schema, validate);
+        if (result.ok) {
+            yield { type: "done", value: result.value, attempts: attempt, repaired: result.repaired, text, failures };
+            return;
+        }
+        failures.push(result.details);
+        pushCorrection(history, text, result.details);
+    }
+
+    yield { type: "error", error: result.error, cause: result.cause, details: result.details, text: result.text, attempts: limit, failures };
+}
+
+function pushCorrection(history, text, details) {
+    history.push(
+        { role: "assistant", content: typeof text === "string" ? text : "" },
+        { role: "user", content: correctiveMessage(details) }
+    );
+}
+
+// Failures carry a cause for metrics: empty_output, non_json or invalid_shape.
+function checkOutput(text, schema, validate) {
+    if (!text || typeof text !== "string") {
+        return { ok: false, error: "No text output received from model.", cause: "empty_output", details: "The response was empty.", text: "" };
+    }
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        return { ok: false, error: "Model returned non-JSON output.", cause: "non_json", details: `Output is not valid JSON: ${e.message}`, text };
+    }
+
+    const shapeError = validate(value);
+    if (!shapeError) return { ok: true, value, repaired: false };
+
+    const repaired = repairToSchema(value, schema);
+    if (repaired !== undefined && !validate(repaired)) return { ok: true, value: repaired, repaired: true };
+    return { ok: false, error: "Model returned an invalid response shape.", cause: "invalid_shape", details: shapeError, text };
+}
+
+function correctiveMessage(details) {
+    return (
+        "Your previous response was rejected: " +
+        details +
+        "\nReturn the complete corrected JSON object only, matching the schema exactly."
+    );
+}
+
+// Full-width list markers (Japanese, Chinese) are often not followed by a space.
+const LIST_PREFIX = /^\s*(?:[0-9０-９]+(?:[.):\-]\s+|[．、）]\s*)|[-•*]\s+|・\s*)/u;
+
+// Best-effort local fixes for common near-misses: stray keys, over-long arrays,
+// numbered or bulleted list items, lowercase first words. Returns undefined when
+// the value is not an object and cannot be repaired.
+export function repairToSchema(value, schema) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return undefined;
+    return repairValue(value, schema);
+}
+
+function repairValue(value, schema) {
+    if (!schema || typeof schema !== "object") return value;
+
+    if (schema.type === "object" && value && typeof value === "object" && !Array.isArray(value)) {
+        const props = schema.properties || {};
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (key in props) out[key] = repairValue(v, props[key]);
+            else if (schema.additionalProperties !== false) out[key] = v;
+        }
+        return out;
+    }
+
+    if (schema.type === "array" && Array.isArray(value)) {
+        let items = value;
+        if (schema.items?.type === "string") {
+            items = items
+                .filter((item) => typeof item === "string" && item.trim())
+                .map((item) => item.replace(LIST_PREFIX, ""));
+        }
+        items = items.map((item) => repairValue(item, schema.items));
+        if (typeof schema.maxItems === "number" && items.length > schema.maxItems) {
+            items = items.slice(0, schema.maxItems);
+        }
+        return items;
+    }
+
+    if (schema.type === "string" && typeof value === "string") {
+        let s = value.trim();
+        if (schema.pattern && !compilePattern(schema.pattern).test(s)) {
+            const [first = ""] = s;
+            s = first.toUpperCase() + s.slice(first.length);
+        }
+        return s;
+    }
+
+    return value;
+}
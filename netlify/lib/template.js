@@ -0,0 +1,8 @@
+// Minimal prompt templating: {{name}} is replaced with vars.name. Unknown names render
+// as an empty string so an optional variable never leaks "{{...}}" into a prompt.
+export function renderTemplate(template, vars = {}) {
+    return String(template).replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, name) => {
+        const value = vars[name];
+        return value === undefined || value === null ? "" : String(value);
+    });
+}
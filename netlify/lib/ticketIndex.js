@@ -0,0 +1,189 @@
+import { createStore } from "./store.js";
+import { REVIEW_FIELDS, exampleId } from "./labels.js";
+import { createRedactor } from "./redact.js";
+import { rankDocuments, termCounts, tokenize } from "./similarity.js";
+
+// Index of previously triaged tickets, for spotting repeats. Every ticket the triage function
+// answers is added with its decision (replaced by the reviewer's values once it is reviewed in
+// the triage queue), together with its term counts, and a new ticket is scored against all of
+// them by TF-IDF cosine similarity (see similarity.js).
+//
+//   TICKET_INDEX_STORE     file (default, TICKET_INDEX_FILE), memory or blobs
+//                          (TICKET_INDEX_BLOBS_STORE); "off" disables lookups and indexing
+//   TRIAGE_SIMILAR         similar tickets returned per triage (default 3, at most 10)
+//   TRIAGE_DUPLICATE_SCORE similarity (0-1) from which a match is flagged as a likely
+//                          duplicate (default 0.7)
+//
+// Tickets are stored redacted. The index can be exported and rebuilt from JSONL with
+// scripts/ticket-index.js.
+
+const TICKETS_KEY = "tickets";
+const MAX_TICKETS = 5000;
+const DEFAULT_SIMILAR = 3;
+const MAX_SIMILAR = 10;
+const DEFAULT_DUPLICATE_SCORE = 0.7;
+const MIN_SCORE = 0.2;
+
+// The decision fields kept with a ticket: what a reviewer needs to route a repeat the same way.
+const DECISION_FIELDS = ["summary", ...REVIEW_FIELDS];
+
+const cachedStores = new Map();
+let pendingWrite = Promise.resolve();
+
+function getStore(env) {
+    const kind = env.TICKET_INDEX_STORE || "file";
+    if (kind === "off") return { ok: true, store: null };
+    const options = { file: env.TICKET_INDEX_FILE || ".data/ticket-index.json", name: env.TICKET_INDEX_BLOBS_STORE || "ticket-index" };
+    const key = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(kind, options));
+    const loaded = cachedStores.get(key);
+    return loaded.ok ? loaded : { ok: false, error: `Invalid ticket index config: ${loaded.error}` };
+}
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === "" || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+export function similarLimit(env = process.env) {
+    return Math.round(readNumber(env.TRIAGE_SIMILAR, DEFAULT_SIMILAR, 0, MAX_SIMILAR));
+}
+
+export function duplicateScore(env = process.env) {
+    return readNumber(env.TRIAGE_DUPLICATE_SCORE, DEFAULT_DUPLICATE_SCORE, 0, 1);
+}
+
+// Builds an index entry from a (redacted) ticket and its decision.
+export function toIndexEntry({ ticket, decision, reviewed = false, triagedAt }) {
+    return {
+        id: exampleId(ticket),
+        ticket,
+        decision: Object.fromEntries(DECISION_FIELDS.filter((f) => decision[f] !== undefined).map((f) => [f, decision[f]])),
+        reviewed,
+        triaged_at: triagedAt || new Date().toISOString(),
+        terms: Object.fromEntries(termCounts(tokenize(ticket)))
+    };
+}
+
+async function update(env, change, failure) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    if (!loaded.store) return { ok: true };
+
+    const write = pendingWrite.then(async () => {
+        const entries = (await loaded.store.get(TICKETS_KEY)) || [];
+        await loaded.store.set(TICKETS_KEY, change(entries).slice(-MAX_TICKETS));
+    });
+    pendingWrite = write.catch(() => {});
+    try {
+        await write;
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, error: `${failure}: ${e.message}` };
+    }
+}
+
+// Adds a triaged ticket, replacing an earlier entry for the same text. A reviewed decision is
+// kept over a new model decision: it is the one reviewers settled on.
+// Returns { ok } or { ok: false, error }.
+export function indexTicket(entry, env = process.env) {
+    return update(
+        env,
+        (entries) => {
+            const previous = entries.find((e) => e.id === entry.id);
+            const kept = previous?.reviewed && !entry.reviewed ? { ...entry, decision: previous.decision, reviewed: true } : entry;
+            return [...entries.filter((e) => e.id !== entry.id), kept];
+        },
+        "Could not index the ticket"
+    );
+}
+
+// Replaces the whole index, e.g. when rebuilding it from JSONL. Returns { ok } or { ok: false, error }.
+export function replaceIndex(entries, env = process.env) {
+    return update(env, () => entries, "Could not rebuild the ticket index");
+}
+
+// { ok, entries } oldest first, or { ok: false, error }.
+export async function readIndex(env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    if (!loaded.store) return { ok: true, entries: [] };
+    try {
+        await pendingWrite;
+        return { ok: true, entries: (await loaded.store.get(TICKETS_KEY)) || [] };
+    } catch (e) {
+        return { ok: false, error: `Could not read the ticket index: ${e.message}` };
+    }
+}
+
+// The indexed tickets most similar to `ticket` (redacted), best first:
+// [{ id, ticket, score, duplicate, decision, reviewed, triaged_at }]. Scores are rounded to
+// two decimals; `duplicate` marks scores at or above TRIAGE_DUPLICATE_SCORE.
+// Returns { ok, similar } or { ok: false, error }.
+export async function findSimilar(ticket, env = process.env) {
+    const limit = similarLimit(env);
+    if (!limit) return { ok: true, similar: [] };
+    const read = await readIndex(env);
+    if (!read.ok) return read;
+
+    const threshold = duplicateScore(env);
+    const docs = read.entries.map((entry) => ({ item: entry, counts: new Map(Object.entries(entry.terms || {})) }));
+    const ranked = rankDocuments(termCounts(tokenize(ticket)), docs, { limit, minScore: MIN_SCORE });
+    return {
+        ok: true,
+        similar: ranked.map(({ item, score }) => ({
+            id: item.id,
+            ticket: item.ticket,
+            score: Math.round(score * 100) / 100,
+            duplicate: score >= threshold,
+            decision: item.decision,
+            reviewed: item.reviewed,
+            triaged_at: item.triaged_at
+        }))
+    };
+}
+
+// Reads index entries back from JSONL. Each line is either an exported entry ({ ticket,
+// decision, reviewed?, triaged_at? }) or a reviewed example from
+// GET /.netlify/functions/triageReview?format=jsonl ({ input, expect, reviewed_at? }).
+// Tickets and summaries are redacted with `redaction` (loadRedaction's config), as the file may
+// hold raw tickets. A later line for the same ticket replaces an earlier one. Returns
+// { entries, skipped } where skipped lists the line numbers that were neither.
+export function parseIndexJsonl(text, redaction) {
+    const entries = new Map();
+    const skipped = [];
+    String(text || "")
+        .split(/\r?\n/)
+        .forEach((line, idx) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                skipped.push(idx + 1);
+                return;
+            }
+            const ticket = typeof record.ticket === "string" ? record.ticket : record.input;
+            const decision = record.decision || record.expect;
+            if (typeof ticket !== "string" || !ticket.trim() || !decision || typeof decision !== "object") {
+                skipped.push(idx + 1);
+                return;
+            }
+            const { redact } = createRedactor(redaction);
+            const entry = toIndexEntry({
+                ticket: redact(ticket.trim()),
+                decision: { ...decision, summary: redact(decision.summary) },
+                reviewed: record.decision ? Boolean(record.reviewed) : true,
+                triagedAt: record.triaged_at || record.reviewed_at
+            });
+            entries.delete(entry.id);
+            entries.set(entry.id, entry);
+        });
+    return { entries: [...entries.values()], skipped };
+}
+
+// One JSON line per entry, without the term counts (they are rebuilt on import).
+export function toIndexJsonl(entries) {
+    return entries.map(({ terms, ...entry }) => JSON.stringify(entry)).join("\n") + (entries.length ? "\n" : "");
+}
@@ -0,0 +1,114 @@
+// Validates a value against the subset of JSON Schema our response schemas use:
+// type, enum, properties, required, additionalProperties, minItems, maxItems,
+// uniqueItems, minLength, maxLength, pattern, minimum and maximum.
+// Returns the first error as a human-readable string, or null when the value is valid.
+// String lengths are counted in characters (code points, not UTF-16 units) after trimming, so
+// whitespace cannot pad a short answer. Patterns are compiled with the u flag, so they may use
+// Unicode property escapes like \p{Lu}.
+
+const patternCache = new Map();
+
+export function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) patternCache.set(pattern, new RegExp(pattern, "u"));
+    return patternCache.get(pattern);
+}
+
+export function validateAgainstSchema(value, schema, path = "") {
+    const label = path || "Response";
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        return `${label} must be one of: ${schema.enum.join(", ")}.`;
+    }
+
+    switch (schema.type) {
+        case "object":
+            return validateObject(value, schema, path);
+        case "array":
+            return validateArray(value, schema, label);
+        case "string":
+            return validateString(value, schema, label);
+        case "number":
+        case "integer":
+            return validateNumber(value, schema, label);
+        case "boolean":
+            return typeof value === "boolean" ? null : `${label} must be a boolean.`;
+        default:
+            return null;
+    }
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function validateObject(value, schema, path) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return path ? `${path} must be an object.` : "Response is not an object.";
+    }
+
+    const props = schema.properties || {};
+    if (schema.additionalProperties === false) {
+        for (const k of Object.keys(value)) {
+            if (!(k in props)) return `Unexpected property: ${join(path, k)}`;
+        }
+    }
+    for (const k of schema.required || []) {
+        if (!(k in value)) return `Missing required property: ${join(path, k)}`;
+    }
+    for (const [k, propSchema] of Object.entries(props)) {
+        if (!(k in value)) continue;
+        const error = validateAgainstSchema(value[k], propSchema, join(path, k));
+        if (error) return error;
+    }
+    return null;
+}
+
+function validateArray(value, schema, label) {
+    if (!Array.isArray(value)) return `${label} must be an array.`;
+
+    const min = schema.minItems ?? 0;
+    const max = schema.maxItems ?? Infinity;
+    if (value.length < min || value.length > max) {
+        if (max === Infinity) return `${label} must have at least ${min} items.`;
+        return `${label} must have ${min}-${max} items.`;
+    }
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+        return `${label} must not contain duplicates.`;
+    }
+    if (schema.items) {
+        for (const item of value) {
+            const error = validateAgainstSchema(item, schema.items, `${label} items`);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+function charCount(text) {
+    let count = 0;
+    for (const _ of text) count++;
+    return count;
+}
+
+function validateString(value, schema, label) {
+    const minLength = schema.minLength ?? 0;
+    if (typeof value !== "string" || charCount(value.trim()) < minLength) {
+        return minLength ? `${label} must be a string (minLength ${minLength}).` : `${label} must be a string.`;
+    }
+    if (schema.maxLength !== undefined && charCount(value) > schema.maxLength) {
+        return `${label} must be at most ${schema.maxLength} characters.`;
+    }
+    if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+        return `${label} must match required pattern.`;
+    }
+    return null;
+}
+
+function validateNumber(value, schema, label) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return `${label} must be a number.`;
+    if (schema.type === "integer" && !Number.isInteger(value)) return `${label} must be an integer.`;
+    const min = schema.minimum ?? -Infinity;
+    const max = schema.maximum ?? Infinity;
+    if (value < min || value > max) return `${label} must be a number between ${min} and ${max}.`;
+    return null;
+}
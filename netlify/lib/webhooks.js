@@ -0,0 +1,314 @@
+import crypto from "node:crypto";
+import { getHeader } from "./http.js";
+import { createStore } from "./store.js";
+
+// Issue-tracker webhooks for the triageWebhook function: work out who sent a payload, check its
+// HMAC signature, turn it into a ticket, remember its delivery id, and send the triage result on
+// to a callback URL.
+//
+//   Sources and their signature headers (hex HMAC-SHA256 of the raw body, "sha256=" prefixed):
+//     github   X-Hub-Signature-256   issues "opened" events; "ping" is acknowledged
+//     jira     X-Hub-Signature       jira:issue_created events
+//     generic  X-Webhook-Signature   { id?, title|summary|subject, description|body|text|message, url? }
+//   and their delivery id headers, which make a redelivery a no-op: X-GitHub-Delivery,
+//   X-Atlassian-Webhook-Identifier and X-Webhook-Delivery.
+//
+//   WEBHOOK_SECRET               shared secret; WEBHOOK_SECRET_GITHUB, _JIRA and _GENERIC override it
+//                                per source. A source without a secret is refused.
+//   WEBHOOK_CALLBACK_URL         where results are POSTed (optional; without it the result is only
+//                                returned to the sender)
+//   WEBHOOK_CALLBACK_SECRET      signs callbacks with X-Webhook-Signature (optional)
+//   WEBHOOK_CALLBACK_ATTEMPTS    tries per callback (default 3); network errors, 408, 429 and 5xx
+//                                are retried with exponential backoff from
+//   WEBHOOK_CALLBACK_BACKOFF_MS  (default 500)
+//   WEBHOOK_STORE                where delivery ids and dead letters (callbacks that still failed;
+//                                resend them with scripts/webhook-dead-letters.js) are kept: file
+//                                (default, WEBHOOK_FILE), memory or blobs (WEBHOOK_BLOBS_STORE).
+//                                Deployed sites need blobs: the file store cannot write there.
+
+export const WEBHOOK_SOURCES = ["github", "jira", "generic"];
+
+const SIGNATURE_HEADERS = { github: "x-hub-signature-256", jira: "x-hub-signature", generic: "x-webhook-signature" };
+const DELIVERY_HEADERS = { github: "x-github-delivery", jira: "x-atlassian-webhook-identifier", generic: "x-webhook-delivery" };
+const CALLBACK_TIMEOUT_MS = 5000;
+const MAX_DESCRIPTION_CHARS = 6000;
+// GitHub lets a delivery be redelivered for three days.
+const DELIVERY_TTL_SECONDS = 3 * 24 * 60 * 60;
+const DEAD_LETTERS_KEY = "dead-letters";
+const MAX_DEAD_LETTERS = 1000;
+
+const cachedStores = new Map();
+let pendingWrite = Promise.resolve();
+
+function getStore(env) {
+    const kind = env.WEBHOOK_STORE || "file";
+    const options = { file: env.WEBHOOK_FILE || ".data/webhooks.json", name: env.WEBHOOK_BLOBS_STORE || "webhooks" };
+    const key = `${kind}:${options.file}:${options.name}`;
+    if (!cachedStores.has(key)) cachedStores.set(key, createStore(kind, options));
+    const loaded = cachedStores.get(key);
+    return loaded.ok ? loaded : { ok: false, error: `Invalid webhook store config: ${loaded.error}` };
+}
+
+export function loadWebhookConfig(env = process.env) {
+    const attempts = Number.parseInt(env.WEBHOOK_CALLBACK_ATTEMPTS, 10);
+    const backoff = Number.parseInt(env.WEBHOOK_CALLBACK_BACKOFF_MS, 10);
+    return {
+        secrets: Object.fromEntries(WEBHOOK_SOURCES.map((s) => [s, env[`WEBHOOK_SECRET_${s.toUpperCase()}`] || env.WEBHOOK_SECRET || ""])),
+        callbackUrl: env.WEBHOOK_CALLBACK_URL || "",
+        callbackSecret: env.WEBHOOK_CALLBACK_SECRET || "",
+        attempts: Number.isFinite(attempts) && attempts > 0 ? Math.min(attempts, 10) : 3,
+        backoffMs: Number.isFinite(backoff) && backoff >= 0 ? backoff : 500
+    };
+}
+
+// The sender: ?source= when given, otherwise GitHub's event header or Jira's webhookEvent field.
+export function detectSource(headers, payload, requested) {
+    if (requested) return WEBHOOK_SOURCES.includes(requested) ? requested : null;
+    if (getHeader(headers, "x-github-event")) return "github";
+    if (typeof payload?.webhookEvent === "string" && payload.webhookEvent.startsWith("jira:")) return "jira";
+    return "generic";
+}
+
+export function sign(body, secret) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+// Checks the source's signature header against the raw body. Returns { ok } or
+// { ok: false, statusCode, error }.
+export function verifySignature(source, headers, rawBody, config) {
+    const secret = config.secrets[source];
+    if (!secret) {
+        return { ok: false, statusCode: 500, error: `No webhook secret configured for ${source}. Set WEBHOOK_SECRET_${source.toUpperCase()} or WEBHOOK_SECRET.` };
+    }
+    const presented = String(getHeader(headers, SIGNATURE_HEADERS[source]) || "").trim();
+    if (!presented) return { ok: false, statusCode: 401, error: "Missing webhook signature." };
+
+    const expected = Buffer.from(sign(rawBody, secret));
+    const actual = Buffer.from(presented.toLowerCase());
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { ok: false, statusCode: 401, error: "Invalid webhook signature." };
+    }
+    return { ok: true };
+}
+
+// The sender's id for this delivery ("" when it sends none); the same for a redelivery.
+export function deliveryId(source, headers) {
+    return String(getHeader(headers, DELIVERY_HEADERS[source]) || "").trim();
+}
+
+// Records a delivery id. Returns { ok, duplicate } (duplicate when it was already recorded) or
+// { ok: false, error }.
+export async function claimDelivery(source, id, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    const key = `delivery:${source}:${id}`;
+    try {
+        // A conditional write, so concurrent redeliveries of one id cannot both be queued.
+        const claimed = await loaded.store.setIfNew(key, { received_at: new Date().toISOString() }, DELIVERY_TTL_SECONDS);
+        return { ok: true, duplicate: !claimed };
+    } catch (e) {
+        return { ok: false, error: `Could not record the delivery: ${e.message}` };
+    }
+}
+
+// Forgets a delivery id, so the sender can redeliver a webhook that could not be queued.
+export async function releaseDelivery(source, id, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return;
+    await loaded.store.delete(`delivery:${source}:${id}`).catch(() => {});
+}
+
+// Jira Cloud sends descriptions as Atlassian Document Format; keep the text, one block per line.
+function adfText(node) {
+    if (!node || typeof node !== "object") return "";
+    if (node.type === "text") return node.text || "";
+    if (node.type === "hardBreak") return "\n";
+    const inner = (node.content || []).map(adfText).join("");
+    return ["paragraph", "heading", "listItem", "codeBlock", "blockquote"].includes(node.type) ? `${inner}\n` : inner;
+}
+
+function text(value) {
+    if (typeof value === "string") return value.trim();
+    if (value && typeof value === "object") return adfText(value).trim();
+    if (typeof value === "number") return String(value);
+    return "";
+}
+
+function firstOf(record, names) {
+    for (const name of names) {
+        const value = text(record?.[name]);
+        if (value) return value;
+    }
+    return "";
+}
+
+function jiraBrowseUrl(issue) {
+    try {
+        return `${new URL(issue.self).origin}/browse/${issue.key}`;
+    } catch {
+        return null;
+    }
+}
+
+// Turns a payload into { ok, ticket: { source, event, id, title, description, url } }, or
+// { ok, skip } for events that are not new tickets, or { ok: false, error }.
+export function normalizeWebhook(source, headers, payload) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) return { ok: false, error: "Webhook payload must be a JSON object." };
+    let ticket;
+
+    if (source === "github") {
+        const event = String(getHeader(headers, "x-github-event") || "");
+        if (event === "ping") return { ok: true, skip: "ping" };
+        if (event !== "issues" || payload.action !== "opened") return { ok: true, skip: `${event || "unknown"}${payload.action ? `.${payload.action}` : ""}` };
+        const issue = payload.issue || {};
+        const repo = payload.repository?.full_name;
+        ticket = {
+            event: "issues.opened",
+            id: repo && issue.number ? `${repo}#${issue.number}` : text(issue.id),
+            title: text(issue.title),
+            description: text(issue.body),
+            url: issue.html_url || null
+        };
+    } else if (source === "jira") {
+        if (payload.webhookEvent !== "jira:issue_created") return { ok: true, skip: String(payload.webhookEvent || "unknown") };
+        const issue = payload.issue || {};
+        ticket = {
+            event: "jira:issue_created",
+            id: text(issue.key) || text(issue.id),
+            title: text(issue.fields?.summary),
+            description: text(issue.fields?.description),
+            url: issue.key ? jiraBrowseUrl(issue) : null
+        };
+    } else {
+        const record = payload.ticket && typeof payload.ticket === "object" ? payload.ticket : payload;
+        ticket = {
+            event: text(payload.event) || "ticket.created",
+            id: firstOf(record, ["id", "key", "number"]),
+            title: firstOf(record, ["title", "summary", "subject"]),
+            description: firstOf(record, ["description", "body", "text", "message"]),
+            url: firstOf(record, ["url", "html_url", "link"]) || null
+        };
+    }
+
+    if (!ticket.title && !ticket.description) return { ok: false, error: "The payload has no ticket title or description." };
+    if (ticket.description.length > MAX_DESCRIPTION_CHARS) ticket.description = `${ticket.description.slice(0, MAX_DESCRIPTION_CHARS)}…`;
+    return { ok: true, ticket: { source, ...ticket, id: ticket.id || null } };
+}
+
+// The callback body: a comment and labels a tracker integration can post as they are, plus the
+// full decision for anything that wants more.
+export function callbackPayload(ticket, triage, requestId) {
+    const { similar = [], ...decision } = triage;
+    const duplicate = similar.find((s) => s.duplicate);
+    const lines = [
+        `Triage: ${decision.priority} · ${decision.severity} ${decision.category} · ${decision.component} → ${decision.assignee_team}`,
+        "",
+        decision.summary,
+        "",
+        decision.rationale
+    ];
+    if (duplicate) lines.push("", `Possible duplicate (${Math.round(duplicate.score * 100)}% similar): ${duplicate.decision.summary || duplicate.ticket}`);
+    return {
+        source: ticket.source,
+        event: ticket.event,
+        ticket: { id: ticket.id, url: ticket.url, title: ticket.title },
+        comment: lines.join("\n"),
+        labels: [
+            `priority:${decision.priority}`,
+            `severity:${decision.severity}`,
+            `category:${decision.category}`,
+            `component:${decision.component}`,
+            `team:${decision.assignee_team}`,
+            ...(decision.labels || []),
+            ...(duplicate ? ["possible-duplicate"] : [])
+        ],
+        triage: decision,
+        similar,
+        requestId: requestId || null
+    };
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// POSTs `payload` to the callback URL, retrying failures that may pass on a later try.
+// Returns { ok, attempts, status } or { ok: false, attempts, status, error }; never throws.
+export async function deliverCallback(payload, config) {
+    const body = JSON.stringify(payload);
+    const headers = { "content-type": "application/json", ...(config.callbackSecret ? { "x-webhook-signature": sign(body, config.callbackSecret) } : {}) };
+    let last = { status: null, error: "" };
+
+    for (let attempt = 1; attempt <= config.attempts; attempt++) {
+        try {
+            const res = await fetch(config.callbackUrl, { method: "POST", headers, body, signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS) });
+            if (res.ok) return { ok: true, attempts: attempt, status: res.status };
+            last = { status: res.status, error: `Callback returned ${res.status}.` };
+            if (!retryable(res.status)) return { ok: false, attempts: attempt, ...last };
+        } catch (e) {
+            last = { status: null, error: `Callback failed: ${e.message}` };
+        }
+        if (attempt < config.attempts) await sleep(config.backoffMs * 2 ** (attempt - 1));
+    }
+    return { ok: false, attempts: config.attempts, ...last };
+}
+
+// Rewrites the dead-letter list with `update(entries)`; the oldest entries are dropped past
+// MAX_DEAD_LETTERS. Writes from one instance are applied one at a time. Returns { ok } or
+// { ok: false, error }.
+export async function updateDeadLetters(update, env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    const write = pendingWrite.then(async () => {
+        const entries = (await loaded.store.get(DEAD_LETTERS_KEY)) || [];
+        await loaded.store.set(DEAD_LETTERS_KEY, update(entries).slice(-MAX_DEAD_LETTERS));
+    });
+    pendingWrite = write.catch(() => {});
+    try {
+        await write;
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, error: `Could not save the dead letter: ${e.message}` };
+    }
+}
+
+// Callbacks that could not be delivered: { ok, entries } or { ok: false, error }.
+export async function readDeadLetters(env = process.env) {
+    const loaded = getStore(env);
+    if (!loaded.ok) return loaded;
+    try {
+        await pendingWrite;
+        return { ok: true, entries: (await loaded.store.get(DEAD_LETTERS_KEY)) || [] };
+    } catch (e) {
+        return { ok: false, error: `Could not read the dead letters: ${e.message}` };
+    }
+}
+
+// Delivers a callback and dead-letters it if every attempt fails.
+// Returns { delivered, attempts, status?, error?, dead_lettered? }.
+export async function sendCallback(payload, config, env = process.env) {
+    const sent = await deliverCallback(payload, config);
+    if (sent.ok) return { delivered: true, attempts: sent.attempts, status: sent.status };
+
+    const entry = {
+        id: crypto.randomUUID(),
+        failed_at: new Date().toISOString(),
+        url: config.callbackUrl,
+        attempts: sent.attempts,
+        status: sent.status,
+        error: sent.error,
+        payload
+    };
+    const stored = await updateDeadLetters((entries) => [...entries, entry], env);
+    return {
+        delivered: false,
+        attempts: sent.attempts,
+        status: sent.status,
+        error: stored.ok ? sent.error : `${sent.error} ${stored.error}`,
+        dead_lettered: stored.ok
+    };
+}
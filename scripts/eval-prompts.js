@@ -0,0 +1,181 @@
+import "dotenv/config";
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { handler as planHandler } from "../netlify/functions/generatePlan.js";
+import { handler as triageHandler } from "../netlify/functions/triage.js";
+import { loadPromptFamily } from "../netlify/lib/prompts.js";
+
+// Usage: node scripts/eval-prompts.js [--family plan|triage] [--golden eval/plan.golden.jsonl]
+//                                     [--versions v1,v2] [--out report.json]
+// Runs every golden input through each prompt version (cache bypassed) and scores them:
+//   valid      share of responses that passed schema validation
+//   first_try  share that needed no retry (avg attempts is reported too)
+//   length     share of sections within the family's length bounds
+//   keywords   share of each case's "keywords" found in the output (case-insensitive)
+//   fields     share of each case's "expect" fields matched (a list means any of those values)
+// score is the mean of the metrics that apply.
+
+// Per-request log lines would drown out the progress output unless LOG_LEVEL asks for them.
+process.env.LOG_LEVEL ||= "warn";
+// Golden tickets are not real traffic: keep them out of the similar-ticket index, and the
+// matches it would return out of the keyword scores.
+process.env.TICKET_INDEX_STORE = "off";
+
+// Runs as its own client, like scripts/triage-batch.js: no credentials needed, and a quota of
+// its own.
+const principal = { id: "cli:eval-prompts", kind: "cli", scopes: ["plan", "triage"] };
+
+const FAMILIES = {
+  plan: {
+    handler: planHandler,
+    field: "input",
+    lengths: { problem_statement: [60, 600], items: [15, 220] }
+  },
+  triage: {
+    handler: triageHandler,
+    field: "userMessage",
+    lengths: { summary: [20, 240], rationale: [20, 800] }
+  }
+};
+
+const { values } = parseArgs({
+  options: {
+    family: { type: "string", default: "plan" },
+    golden: { type: "string" },
+    versions: { type: "string" },
+    out: { type: "string" }
+  }
+});
+
+const family = FAMILIES[values.family];
+if (!family) {
+  console.error(`Unknown family: ${values.family}. Use one of: ${Object.keys(FAMILIES).join(", ")}.`);
+  process.exit(1);
+}
+
+const loaded = loadPromptFamily(values.family);
+if (!loaded.ok) {
+  console.error(loaded.error);
+  process.exit(1);
+}
+const versions = values.versions ? values.versions.split(",").map((v) => v.trim()) : Object.keys(loaded.family.versions);
+const unknown = versions.filter((v) => !loaded.family.versions[v]);
+if (unknown.length) {
+  console.error(`Unknown ${values.family} prompt versions: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+
+const goldenFile = values.golden || `eval/${values.family}.golden.jsonl`;
+const cases = fs
+  .readFileSync(goldenFile, "utf8")
+  .split("\n")
+  .filter((line) => line.trim())
+  .map((line) => JSON.parse(line));
+
+function inRange(text, [min, max]) {
+  const length = String(text ?? "").trim().length;
+  return length >= min && length <= max;
+}
+
+function lengthScore(value, lengths) {
+  const checks = [];
+  for (const [key, bounds] of Object.entries(lengths)) {
+    if (key !== "items") checks.push(inRange(value[key], bounds));
+  }
+  if (lengths.items) {
+    for (const v of Object.values(value)) {
+      if (Array.isArray(v)) v.filter((item) => typeof item === "string").forEach((item) => checks.push(inRange(item, lengths.items)));
+    }
+  }
+  return checks.length ? checks.filter(Boolean).length / checks.length : null;
+}
+
+function keywordScore(value, keywords) {
+  if (!keywords?.length) return null;
+  const text = JSON.stringify(value).toLowerCase();
+  return keywords.filter((k) => text.includes(k.toLowerCase())).length / keywords.length;
+}
+
+function fieldScore(value, expect) {
+  const entries = Object.entries(expect || {});
+  if (!entries.length) return null;
+  const matched = entries.filter(([key, want]) => (Array.isArray(want) ? want.includes(value[key]) : value[key] === want));
+  return matched.length / entries.length;
+}
+
+function scoreCase(testCase, res) {
+  const attempts = Number(res.headers?.["x-llm-attempts"]) || 0;
+  let body = null;
+  try {
+    body = JSON.parse(res.body);
+  } catch {
+    body = null;
+  }
+
+  if (res.statusCode !== 200) {
+    return {
+      id: testCase.id,
+      valid: 0,
+      first_try: 0,
+      attempts,
+      length: 0,
+      keywords: testCase.keywords?.length ? 0 : null,
+      fields: Object.keys(testCase.expect || {}).length ? 0 : null,
+      error: body?.error || `HTTP ${res.statusCode}`
+    };
+  }
+  return {
+    id: testCase.id,
+    valid: 1,
+    first_try: attempts <= 1 ? 1 : 0,
+    attempts,
+    length: lengthScore(body, family.lengths),
+    keywords: keywordScore(body, testCase.keywords),
+    fields: fieldScore(body, testCase.expect)
+  };
+}
+
+function mean(numbers) {
+  const present = numbers.filter((n) => n !== null && n !== undefined);
+  return present.length ? present.reduce((a, b) => a + b, 0) / present.length : null;
+}
+
+const METRICS = ["valid", "first_try", "length", "keywords", "fields"];
+
+function summarizeVersion(version, results) {
+  const summary = { version, cases: results.length, avg_attempts: mean(results.map((r) => r.attempts)) };
+  for (const metric of METRICS) summary[metric] = mean(results.map((r) => r[metric]));
+  summary.score = mean(METRICS.map((m) => summary[m]));
+  return summary;
+}
+
+const report = { family: values.family, golden: goldenFile, versions: [] };
+
+for (const version of versions) {
+  const results = [];
+  for (const testCase of cases) {
+    const res = await family.handler({
+      httpMethod: "POST",
+      internal: true,
+      principal,
+      queryStringParameters: { fresh: "1" },
+      body: JSON.stringify({ [family.field]: testCase.input, promptVersion: version })
+    });
+    const scored = scoreCase(testCase, res);
+    results.push(scored);
+    process.stdout.write(`${values.family}/${version} ${testCase.id}: ${scored.valid ? "ok" : `failed (${scored.error})`}\n`);
+  }
+  report.versions.push({ ...summarizeVersion(version, results), results });
+}
+
+const format = (n) => (n === null ? "-" : n.toFixed(2));
+console.log("");
+console.log(["version", "score", ...METRICS, "avg_attempts"].map((h) => h.padEnd(12)).join(""));
+for (const v of report.versions) {
+  console.log([v.version, format(v.score), ...METRICS.map((m) => format(v[m])), format(v.avg_attempts)].map((c) => c.padEnd(12)).join(""));
+}
+
+if (values.out) {
+  fs.writeFileSync(values.out, JSON.stringify(report, null, 2) + "\n");
+  console.log(`\nWrote ${values.out}`);
+}
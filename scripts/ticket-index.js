@@ -0,0 +1,75 @@
+import "dotenv/config";
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { loadRedaction } from "../netlify/lib/redact.js";
+import { parseIndexJsonl, readIndex, replaceIndex, toIndexJsonl } from "../netlify/lib/ticketIndex.js";
+
+// Usage: node scripts/ticket-index.js export [--out index.jsonl]
+//        node scripts/ticket-index.js rebuild <file.jsonl>... [--append]
+// Exports the similar-ticket index as JSONL, or rebuilds it from exported entries and/or
+// reviewed examples (GET /.netlify/functions/triageReview?format=jsonl). Later files win for
+// the same ticket; --append keeps what is already indexed. Tickets are redacted as they are read
+// (REDACTION settings). Uses the store configured by TICKET_INDEX_STORE (see
+// netlify/lib/ticketIndex.js).
+
+const USAGE = "Usage: node scripts/ticket-index.js export [--out index.jsonl] | rebuild <file.jsonl>... [--append]";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: "string" },
+    append: { type: "boolean", default: false }
+  }
+});
+
+const [command, ...files] = positionals;
+
+if (command === "export") {
+  const read = await readIndex();
+  if (!read.ok) {
+    console.error(read.error);
+    process.exit(1);
+  }
+  const jsonl = toIndexJsonl(read.entries);
+  if (values.out) {
+    fs.writeFileSync(values.out, jsonl);
+    console.error(`Wrote ${read.entries.length} tickets to ${values.out}`);
+  } else {
+    process.stdout.write(jsonl);
+  }
+} else if (command === "rebuild" && files.length) {
+  const redaction = loadRedaction();
+  if (!redaction.ok) {
+    console.error(redaction.error);
+    process.exit(1);
+  }
+  const byId = new Map();
+  if (values.append) {
+    const read = await readIndex();
+    if (!read.ok) {
+      console.error(read.error);
+      process.exit(1);
+    }
+    for (const entry of read.entries) byId.set(entry.id, entry);
+  }
+
+  for (const file of files) {
+    const { entries, skipped } = parseIndexJsonl(fs.readFileSync(file, "utf8"), redaction.config);
+    for (const entry of entries) {
+      byId.delete(entry.id);
+      byId.set(entry.id, entry);
+    }
+    const note = skipped.length ? ` (skipped lines ${skipped.join(", ")})` : "";
+    console.log(`${file}: ${entries.length} tickets${note}`);
+  }
+
+  const saved = await replaceIndex([...byId.values()]);
+  if (!saved.ok) {
+    console.error(saved.error);
+    process.exit(1);
+  }
+  console.log(`Indexed ${byId.size} tickets.`);
+} else {
+  console.error(USAGE);
+  process.exit(1);
+}
@@ -0,0 +1,64 @@
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { handler } from "../netlify/functions/triage.js";
+import { parseTickets, runBatch, summarize, ticketMessage, toCsv, toJsonl } from "../netlify/lib/batch.js";
+
+// Usage: node scripts/triage-batch.js tickets.csv [--format csv|jsonl] [--concurrency 4] [--out results]
+// Writes <out>.jsonl and <out>.csv; rows that fail are recorded with their error.
+
+// Per-request log lines would drown out the progress output unless LOG_LEVEL asks for them.
+process.env.LOG_LEVEL ||= "warn";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: "string" },
+    concurrency: { type: "string", default: "4" },
+    "max-retries": { type: "string", default: "4" },
+    out: { type: "string" }
+  }
+});
+
+const inputFile = positionals[0];
+if (!inputFile) {
+  console.error("Usage: node scripts/triage-batch.js <tickets.csv|tickets.jsonl> [--format csv|jsonl] [--concurrency 4] [--out results]");
+  process.exit(1);
+}
+
+const text = fs.readFileSync(inputFile, "utf8");
+const format = values.format || (path.extname(inputFile).toLowerCase() === ".csv" ? "csv" : undefined);
+const parsed = parseTickets(text, format);
+if (!parsed.ok) {
+  console.error(parsed.error);
+  process.exit(1);
+}
+
+// The script acts as its own client: it needs no credentials when AUTH_REQUIRED is on, and its
+// quota is kept apart from anonymous web traffic.
+const principal = { id: "cli:triage-batch", kind: "cli", scopes: ["triage"] };
+
+const outBase = values.out || path.join(path.dirname(inputFile), path.basename(inputFile, path.extname(inputFile)) + ".triaged");
+let done = 0;
+
+const results = await runBatch(
+  parsed.tickets,
+  (ticket) => handler({ httpMethod: "POST", internal: true, principal, body: JSON.stringify({ userMessage: ticketMessage(ticket) }) }),
+  {
+    concurrency: Number(values.concurrency),
+    maxRetries: Number(values["max-retries"]),
+    onResult: (r) => {
+      done++;
+      const detail = r.ok ? `${r.triage.priority} ${r.triage.component} -> ${r.triage.assignee_team}` : `ERROR ${r.error}`;
+      console.log(`[${done}/${parsed.tickets.length}] ${r.id}: ${detail}`);
+    }
+  }
+);
+
+fs.writeFileSync(`${outBase}.jsonl`, toJsonl(results));
+fs.writeFileSync(`${outBase}.csv`, toCsv(results));
+
+const summary = summarize(results);
+console.log(`Triaged ${summary.succeeded}/${summary.total} tickets (${summary.failed} failed).`);
+console.log(`Wrote ${outBase}.jsonl and ${outBase}.csv`);
@@ -0,0 +1,50 @@
+import "dotenv/config";
+import { parseArgs } from "node:util";
+import { deliverCallback, loadWebhookConfig, readDeadLetters, updateDeadLetters } from "../netlify/lib/webhooks.js";
+
+// Usage: node scripts/webhook-dead-letters.js [--url <callback>]
+// Resends the triage callbacks that triageWebhook could not deliver, to the URL each was meant
+// for (or --url). They are read from the webhook store (WEBHOOK_STORE; set it to blobs, with the
+// site's Netlify credentials, for a deployed site's). Delivered entries are removed from the
+// store; the rest stay for the next run.
+
+const config = loadWebhookConfig();
+const { values } = parseArgs({
+  options: {
+    url: { type: "string" }
+  }
+});
+
+const read = await readDeadLetters();
+if (!read.ok) {
+  console.error(read.error);
+  process.exit(1);
+}
+if (!read.entries.length) {
+  console.log("No dead letters.");
+  process.exit(0);
+}
+
+const delivered = new Set();
+const failed = new Map();
+
+for (const entry of read.entries) {
+  const url = values.url || entry.url;
+  const sent = await deliverCallback(entry.payload, { ...config, callbackUrl: url });
+  const label = entry.payload?.ticket?.id || entry.payload?.requestId || "ticket";
+  if (sent.ok) {
+    delivered.add(entry.id);
+    console.log(`${label}: delivered to ${url}`);
+  } else {
+    console.log(`${label}: ${sent.error}`);
+    failed.set(entry.id, { ...entry, failed_at: new Date().toISOString(), attempts: entry.attempts + sent.attempts, status: sent.status, error: sent.error });
+  }
+}
+
+// Entries added while this ran are kept as they are.
+const saved = await updateDeadLetters((entries) => entries.filter((e) => !delivered.has(e.id)).map((e) => failed.get(e.id) || e));
+if (!saved.ok) {
+  console.error(saved.error);
+  process.exit(1);
+}
+console.log(`Delivered ${delivered.size}/${read.entries.length}; ${failed.size} left.`);
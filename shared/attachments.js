@@ -0,0 +1,33 @@
+// Limits and accepted types for files attached to a plan request. Shared so the picker in the
+// web app rejects what the server would reject before uploading it.
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+export const MAX_TOTAL_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+
+export const TEXT_EXTENSIONS = ["txt", "log", "md", "markdown", "csv", "tsv", "json", "yaml", "yml", "xml"];
+export const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp"];
+
+// Value for <input type="file" accept>.
+export const ACCEPT = [...TEXT_EXTENSIONS, "pdf", ...IMAGE_EXTENSIONS].map((ext) => `.${ext}`).join(",");
+
+export function extensionOf(name) {
+    const match = String(name || "").toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : "";
+}
+
+// "text", "pdf", "image" or null, from the file name and the browser-reported type. The
+// server checks the content as well; this only decides what the client lets through.
+export function attachmentKind(name, type) {
+    const ext = extensionOf(name);
+    const mime = String(type || "").toLowerCase();
+    if (IMAGE_EXTENSIONS.includes(ext) || mime.startsWith("image/")) return "image";
+    if (ext === "pdf" || mime === "application/pdf") return "pdf";
+    if (TEXT_EXTENSIONS.includes(ext) || mime.startsWith("text/") || mime === "application/json") return "text";
+    return null;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,125 @@
+// Tracking state for a plan's next steps: one { status, owner, due } item per step, kept in
+// the same order as plan.next_steps. Shared by the app (editing, history) and exportPlan.
+
+export const STEP_STATUSES = {
+    todo: { label: "To do" },
+    in_progress: { label: "In progress" },
+    blocked: { label: "Blocked" },
+    done: { label: "Done" }
+};
+
+const MAX_OWNER_CHARS = 80;
+const DUE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function emptyItem() {
+    return { status: "todo", owner: "", due: "" };
+}
+
+function normalizeStep(step) {
+    return String(step ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Items for `steps`, reusing any tracking from a previous version of the plan whose step
+// text matches (so refining a plan keeps owners and progress on the steps that survived).
+export function alignChecklist(steps, previousSteps = [], previousItems = []) {
+    const byStep = new Map();
+    previousSteps.forEach((step, idx) => {
+        if (previousItems[idx]) byStep.set(normalizeStep(step), previousItems[idx]);
+    });
+    return (steps || []).map((step) => ({ ...emptyItem(), ...byStep.get(normalizeStep(step)) }));
+}
+
+// Returns an error message, or null when the checklist fits a plan with `stepCount` steps.
+export function validateChecklist(items, stepCount) {
+    if (!Array.isArray(items)) return "checklist must be an array.";
+    if (items.length !== stepCount) return `checklist must have one item per next step (${stepCount}).`;
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!item || typeof item !== "object" || Array.isArray(item)) return `checklist[${i}] must be an object.`;
+        if (!STEP_STATUSES[item.status]) return `checklist[${i}].status must be one of: ${Object.keys(STEP_STATUSES).join(", ")}.`;
+        if (item.owner !== undefined && (typeof item.owner !== "string" || item.owner.length > MAX_OWNER_CHARS)) {
+            return `checklist[${i}].owner must be a string under ${MAX_OWNER_CHARS} characters.`;
+        }
+        if (item.due !== undefined && item.due !== "" && !isValidDate(item.due)) {
+            return `checklist[${i}].due must be a date in YYYY-MM-DD format.`;
+        }
+    }
+    return null;
+}
+
+function isValidDate(value) {
+    if (typeof value !== "string" || !DUE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function itemsFor(plan, checklist) {
+    const steps = Array.isArray(plan?.next_steps) ? plan.next_steps : [];
+    return steps.map((step, idx) => ({ step, ...emptyItem(), ...checklist?.[idx] }));
+}
+
+function csvCell(value) {
+    const s = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+export function renderChecklistCsv(plan, { title, checklist } = {}) {
+    const lines = [["step", "status", "owner", "due", "plan"].join(",")];
+    itemsFor(plan, checklist).forEach((item, idx) => {
+        lines.push([`${idx + 1}. ${item.step}`, item.status, item.owner, item.due, title].map(csvCell).join(","));
+    });
+    return lines.join("\n") + "\n";
+}
+
+// RFC 5545 text escaping and 75-octet line folding (approximated per character).
+function icsText(value) {
+    return String(value ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function foldLine(line) {
+    if (line.length <= 75) return line;
+    const parts = [line.slice(0, 75)];
+    for (let i = 75; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+    return parts.join("\r\n ");
+}
+
+function icsDate(value) {
+    return value.replace(/-/g, "");
+}
+
+function icsStamp(date) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDay(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+// One all-day event per step with a due date; steps without one are left out because a
+// calendar entry needs a date. Status and owner go in the description.
+export function renderChecklistIcs(plan, { title, checklist, now = new Date() } = {}) {
+    const stamp = icsStamp(now);
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//AI Office Hours Helper//Next Steps//EN", "CALSCALE:GREGORIAN"];
+    itemsFor(plan, checklist).forEach((item, idx) => {
+        if (!item.due) return;
+        const description = [
+            `Status: ${STEP_STATUSES[item.status]?.label || item.status}`,
+            item.owner ? `Owner: ${item.owner}` : null,
+            title ? `Plan: ${title}` : null
+        ].filter(Boolean).join("\n");
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${stamp}-step-${idx + 1}@office-hours`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(item.due)}`,
+            `DTEND;VALUE=DATE:${icsDate(nextDay(item.due))}`,
+            `SUMMARY:${icsText(item.step)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            "END:VEVENT"
+        );
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
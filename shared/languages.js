@@ -0,0 +1,68 @@
+// Languages a plan can be written in, keyed by ISO 639-1 code. `label` is shown in the UI
+// (in the language itself), `name` goes into the prompt. "auto" follows the input.
+export const LANGUAGES = {
+    auto: { label: "Auto-detect" },
+    en: { label: "English", name: "English" },
+    de: { label: "Deutsch", name: "German" },
+    es: { label: "Español", name: "Spanish" },
+    fr: { label: "Français", name: "French" },
+    pt: { label: "Português", name: "Portuguese" },
+    it: { label: "Italiano", name: "Italian" },
+    nl: { label: "Nederlands", name: "Dutch" },
+    pl: { label: "Polski", name: "Polish" },
+    ru: { label: "Русский", name: "Russian" },
+    uk: { label: "Українська", name: "Ukrainian" },
+    ja: { label: "日本語", name: "Japanese" },
+    zh: { label: "中文", name: "Chinese" },
+    ko: { label: "한국어", name: "Korean" },
+    ar: { label: "العربية", name: "Arabic" },
+    hi: { label: "हिन्दी", name: "Hindi" }
+};
+
+// Non-Latin scripts identify the language on their own (kana is checked before Han, which
+// Japanese also uses). Cyrillic defaults to Russian unless Ukrainian-only letters appear.
+const SCRIPTS = [
+    ["ja", /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ["ko", /\p{Script=Hangul}/u],
+    ["zh", /\p{Script=Han}/u],
+    ["ru", /\p{Script=Cyrillic}/u],
+    ["ar", /\p{Script=Arabic}/u],
+    ["hi", /\p{Script=Devanagari}/u]
+];
+
+// Common short words, for telling Latin-script languages apart.
+const STOPWORDS = {
+    en: "the and is are to of we our for with in it this that not have",
+    de: "der die das und ist wir nicht mit für ein eine unser unsere auf den zu wird",
+    es: "el la los las y es que de para con nuestro nuestra una por en se no",
+    fr: "le la les et est nous que pour avec une des du notre dans pas sur",
+    pt: "o a os as e é que para com uma nosso nossa não em do da são",
+    it: "il lo la gli e è che per con una nostro nostra non di del sono",
+    nl: "de het een en is wij we niet met voor onze van dat op zijn",
+    pl: "i w nie się jest na że z do to jak dla nasz nasza oraz"
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(" "))]));
+
+const MIN_SCRIPT_SHARE = 0.2;
+
+// Best guess at the language of `text`, or null when it is too short or ambiguous.
+export function detectLanguage(text) {
+    const letters = String(text || "").match(/\p{L}/gu) || [];
+    if (letters.length < 3) return null;
+
+    for (const [code, pattern] of SCRIPTS) {
+        const count = letters.filter((ch) => pattern.test(ch)).length;
+        // Japanese text is mostly Han characters, so any kana plus enough CJK is enough.
+        const share = code === "ja" && count ? letters.filter((ch) => /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(ch)).length : count;
+        if (share / letters.length >= MIN_SCRIPT_SHARE) {
+            return code === "ru" && /[іїєґ]/iu.test(text) ? "uk" : code;
+        }
+    }
+
+    const words = String(text).toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(STOPWORD_SETS)
+        .map(([code, set]) => [code, words.filter((w) => set.has(w)).length])
+        .sort((a, b) => b[1] - a[1]);
+    const [best, runnerUp] = scores;
+    return best[1] >= 2 && best[1] > runnerUp[1] ? best[0] : null;
+}
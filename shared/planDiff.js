@@ -0,0 +1,39 @@
+// Section-by-section comparison of two plans. Used by the refine round in generatePlan
+// and by the UI. Text sections report before/after; list sections report the items that
+// were added and removed (compared case- and whitespace-insensitively).
+export function diffPlans(before, after) {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const sections = {};
+    const changed = [];
+
+    for (const key of keys) {
+        const a = before?.[key];
+        const b = after?.[key];
+        const section = Array.isArray(a) || Array.isArray(b) ? diffList(a, b) : diffText(a, b);
+        sections[key] = section;
+        if (section.changed) changed.push(key);
+    }
+
+    return { changed, sections };
+}
+
+function normalize(value) {
+    return String(value ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function diffText(a, b) {
+    return { type: "text", changed: normalize(a) !== normalize(b), before: a ?? null, after: b ?? null };
+}
+
+function diffList(a, b) {
+    const before = Array.isArray(a) ? a : [];
+    const after = Array.isArray(b) ? b : [];
+    const beforeKeys = new Set(before.map(normalize));
+    const afterKeys = new Set(after.map(normalize));
+
+    const added = after.filter((item) => !beforeKeys.has(normalize(item)));
+    const removed = before.filter((item) => !afterKeys.has(normalize(item)));
+    const kept = after.length - added.length;
+
+    return { type: "list", changed: added.length > 0 || removed.length > 0, added, removed, kept };
+}
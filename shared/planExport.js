@@ -0,0 +1,172 @@
+// Renderers that turn a plan into shareable formats. Pure functions with no DOM or Node
+// dependencies, shared by the React app (copy/download/print) and the exportPlan function.
+// options.checklist carries next-step tracking (see checklist.js) where a format can show it;
+// options.sections lays out plans from other modes (see planModes.js), the workflow plan's
+// sections by default.
+
+import { STEP_STATUSES, renderChecklistCsv, renderChecklistIcs } from "./checklist.js";
+
+export const PLAN_SECTIONS = [
+    { key: "problem_statement", label: "Problem Statement", kind: "text" },
+    { key: "clarifying_questions", label: "Clarifying Questions", kind: "numbered" },
+    { key: "proposed_approach", label: "Proposed Approach", kind: "list" },
+    { key: "recommended_tools", label: "Recommended Tools", kind: "tags" },
+    { key: "risks_and_privacy", label: "Risks & Privacy", kind: "list" },
+    { key: "next_steps", label: "Next Steps", kind: "list" }
+];
+
+export const SECTION_LABELS = Object.fromEntries(PLAN_SECTIONS.map((s) => [s.key, s.label]));
+
+export const EXPORT_FORMATS = {
+    markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+    jira: { label: "Jira", extension: "txt", mimeType: "text/plain" },
+    github: { label: "GitHub issues", extension: "json", mimeType: "application/json", steps: true },
+    html: { label: "Printable HTML", extension: "html", mimeType: "text/html" },
+    csv: { label: "Next steps CSV", extension: "csv", mimeType: "text/csv", steps: true },
+    ics: { label: "Next steps calendar (ICS)", extension: "ics", mimeType: "text/calendar", steps: true }
+};
+
+// Formats marked `steps` are built from next_steps, so they need a mode that has them.
+export function exportFormatsFor(sections = PLAN_SECTIONS) {
+    const hasSteps = sections.some((s) => s.key === "next_steps");
+    return Object.fromEntries(Object.entries(EXPORT_FORMATS).filter(([, f]) => hasSteps || !f.steps));
+}
+
+const DEFAULT_TITLE = "Office Hours Plan";
+
+function list(plan, key) {
+    return Array.isArray(plan?.[key]) ? plan[key] : [];
+}
+
+// " (Owner: Ana, due 2024-05-01, In progress)" for a tracked step; empty when untracked.
+function trackingNote(item) {
+    if (!item) return "";
+    const parts = [];
+    if (item.owner) parts.push(`Owner: ${item.owner}`);
+    if (item.due) parts.push(`due ${item.due}`);
+    if (item.status && item.status !== "todo" && item.status !== "done") parts.push(STEP_STATUSES[item.status]?.label || item.status);
+    return parts.length ? ` (${parts.join(", ")})` : "";
+}
+
+export function renderMarkdown(plan, { title = DEFAULT_TITLE, checklist, sections = PLAN_SECTIONS } = {}) {
+    const out = [`# ${title}`, ""];
+    for (const { key, label, kind } of sections) {
+        out.push(`## ${label}`, "");
+        if (kind === "text") {
+            out.push(plan[key] || "", "");
+        } else if (kind === "numbered") {
+            list(plan, key).forEach((q, idx) => out.push(`${idx + 1}. ${q}`));
+            out.push("");
+        } else if (key === "next_steps") {
+            list(plan, key).forEach((s, idx) => {
+                const item = checklist?.[idx];
+                out.push(`- [${item?.status === "done" ? "x" : " "}] ${s}${trackingNote(item)}`);
+            });
+            out.push("");
+        } else {
+            list(plan, key).forEach((item) => out.push(`- ${item}`));
+            out.push("");
+        }
+    }
+    return out.join("\n").trimEnd() + "\n";
+}
+
+// Jira wiki markup: h1./h2. headings, * bullets, # numbered lists.
+export function renderJira(plan, { title = DEFAULT_TITLE, sections = PLAN_SECTIONS } = {}) {
+    const out = [`h1. ${escapeJira(title)}`, ""];
+    for (const { key, label, kind } of sections) {
+        out.push(`h2. ${label}`);
+        if (kind === "text") {
+            out.push(escapeJira(plan[key] || ""));
+        } else {
+            const marker = kind === "numbered" || key === "next_steps" ? "#" : "*";
+            list(plan, key).forEach((item) => out.push(`${marker} ${escapeJira(item)}`));
+        }
+        out.push("");
+    }
+    return out.join("\n").trimEnd() + "\n";
+}
+
+function escapeJira(text) {
+    return String(text).replace(/([{}[\]|])/g, "\\$1");
+}
+
+// One issue per next step. Each body repeats the plan context and the full checklist so
+// the issue stands on its own when opened from a project board. Other modes use their first
+// text section as the context and their first other list as the approach.
+export function renderGithubIssues(plan, { title = DEFAULT_TITLE, sections = PLAN_SECTIONS } = {}) {
+    const steps = list(plan, "next_steps");
+    const context = sections.find((s) => s.kind === "text");
+    const approach = sections.find((s) => s.kind !== "text" && s.key !== "clarifying_questions" && s.key !== "next_steps");
+    const approachTitle = approach?.key === "proposed_approach" ? "Approach" : approach?.label;
+    return steps.map((step, idx) => {
+        const body = [`Part of **${title}** (step ${idx + 1} of ${steps.length}).`, "", "## Context", "", context ? plan[context.key] || "" : "", ""];
+        if (approach) body.push(`## ${approachTitle}`, "", ...list(plan, approach.key).map((s) => `- ${s}`), "");
+        body.push("## Checklist", "", ...steps.map((s, i) => (i === idx ? `- [ ] **${s}** ← this issue` : `- [ ] ${s}`)));
+        const risks = list(plan, "risks_and_privacy");
+        if (risks.length) body.push("", "## Risks & Privacy", "", ...risks.map((r) => `- ${r}`));
+        return {
+            title: step.length > 120 ? `${step.slice(0, 117)}...` : step,
+            body: body.join("\n") + "\n",
+            labels: ["office-hours"]
+        };
+    });
+}
+
+export function renderHtml(plan, { title = DEFAULT_TITLE, checklist, sections: layout = PLAN_SECTIONS } = {}) {
+    const sections = layout.map(({ key, label, kind }) => {
+        let content;
+        if (kind === "text") {
+            content = `<p>${escapeHtml(plan[key] || "")}</p>`;
+        } else if (key === "next_steps") {
+            const items = list(plan, key).map((s, idx) => {
+                const item = checklist?.[idx];
+                return `<li>${item?.status === "done" ? "&#9745;" : "&#9744;"} ${escapeHtml(s + trackingNote(item))}</li>`;
+            });
+            content = `<ul class="checklist">${items.join("")}</ul>`;
+        } else {
+            const tag = kind === "numbered" ? "ol" : "ul";
+            content = `<${tag}>${list(plan, key).map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</${tag}>`;
+        }
+        return `<section><h2>${escapeHtml(label)}</h2>${content}</section>`;
+    }).join("\n");
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #111; max-width: 760px; margin: 32px auto; padding: 0 16px; line-height: 1.5; }
+h1 { font-size: 24px; margin-bottom: 4px; }
+h2 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.06em; color: #444; border-top: 1px solid #ddd; padding-top: 12px; }
+.checklist { list-style: none; padding-left: 0; }
+@media print { body { margin: 0; } section { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${sections}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Text form of any export format, as copied to the clipboard or written to a file.
+export function renderExport(plan, format, options) {
+    if (format === "markdown") return renderMarkdown(plan, options);
+    if (format === "jira") return renderJira(plan, options);
+    if (format === "github") return JSON.stringify(renderGithubIssues(plan, options), null, 2) + "\n";
+    if (format === "html") return renderHtml(plan, options);
+    if (format === "csv") return renderChecklistCsv(plan, { ...options, title: options?.title || DEFAULT_TITLE });
+    if (format === "ics") return renderChecklistIcs(plan, { ...options, title: options?.title || DEFAULT_TITLE });
+    throw new Error(`Unknown export format: ${format}`);
+}
@@ -0,0 +1,40 @@
+import { PLAN_SECTIONS } from "./planExport.js";
+
+// Plan modes: the kind of document generatePlan writes. The workflow plan is built in; the
+// others come from config/plan-modes.json (see netlify/lib/modes.js) and reach the app through
+// the planModes function. A mode is a list of sections, and a section's kind decides both its
+// schema and how it is rendered:
+//   text      one paragraph
+//   list      bullet points
+//   numbered  ordered list
+//   tags      short labels
+// Two keys mean the same in every mode: clarifying_questions can be answered to refine the
+// result, and next_steps is the trackable checklist behind the CSV, calendar and GitHub exports.
+export const SECTION_KINDS = ["text", "list", "numbered", "tags"];
+
+export const DEFAULT_MODE = "workflow";
+
+export const WORKFLOW_MODE = {
+    id: DEFAULT_MODE,
+    label: "Workflow plan",
+    description: "A practical plan for improving a team workflow.",
+    sections: PLAN_SECTIONS
+};
+
+// The mode with this id from the list the server sent. A plan from history whose mode is no
+// longer configured gets plain sections derived from its own fields.
+export function findMode(modes, id, plan) {
+    const found = modes.find((m) => m.id === (id || DEFAULT_MODE));
+    if (found) return found;
+    if (!id || id === DEFAULT_MODE || !plan) return WORKFLOW_MODE;
+    const sections = Object.entries(plan).map(([key, value]) => ({
+        key,
+        label: key.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase()),
+        kind: Array.isArray(value) ? "list" : "text"
+    }));
+    return { id, label: id, description: "", sections };
+}
+
+export function sectionLabels(sections) {
+    return Object.fromEntries(sections.map((s) => [s.key, s.label]));
+}
@@ -1,28 +1,253 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { streamPlan } from "./streamPlan.js";
+import { clearPendingJob, loadPendingJob, runAsJob, waitForJob } from "./jobs.js";
+import { getJson, postJson } from "./api.js";
+import ClarifyingQuestions from "./ClarifyingQuestions.jsx";
+import PlanDiff from "./PlanDiff.jsx";
+import ExportMenu from "./ExportMenu.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import PlanCompare from "./PlanCompare.jsx";
+import NextSteps from "./NextSteps.jsx";
+import SignIn from "./SignIn.jsx";
+import UsagePanel from "./UsagePanel.jsx";
+import AttachmentPicker from "./AttachmentPicker.jsx";
+import TriageView from "./TriageView.jsx";
+import SectionFeedback, { SectionEditor } from "./SectionFeedback.jsx";
+import { Link, usePath } from "./router.jsx";
+import { getToken, setToken } from "./auth.js";
+import { addEntry, createEntry, deleteEntry, loadHistory, updateEntry } from "./history.js";
+import { alignChecklist } from "../shared/checklist.js";
+import { LANGUAGES } from "../shared/languages.js";
+import { DEFAULT_MODE, WORKFLOW_MODE, findMode, sectionLabels } from "../shared/planModes.js";
 import "./App.css";
 
-function Section({ title, children }) {
+function Section({ title, pending, actions, children }) {
     return (
         <section className="section">
-            <h2 className="sectionTitle">{title}</h2>
-            <div className="sectionBody">{children}</div>
+            <div className="sectionHeader">
+                <h2 className="sectionTitle">{title}</h2>
+                {actions}
+            </div>
+            <div className="sectionBody">
+                {pending ? <p className="pending">Waiting for this section…</p> : children}
+            </div>
         </section>
     );
 }
 
+// How a section's kind is shown (see shared/planModes.js); questions and next steps have their
+// own components.
+function SectionContent({ kind, value }) {
+    if (kind === "text") return <p className="paragraph">{value}</p>;
+    if (kind === "tags") {
+        return (
+            <div className="tags">
+                {value?.map((t, idx) => (
+                    <span className="tag" key={idx}>
+                        {t}
+                    </span>
+                ))}
+            </div>
+        );
+    }
+    const items = value?.map((item, idx) => <li key={idx}>{item}</li>);
+    return kind === "numbered" ? <ol className="bullets">{items}</ol> : <ul className="bullets">{items}</ul>;
+}
+
+const NO_FEEDBACK = { ratings: {}, edited: [] };
+
+// The picker keeps size and kind for display; the functions only need these.
+function toPayload({ name, type, data }) {
+    return { name, type, data };
+}
+
 export default function App() {
     const [input, setInput] = useState("");
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState("");
     const [messageKind, setMessageKind] = useState("info");
     const [result, setResult] = useState(null);
+    const [planInput, setPlanInput] = useState("");
+    const [answers, setAnswers] = useState({});
+    const [diff, setDiff] = useState(null);
+    const [round, setRound] = useState(1);
+    const [refining, setRefining] = useState(false);
+    const [checklist, setChecklist] = useState([]);
+    const [signedIn, setSignedIn] = useState(() => Boolean(getToken()));
+    const [showSignIn, setShowSignIn] = useState(false);
+    const [cached, setCached] = useState(false);
+    const [history, setHistory] = useState(loadHistory);
+    const [activeId, setActiveId] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [compareIds, setCompareIds] = useState([]);
+    const [showUsage, setShowUsage] = useState(false);
+    // The language picked for the next plan, and the one the current plan was written in.
+    const [language, setLanguage] = useState("auto");
+    const [planLanguage, setPlanLanguage] = useState(null);
+    // Files for the next plan, and the ones the current plan was generated with (sent again when
+    // refining). They are not kept in history.
+    const [attachments, setAttachments] = useState([]);
+    const [planAttachments, setPlanAttachments] = useState([]);
+    // Modes offered by the server (the workflow plan until they load), the one picked for the
+    // next plan, and the one the current plan was generated in.
+    const [modes, setModes] = useState([WORKFLOW_MODE]);
+    const [mode, setMode] = useState(DEFAULT_MODE);
+    const [planModeId, setPlanModeId] = useState(DEFAULT_MODE);
+    // Thumbs and inline edits on the shown plan (see SectionFeedback), kept in its history entry.
+    const [feedback, setFeedback] = useState(NO_FEEDBACK);
+    const [editing, setEditing] = useState(null);
+    const [savingFeedback, setSavingFeedback] = useState(false);
+    const abortRef = useRef(null);
+    // "/" is the plan generator, "/triage" the ticket review queue. Plan state lives here, so a
+    // plan keeps streaming while the user looks at the queue.
+    const path = usePath();
+    const view = path === "/triage" ? "triage" : "plan";
+
+    // Without the list (signed out, older deployment) only the workflow plan is offered.
+    useEffect(() => {
+        const controller = new AbortController();
+        getJson("/.netlify/functions/planModes", { signal: controller.signal })
+            .then((json) => {
+                if (Array.isArray(json.modes) && json.modes.length) setModes(json.modes);
+            })
+            .catch(() => {});
+        return () => controller.abort();
+    }, [signedIn]);
+
+    // A plan job started before the page was reloaded: show it as running again and pick up its
+    // result (see jobs.js).
+    useEffect(() => {
+        const pending = loadPendingJob();
+        if (pending?.kind !== "plan") return;
+        const { context } = pending;
+        const refine = context.action === "refine";
+        const controller = new AbortController();
+        let stale = false;
+        abortRef.current = controller;
+
+        setInput(context.input);
+        setPlanInput(context.input);
+        setPlanModeId(context.mode);
+        setPlanLanguage(context.language || null);
+        if (refine) {
+            setResult(context.previousPlan);
+            setChecklist(context.checklist);
+            setRound(context.round - 1);
+            setRefining(true);
+        } else {
+            setResult({});
+            setLoading(true);
+        }
+        setMessageKind("info");
+        setMessage("Picking up the plan you started before the page was reloaded.");
+
+        waitForJob(pending.id, { signal: controller.signal })
+            .then((job) => {
+                setMessage("");
+                if (refine) showRefined(job.result, context);
+                else showPlan(job.result, { cached: job.cached, input: context.input, language: job.language, mode: context.mode });
+            })
+            .catch((err) => {
+                if (stale) return;
+                if (controller.signal.aborted) {
+                    setMessageKind("info");
+                    setMessage("Generation cancelled.");
+                } else {
+                    showError(err);
+                }
+            })
+            .finally(() => {
+                // Unmounted (or run again by StrictMode): the job stays pending for the next mount.
+                if (stale) return;
+                clearPendingJob();
+                abortRef.current = null;
+                setLoading(false);
+                setRefining(false);
+            });
+        return () => {
+            stale = true;
+            controller.abort();
+        };
+    }, []);
+
+    const planMode = findMode(modes, planModeId, result);
 
     const rawJson = useMemo(() => {
         if (!result) return "";
         return JSON.stringify(result, null, 2);
     }, [result]);
 
-    async function onGenerate() {
+    // 401 means this deployment requires auth (or the stored token expired): ask to sign in.
+    function showError(err) {
+        if (err?.status === 401) {
+            setToken("");
+            setSignedIn(false);
+            setShowSignIn(true);
+            setMessageKind("info");
+            setMessage("Sign in to continue.");
+            return;
+        }
+        setMessageKind("error");
+        setMessage(err?.message || "Something went wrong.");
+    }
+
+    function onSignIn(token) {
+        setToken(token);
+        setSignedIn(true);
+        setShowSignIn(false);
+        setMessageKind("info");
+        setMessage("Signed in. Try again.");
+    }
+
+    function onSignOut() {
+        setToken("");
+        setSignedIn(false);
+        setMessage("");
+    }
+
+    function saveToHistory(fields) {
+        const entry = createEntry(fields);
+        setHistory((prev) => addEntry(prev, entry));
+        setActiveId(entry.id);
+    }
+
+    // Shows a newly generated plan and keeps it in history. `fields` are the history entry's
+    // input, mode, language, model and requestId.
+    function showPlan(plan, { cached: fromCache = false, ...fields }) {
+        if (!plan || typeof plan !== "object") {
+            throw new Error("Server returned an unexpected response.");
+        }
+        const items = alignChecklist(plan.next_steps);
+        setResult(plan);
+        setChecklist(items);
+        setCached(fromCache);
+        setPlanLanguage(fields.language || null);
+        saveToHistory({ ...fields, plan, checklist: items });
+    }
+
+    // Shows a refined plan ({ plan, diff } from generatePlan) against the plan it answers.
+    // `context` is the refine request's (see onRefine), so a resumed job can be shown too.
+    function showRefined(json, context) {
+        const items = alignChecklist(json.plan.next_steps, context.previousPlan.next_steps, context.checklist);
+        setResult(json.plan);
+        setChecklist(items);
+        setDiff(json.diff);
+        setFeedback(NO_FEEDBACK);
+        setEditing(null);
+        setCached(false);
+        setAnswers({});
+        setRound(context.round);
+        saveToHistory({
+            input: context.input,
+            plan: json.plan,
+            checklist: items,
+            round: context.round,
+            language: context.language,
+            mode: context.mode
+        });
+    }
+
+    async function onGenerate({ fresh = false } = {}) {
         setMessage("");
         setMessageKind("info");
 
@@ -33,148 +258,411 @@ export default function App() {
             return;
         }
 
+        const controller = new AbortController();
+        abortRef.current = controller;
         setLoading(true);
+        setResult({});
+        setPlanInput(trimmed);
+        setAnswers({});
+        setDiff(null);
+        setRound(1);
+        setChecklist([]);
+        setFeedback(NO_FEEDBACK);
+        setEditing(null);
+        setCached(false);
+        setActiveId(null);
+        setPlanLanguage(null);
+        setPlanAttachments(attachments);
+        setPlanModeId(mode);
+        let started = {};
         try {
-            const res = await fetch("/.netlify/functions/generatePlan", {
-                method: "POST",
-                headers: { "content-type": "application/json" },
-                body: JSON.stringify({ input: trimmed })
-            });
-
-            const text = await res.text();
-            const json = (() => {
-                try {
-                    return text ? JSON.parse(text) : null;
-                } catch {
-                    return null;
+            // Attachments can take longer to read than a function may block, so those plans run
+            // as a job where the site has jobs; the rest stream in section by section.
+            if (attachments.length) {
+                const body = { input: trimmed, mode, language, attachments: attachments.map(toPayload) };
+                const job = await runAsJob("plan", body, { action: "generate", input: trimmed, mode }, { fresh, signal: controller.signal });
+                if (job) {
+                    showPlan(job.result, { cached: job.cached, input: trimmed, language: job.language, mode });
+                    return;
                 }
-            })();
-
-            if (!res.ok) {
-                const errMsg = json?.error || `Request failed (${res.status})`;
-                const requestId = json?.requestId ? ` (requestId: ${json.requestId})` : "";
-                throw new Error(errMsg + requestId);
             }
 
-            if (!json || typeof json !== "object") {
-                throw new Error("Server returned an unexpected response.");
-            }
+            const done = await streamPlan({
+                input: trimmed,
+                mode,
+                language,
+                attachments: attachments.map(toPayload),
+                fresh,
+                signal: controller.signal,
+                onStart: (data) => {
+                    started = data || {};
+                    setPlanLanguage(started.language || null);
+                    if (started.redactions?.length) {
+                        const found = started.redactions.map((r) => `${r.count} ${r.type.replace(/_/g, " ")}`);
+                        setMessageKind("info");
+                        setMessage(`Redacted before sending: ${found.join(", ")}.`);
+                    }
+                },
+                onSection: (key, value) => setResult((prev) => ({ ...prev, [key]: value })),
+                onRetry: () => setResult({})
+            });
 
-            setResult(json);
+            showPlan(done?.plan, {
+                cached: done?.cached,
+                input: trimmed,
+                model: started.model,
+                requestId: started.requestId,
+                language: started.language,
+                mode
+            });
         } catch (err) {
-            setMessageKind("error");
-            setMessage(err?.message || "Something went wrong.");
+            if (controller.signal.aborted) {
+                setMessageKind("info");
+                setMessage("Generation cancelled.");
+            } else {
+                showError(err);
+            }
         } finally {
+            clearPendingJob();
+            abortRef.current = null;
             setLoading(false);
         }
     }
 
+    function onCancel() {
+        abortRef.current?.abort();
+    }
+
+    async function onRefine() {
+        setMessage("");
+        const answered = result.clarifying_questions
+            .map((question, idx) => ({ question, answer: (answers[idx] || "").trim() }))
+            .filter((a) => a.answer);
+
+        // Refine rounds run as a job where the site has jobs: the previous plan, answers and
+        // attachments make for a long request. The context is what showRefined needs, after a
+        // reload too.
+        const context = { action: "refine", input: planInput, mode: planModeId, language: planLanguage, round: round + 1, previousPlan: result, checklist };
+        const body = {
+            input: planInput,
+            previousPlan: result,
+            answers: answered,
+            mode: planModeId,
+            language: planLanguage || language,
+            attachments: planAttachments.map(toPayload)
+        };
+        setRefining(true);
+        try {
+            const job = await runAsJob("plan", body, context);
+            showRefined(job ? job.result : await postJson("/.netlify/functions/generatePlan", body), context);
+        } catch (err) {
+            showError(err);
+        } finally {
+            clearPendingJob();
+            setRefining(false);
+        }
+    }
+
+    function onOpenEntry(entry) {
+        setCached(false);
+        setInput(entry.input);
+        setPlanInput(entry.input);
+        setResult(entry.plan);
+        setRound(entry.round || 1);
+        setPlanLanguage(entry.language || null);
+        setPlanAttachments([]);
+        setPlanModeId(entry.mode || DEFAULT_MODE);
+        setChecklist(alignChecklist(entry.plan.next_steps, entry.plan.next_steps, entry.checklist));
+        setFeedback(entry.feedback || NO_FEEDBACK);
+        setEditing(null);
+        setAnswers({});
+        setDiff(null);
+        setMessage("");
+        setActiveId(entry.id);
+    }
+
+    function onChecklistChange(items) {
+        setChecklist(items);
+        if (activeId) setHistory((prev) => updateEntry(prev, activeId, { checklist: items }));
+    }
+
+    // Sends the whole feedback state for `plan`; the server keeps the latest per input.
+    async function sendFeedback(next, plan) {
+        setSavingFeedback(true);
+        try {
+            await postJson("/.netlify/functions/feedback", {
+                kind: "plan",
+                mode: planModeId,
+                input: planInput,
+                output: plan,
+                ratings: next.ratings,
+                edited: next.edited
+            });
+            setFeedback(next);
+            return true;
+        } catch (err) {
+            showError(err);
+            return false;
+        } finally {
+            setSavingFeedback(false);
+        }
+    }
+
+    async function onRate(key, rating) {
+        const ratings = { ...feedback.ratings };
+        if (rating) ratings[key] = rating;
+        else delete ratings[key];
+        const next = { ...feedback, ratings };
+        if (!(await sendFeedback(next, result))) return;
+        if (activeId) setHistory((prev) => updateEntry(prev, activeId, { feedback: next }));
+    }
+
+    // An edited section replaces the model's and counts as a thumbs up.
+    async function onSaveEdit(key, value) {
+        const plan = { ...result, [key]: value };
+        const next = {
+            ratings: { ...feedback.ratings, [key]: "up" },
+            edited: feedback.edited.includes(key) ? feedback.edited : [...feedback.edited, key]
+        };
+        if (!(await sendFeedback(next, plan))) return;
+        const items = key === "next_steps" ? alignChecklist(value, result.next_steps, checklist) : checklist;
+        setResult(plan);
+        setChecklist(items);
+        if (key === "clarifying_questions") setAnswers({});
+        setEditing(null);
+        if (activeId) setHistory((prev) => updateEntry(prev, activeId, { plan, checklist: items, feedback: next }));
+    }
+
+    function onDeleteEntry(id) {
+        setHistory((prev) => deleteEntry(prev, id));
+        setCompareIds((prev) => prev.filter((c) => c !== id));
+        if (id === activeId) setActiveId(null);
+    }
+
+    // Keeps at most two selections; picking a third replaces the older one.
+    function onToggleCompare(id) {
+        setCompareIds((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id].slice(-2)));
+    }
+
+    const compareEntries = compareIds.map((id) => history.find((e) => e.id === id)).filter(Boolean);
+
+    const isPending = (key) => loading && result?.[key] === undefined;
+
     return (
         <div className="page">
             <div className="container">
+                {signedIn ? (
+                    <div className="authBar">
+                        <span className="hint">Signed in</span>
+                        <button className="button buttonSmall" onClick={onSignOut}>
+                            Sign out
+                        </button>
+                    </div>
+                ) : null}
+
                 <header className="header">
                     <h1 className="title">AI Office Hours Helper</h1>
-                    <p className="subtitle">Paste a workflow problem and get a structured plan.</p>
+                    <p className="subtitle">
+                        {view === "triage"
+                            ? "Triage tickets and review the routing before they reach a team."
+                            : "Paste a workflow problem and get a structured plan."}
+                    </p>
+                    <nav className="nav">
+                        <Link to="/" className={view === "plan" ? "navLink navLinkActive" : "navLink"} aria-current={view === "plan" ? "page" : undefined}>
+                            Plan
+                        </Link>
+                        <Link to="/triage" className={view === "triage" ? "navLink navLinkActive" : "navLink"} aria-current={view === "triage" ? "page" : undefined}>
+                            Triage
+                        </Link>
+                    </nav>
                 </header>
 
-                <div className="card">
-                    <label className="label" htmlFor="problem">
-                        Workflow problem
-                    </label>
-                    <textarea
-                        id="problem"
-                        className="textarea"
-                        rows={6}
-                        placeholder="Example: Our team triages hundreds of Jira tickets manually each week..."
-                        value={input}
-                        onChange={(e) => setInput(e.target.value)}
-                        disabled={loading}
-                    />
-
-                    <div className="actions">
-                        <button className="button" onClick={onGenerate} disabled={loading}>
-                            {loading ? "Generating…" : "Generate Plan"}
-                        </button>
-                        {message ? (
-                            <div className={messageKind === "error" ? "message messageError" : "message"}>
-                                {message}
-                            </div>
-                        ) : null}
+                {view === "triage" ? (
+                    <TriageView onError={showError} />
+                ) : (
+                    <div className="card">
+                        <label className="label" htmlFor="problem">
+                            Workflow problem
+                        </label>
+                        <textarea
+                            id="problem"
+                            className="textarea"
+                            rows={6}
+                            placeholder="Example: Our team triages hundreds of Jira tickets manually each week..."
+                            value={input}
+                            onChange={(e) => setInput(e.target.value)}
+                            disabled={loading}
+                            dir="auto"
+                        />
+                        <AttachmentPicker files={attachments} onChange={setAttachments} disabled={loading} />
+
+                        <div className="actions">
+                            <select
+                                className="select"
+                                aria-label="Plan language"
+                                title="Language the plan is written in"
+                                value={language}
+                                onChange={(e) => setLanguage(e.target.value)}
+                                disabled={loading}
+                            >
+                                {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                                    <option key={code} value={code}>
+                                        {label}
+                                    </option>
+                                ))}
+                            </select>
+                            <select
+                                className="select"
+                                aria-label="Plan mode"
+                                title={findMode(modes, mode).description}
+                                value={mode}
+                                onChange={(e) => setMode(e.target.value)}
+                                disabled={loading}
+                            >
+                                {modes.map((m) => (
+                                    <option key={m.id} value={m.id}>
+                                        {m.label}
+                                    </option>
+                                ))}
+                            </select>
+                            <button className="button" onClick={() => onGenerate()} disabled={loading || refining}>
+                                {loading ? "Generating…" : "Generate Plan"}
+                            </button>
+                            {cached && !loading ? (
+                                <button className="button" onClick={() => onGenerate({ fresh: true })} disabled={refining} title="Served from cache">
+                                    Regenerate
+                                </button>
+                            ) : null}
+                            {loading ? (
+                                <button className="button" onClick={onCancel}>
+                                    Cancel
+                                </button>
+                            ) : null}
+                            <button className="button" onClick={() => setShowHistory((v) => !v)}>
+                                {showHistory ? "Hide history" : `History (${history.length})`}
+                            </button>
+                            <button className="button" onClick={() => setShowUsage((v) => !v)}>
+                                {showUsage ? "Hide usage" : "Usage"}
+                            </button>
+                            {message ? (
+                                <div className={messageKind === "error" ? "message messageError" : "message"}>
+                                    {message}
+                                </div>
+                            ) : null}
+                        </div>
                     </div>
-                </div>
+                )}
 
-                {loading ? (
-                    <div className="loading">Working on it…</div>
-                ) : null}
+                {showSignIn ? <SignIn onSignIn={onSignIn} onCancel={() => setShowSignIn(false)} /> : null}
 
-                {result ? (
-                    <div className="grid">
-                        <div className="card">
-                            <h2 className="cardTitle">Human readable</h2>
+                {showUsage ? <UsagePanel onError={showError} onClose={() => setShowUsage(false)} /> : null}
 
-                            <Section title="Problem Statement">
-                                <p className="paragraph">{result.problem_statement}</p>
-                            </Section>
+                {view === "plan" ? (
+                    <>
+                        {showHistory ? (
+                            <HistoryPanel
+                                entries={history}
+                                modes={modes}
+                                activeId={activeId}
+                                compareIds={compareIds}
+                                onOpen={onOpenEntry}
+                                onDelete={onDeleteEntry}
+                                onToggleCompare={onToggleCompare}
+                            />
+                        ) : null}
 
-                            <Section title="Clarifying Questions">
-                                <ul className="bullets">
-                                    {result.clarifying_questions?.map((q, idx) => (
-                                        <li key={idx}>{q}</li>
-                                    ))}
-                                </ul>
-                            </Section>
+                        {showHistory && compareEntries.length === 2 ? (
+                            <PlanCompare left={compareEntries[0]} right={compareEntries[1]} modes={modes} onClose={() => setCompareIds([])} />
+                        ) : null}
 
-                            <Section title="Proposed Approach">
-                                <ul className="bullets">
-                                    {result.proposed_approach?.map((step, idx) => (
-                                        <li key={idx}>{step}</li>
-                                    ))}
-                                </ul>
-                            </Section>
-
-                            <Section title="Recommended Tools">
-                                <div className="tags">
-                                    {result.recommended_tools?.map((t, idx) => (
-                                        <span className="tag" key={idx}>
-                                            {t}
-                                        </span>
+                        {loading ? (
+                            <div className="loading">Working on it…</div>
+                        ) : null}
+
+                        {result ? (
+                            <div className="grid" lang={planLanguage || undefined}>
+                                <div className="card">
+                                    <h2 className="cardTitle">
+                                        {planMode.id === DEFAULT_MODE ? "Human readable" : planMode.label}
+                                        {round > 1 ? ` · round ${round}` : ""}
+                                        {cached ? " · from cache" : ""}
+                                        {planLanguage ? ` · ${LANGUAGES[planLanguage]?.label || planLanguage}` : ""}
+                                    </h2>
+
+                                    {!loading ? <ExportMenu plan={result} checklist={checklist} sections={planMode.sections} /> : null}
+
+                                    {diff ? (
+                                        <Section title="What Changed">
+                                            <PlanDiff diff={diff} labels={sectionLabels(planMode.sections)} />
+                                        </Section>
+                                    ) : null}
+
+                                    {planMode.sections.map(({ key, label, kind }) => (
+                                        <Section
+                                            key={key}
+                                            title={label}
+                                            pending={isPending(key)}
+                                            actions={
+                                                !loading && result[key] !== undefined ? (
+                                                    <SectionFeedback
+                                                        title={label}
+                                                        rating={feedback.ratings[key]}
+                                                        edited={feedback.edited.includes(key)}
+                                                        onRate={(rating) => onRate(key, rating)}
+                                                        onEdit={() => setEditing(editing === key ? null : key)}
+                                                        disabled={refining || savingFeedback}
+                                                    />
+                                                ) : null
+                                            }
+                                        >
+                                            {editing === key ? (
+                                                <SectionEditor
+                                                    title={label}
+                                                    kind={kind}
+                                                    value={result[key]}
+                                                    onSave={(value) => onSaveEdit(key, value)}
+                                                    onCancel={() => setEditing(null)}
+                                                    saving={savingFeedback}
+                                                />
+                                            ) : key === "clarifying_questions" && !loading ? (
+                                                <ClarifyingQuestions
+                                                    questions={result.clarifying_questions || []}
+                                                    answers={answers}
+                                                    onAnswer={(idx, value) => setAnswers((prev) => ({ ...prev, [idx]: value }))}
+                                                    onRefine={onRefine}
+                                                    disabled={refining}
+                                                    refining={refining}
+                                                />
+                                            ) : key === "next_steps" ? (
+                                                <NextSteps
+                                                    steps={result.next_steps || []}
+                                                    items={checklist}
+                                                    onChange={onChecklistChange}
+                                                    disabled={loading || refining}
+                                                />
+                                            ) : (
+                                                <SectionContent kind={kind} value={result[key]} />
+                                            )}
+                                        </Section>
                                     ))}
                                 </div>
-                            </Section>
 
-                            <Section title="Risks & Privacy">
-                                <ul className="bullets">
-                                    {result.risks_and_privacy?.map((r, idx) => (
-                                        <li key={idx}>{r}</li>
-                                    ))}
-                                </ul>
-                            </Section>
-
-                            <Section title="Next Steps">
-                                <ul className="checklist">
-                                    {result.next_steps?.map((s, idx) => (
-                                        <li className="checkItem" key={idx}>
-                                            <input type="checkbox" disabled />
-                                            <span>{s}</span>
-                                        </li>
-                                    ))}
-                                </ul>
-                            </Section>
-                        </div>
+                                <div className="card">
+                                    <h2 className="cardTitle">Raw JSON</h2>
+                                    <pre className="pre">{rawJson}</pre>
+                                </div>
+                            </div>
+                        ) : null}
 
-                        <div className="card">
-                            <h2 className="cardTitle">Raw JSON</h2>
-                            <pre className="pre">{rawJson}</pre>
-                        </div>
-                    </div>
+                        <footer className="footer">
+                            <span className="hint">
+                                Calls <code>POST /.netlify/functions/generatePlanStream</code> with
+                                <code>{` { input: string }`}</code> and renders sections as they stream in. Plans with
+                                attachments and refine rounds run as jobs through <code>/.netlify/functions/jobs</code> when it is enabled.
+                            </span>
+                        </footer>
+                    </>
                 ) : null}
-
-                <footer className="footer">
-                    <span className="hint">
-                        Calls <code>POST /.netlify/functions/generatePlan</code> with
-                        <code>{` { input: string }`}</code>.
-                    </span>
-                </footer>
             </div>
         </div>
     );
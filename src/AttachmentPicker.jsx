@@ -0,0 +1,102 @@
+import { useRef, useState } from "react";
+import {
+    ACCEPT,
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_BYTES,
+    MAX_TOTAL_ATTACHMENT_BYTES,
+    attachmentKind,
+    formatBytes
+} from "../shared/attachments.js";
+
+function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Logs, documents and screenshots sent along with the problem. Files are read in the browser
+// and kept as { name, type, size, kind, data } with data as a data: URL; the server takes the
+// same shape. Limits are checked here so an oversized upload fails before it is sent.
+export default function AttachmentPicker({ files, onChange, disabled }) {
+    const inputRef = useRef(null);
+    const [error, setError] = useState("");
+
+    async function onPick(e) {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = "";
+        setError("");
+
+        const next = [...files];
+        for (const file of picked) {
+            const kind = attachmentKind(file.name, file.type);
+            if (!kind) {
+                setError(`${file.name}: unsupported file type.`);
+                continue;
+            }
+            if (next.length >= MAX_ATTACHMENTS) {
+                setError(`Attach at most ${MAX_ATTACHMENTS} files.`);
+                break;
+            }
+            if (file.size > MAX_ATTACHMENT_BYTES) {
+                setError(`${file.name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`);
+                continue;
+            }
+            const total = next.reduce((sum, f) => sum + f.size, 0) + file.size;
+            if (total > MAX_TOTAL_ATTACHMENT_BYTES) {
+                setError(`Attachments can add up to ${formatBytes(MAX_TOTAL_ATTACHMENT_BYTES)}.`);
+                continue;
+            }
+            try {
+                const data = await readAsDataUrl(file);
+                next.push({ name: file.name, type: file.type, size: file.size, kind, data });
+            } catch {
+                setError(`Could not read ${file.name}.`);
+            }
+        }
+        onChange(next);
+    }
+
+    function onRemove(idx) {
+        setError("");
+        onChange(files.filter((_, i) => i !== idx));
+    }
+
+    return (
+        <div className="attachments">
+            <input ref={inputRef} type="file" accept={ACCEPT} multiple hidden onChange={onPick} />
+            <button
+                className="button buttonSmall"
+                type="button"
+                onClick={() => inputRef.current?.click()}
+                disabled={disabled || files.length >= MAX_ATTACHMENTS}
+                title="Logs, Markdown, CSV, JSON, PDF or screenshots"
+            >
+                Attach files
+            </button>
+            {files.length ? (
+                <ul className="attachmentList">
+                    {files.map((file, idx) => (
+                        <li key={`${file.name}-${idx}`} className="attachment">
+                            {file.kind === "image" ? <img className="attachmentThumb" src={file.data} alt="" /> : null}
+                            <span className="attachmentName">{file.name}</span>
+                            <span className="hint">{formatBytes(file.size)}</span>
+                            <button
+                                className="button buttonSmall"
+                                type="button"
+                                onClick={() => onRemove(idx)}
+                                disabled={disabled}
+                                aria-label={`Remove ${file.name}`}
+                            >
+                                ×
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : null}
+            {error ? <div className="message messageError">{error}</div> : null}
+        </div>
+    );
+}
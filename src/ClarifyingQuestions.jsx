@@ -0,0 +1,34 @@
+export default function ClarifyingQuestions({ questions, answers, onAnswer, onRefine, disabled, refining }) {
+    const answeredCount = questions.filter((_, idx) => answers[idx]?.trim()).length;
+
+    return (
+        <div>
+            <ol className="questions">
+                {questions.map((q, idx) => (
+                    <li key={idx} className="question">
+                        <label className="questionText" htmlFor={`answer-${idx}`}>
+                            {q}
+                        </label>
+                        <textarea
+                            id={`answer-${idx}`}
+                            className="textarea answer"
+                            rows={2}
+                            placeholder="Your answer (optional)"
+                            value={answers[idx] || ""}
+                            onChange={(e) => onAnswer(idx, e.target.value)}
+                            disabled={disabled}
+                        />
+                    </li>
+                ))}
+            </ol>
+            <div className="actions">
+                <button className="button" onClick={onRefine} disabled={disabled || answeredCount === 0}>
+                    {refining ? "Refining…" : "Refine plan"}
+                </button>
+                <span className="hint">
+                    {answeredCount} of {questions.length} answered
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { EXPORT_FORMATS, exportFormatsFor, renderExport } from "../shared/planExport.js";
+
+function download(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+export default function ExportMenu({ plan, title, checklist, sections }) {
+    const [picked, setFormat] = useState("markdown");
+    const [status, setStatus] = useState("");
+
+    // Modes without next steps have no CSV, calendar or GitHub export.
+    const formats = exportFormatsFor(sections);
+    const format = formats[picked] ? picked : "markdown";
+    const options = { title: title || undefined, checklist, sections };
+
+    async function onCopy() {
+        try {
+            await navigator.clipboard.writeText(renderExport(plan, format, options));
+            setStatus("Copied.");
+        } catch {
+            setStatus("Copy failed. Use Download instead.");
+        }
+    }
+
+    function onDownload() {
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        download(`office-hours-plan.${extension}`, renderExport(plan, format, options), mimeType);
+        setStatus("");
+    }
+
+    // Opens the printable layout; the browser's print dialog can save it as PDF.
+    function onPrint() {
+        const win = window.open("", "_blank");
+        if (!win) {
+            setStatus("Allow pop-ups to print.");
+            return;
+        }
+        win.document.write(renderExport(plan, "html", options));
+        win.document.close();
+        win.focus();
+        win.print();
+    }
+
+    return (
+        <div className="exportBar">
+            <select className="select" value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Export format">
+                {Object.entries(formats).map(([id, f]) => (
+                    <option key={id} value={id}>
+                        {f.label}
+                    </option>
+                ))}
+            </select>
+            <button className="button buttonSmall" onClick={onCopy}>
+                Copy
+            </button>
+            <button className="button buttonSmall" onClick={onDownload}>
+                Download
+            </button>
+            <button className="button buttonSmall" onClick={onPrint}>
+                Print / PDF
+            </button>
+            {status ? <span className="hint">{status}</span> : null}
+        </div>
+    );
+}
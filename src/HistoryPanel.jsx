@@ -0,0 +1,65 @@
+import { useMemo, useState } from "react";
+import { inputSimilarity, searchHistory } from "./history.js";
+import { DEFAULT_MODE, findMode } from "../shared/planModes.js";
+
+function firstLine(text) {
+    const line = String(text || "").split("\n").find((l) => l.trim()) || "";
+    return line.length > 90 ? `${line.slice(0, 87)}...` : line;
+}
+
+export default function HistoryPanel({ entries, modes, activeId, compareIds, onOpen, onDelete, onToggleCompare }) {
+    const [query, setQuery] = useState("");
+    const visible = useMemo(() => searchHistory(entries, query), [entries, query]);
+
+    // Once one plan is picked for comparison, show how close every other input is to it.
+    const anchor = compareIds.length === 1 ? entries.find((e) => e.id === compareIds[0]) : null;
+
+    return (
+        <div className="card historyCard">
+            <h2 className="cardTitle">History</h2>
+            <input
+                className="input"
+                type="search"
+                placeholder="Search inputs and plans…"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+            />
+            {visible.length === 0 ? (
+                <p className="hint">{entries.length ? "No matches." : "Generated plans will appear here."}</p>
+            ) : (
+                <ul className="historyList">
+                    {visible.map((entry) => (
+                        <li key={entry.id} className={entry.id === activeId ? "historyItem historyItemActive" : "historyItem"}>
+                            <label className="historyCompare" title="Select two plans to compare">
+                                <input
+                                    type="checkbox"
+                                    checked={compareIds.includes(entry.id)}
+                                    onChange={() => onToggleCompare(entry.id)}
+                                />
+                            </label>
+                            <div className="historyMain">
+                                <div className="historyTitle">{firstLine(entry.input)}</div>
+                                <div className="historyMeta">
+                                    {new Date(entry.createdAt).toLocaleString()}
+                                    {entry.mode && entry.mode !== DEFAULT_MODE ? ` · ${findMode(modes, entry.mode, entry.plan).label}` : ""}
+                                    {entry.round > 1 ? ` · round ${entry.round}` : ""}
+                                    {entry.model ? ` · ${entry.model}` : ""}
+                                    {entry.requestId ? ` · ${entry.requestId}` : ""}
+                                    {anchor && anchor.id !== entry.id
+                                        ? ` · ${Math.round(inputSimilarity(anchor.input, entry.input) * 100)}% similar`
+                                        : ""}
+                                </div>
+                            </div>
+                            <button className="button buttonSmall" onClick={() => onOpen(entry)}>
+                                Open
+                            </button>
+                            <button className="button buttonSmall" onClick={() => onDelete(entry.id)}>
+                                Delete
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
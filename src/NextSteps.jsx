@@ -0,0 +1,64 @@
+import { STEP_STATUSES, emptyItem } from "../shared/checklist.js";
+
+// Editable next-steps checklist. `items` holds one { status, owner, due } per step; every
+// edit reports the whole updated array through onChange.
+export default function NextSteps({ steps, items, onChange, disabled }) {
+    function update(idx, changes) {
+        onChange(steps.map((_, i) => (i === idx ? { ...emptyItem(), ...items[i], ...changes } : { ...emptyItem(), ...items[i] })));
+    }
+
+    return (
+        <ul className="checklist">
+            {steps.map((step, idx) => {
+                const item = { ...emptyItem(), ...items[idx] };
+                const done = item.status === "done";
+                return (
+                    <li className="checkItem" key={idx}>
+                        <input
+                            type="checkbox"
+                            checked={done}
+                            disabled={disabled}
+                            onChange={(e) => update(idx, { status: e.target.checked ? "done" : "todo" })}
+                            aria-label={`Mark step ${idx + 1} done`}
+                        />
+                        <div className="stepBody">
+                            <span className={done ? "stepDone" : undefined}>{step}</span>
+                            <div className="stepFields">
+                                <input
+                                    className="input inputSmall"
+                                    placeholder="Owner"
+                                    value={item.owner}
+                                    maxLength={80}
+                                    disabled={disabled}
+                                    onChange={(e) => update(idx, { owner: e.target.value })}
+                                    aria-label={`Owner for step ${idx + 1}`}
+                                />
+                                <input
+                                    className="input inputSmall"
+                                    type="date"
+                                    value={item.due}
+                                    disabled={disabled}
+                                    onChange={(e) => update(idx, { due: e.target.value })}
+                                    aria-label={`Due date for step ${idx + 1}`}
+                                />
+                                <select
+                                    className="select"
+                                    value={item.status}
+                                    disabled={disabled}
+                                    onChange={(e) => update(idx, { status: e.target.value })}
+                                    aria-label={`Status for step ${idx + 1}`}
+                                >
+                                    {Object.entries(STEP_STATUSES).map(([id, s]) => (
+                                        <option key={id} value={id}>
+                                            {s.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
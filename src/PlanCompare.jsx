@@ -0,0 +1,72 @@
+import { useMemo } from "react";
+import { diffPlans } from "../shared/planDiff.js";
+import { findMode } from "../shared/planModes.js";
+
+function normalize(value) {
+    return String(value ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function Column({ plan, sectionKey, unique }) {
+    const value = plan?.[sectionKey];
+    if (!Array.isArray(value)) return <p className="paragraph">{value}</p>;
+    return (
+        <ul className="bullets">
+            {value.map((item, idx) => (
+                <li key={idx} className={unique.has(normalize(item)) ? "compareUnique" : undefined}>
+                    {item}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+// Sections of both plans' modes, left first, so plans from different modes line up by key.
+function compareSections(modes, left, right) {
+    const sections = [...findMode(modes, left.mode, left.plan).sections];
+    for (const section of findMode(modes, right.mode, right.plan).sections) {
+        if (!sections.some((s) => s.key === section.key)) sections.push(section);
+    }
+    return sections;
+}
+
+// Side-by-side view of two history entries. Items that only one plan contains are highlighted.
+export default function PlanCompare({ left, right, modes, onClose }) {
+    const diff = useMemo(() => diffPlans(left.plan, right.plan), [left, right]);
+    const sections = useMemo(() => compareSections(modes, left, right), [modes, left, right]);
+
+    return (
+        <div className="card compareCard">
+            <div className="compareHeader">
+                <h2 className="cardTitle">Compare plans</h2>
+                <button className="button buttonSmall" onClick={onClose}>
+                    Close
+                </button>
+            </div>
+            <div className="compareGrid">
+                {[left, right].map((entry) => (
+                    <div key={entry.id} className="compareInput">
+                        <div className="historyMeta">{new Date(entry.createdAt).toLocaleString()}</div>
+                        <p className="paragraph">{entry.input}</p>
+                    </div>
+                ))}
+            </div>
+            {sections.map(({ key, label }) => {
+                const section = diff.sections[key];
+                const onlyLeft = new Set((section?.removed || []).map(normalize));
+                const onlyRight = new Set((section?.added || []).map(normalize));
+                return (
+                    <section className="section" key={key}>
+                        <h2 className="sectionTitle">
+                            {label}
+                            {section?.changed ? "" : " · same"}
+                        </h2>
+                        <div className="compareGrid">
+                            <Column plan={left.plan} sectionKey={key} unique={onlyLeft} />
+                            <Column plan={right.plan} sectionKey={key} unique={onlyRight} />
+                        </div>
+                    </section>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,35 @@
+import { SECTION_LABELS } from "../shared/planExport.js";
+
+export default function PlanDiff({ diff, labels = SECTION_LABELS }) {
+    if (!diff.changed.length) {
+        return <p className="paragraph">The refined plan is the same as the previous one.</p>;
+    }
+
+    return (
+        <ul className="diffList">
+            {diff.changed.map((key) => {
+                const section = diff.sections[key];
+                return (
+                    <li key={key} className="diffItem">
+                        <strong>{labels[key] || key}</strong>
+                        {section.type === "text" ? (
+                            <div className="diffText">
+                                <del>{section.before}</del>
+                                <ins>{section.after}</ins>
+                            </div>
+                        ) : (
+                            <ul className="bullets">
+                                {section.added.map((item, idx) => (
+                                    <li key={`a${idx}`} className="diffAdded">+ {item}</li>
+                                ))}
+                                {section.removed.map((item, idx) => (
+                                    <li key={`r${idx}`} className="diffRemoved">− {item}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
@@ -0,0 +1,74 @@
+import { useState } from "react";
+
+// Thumbs up/down and an edit toggle for one plan section. `rating` is "up", "down" or
+// undefined; clicking the active thumb clears it.
+export default function SectionFeedback({ title, rating, edited, onRate, onEdit, disabled }) {
+    return (
+        <div className="sectionFeedback">
+            {edited ? <span className="historyMeta">edited</span> : null}
+            <button
+                className={rating === "up" ? "feedbackButton feedbackActive" : "feedbackButton"}
+                onClick={() => onRate(rating === "up" ? null : "up")}
+                disabled={disabled}
+                aria-pressed={rating === "up"}
+                aria-label={`${title} is good`}
+                title="Good: use it as an example for similar requests"
+            >
+                👍
+            </button>
+            <button
+                className={rating === "down" ? "feedbackButton feedbackActive" : "feedbackButton"}
+                onClick={() => onRate(rating === "down" ? null : "down")}
+                disabled={disabled}
+                aria-pressed={rating === "down"}
+                aria-label={`${title} is not good`}
+                title="Not good: never use this result as an example"
+            >
+                👎
+            </button>
+            <button className="feedbackButton" onClick={onEdit} disabled={disabled} aria-label={`Edit ${title}`} title="Edit this section">
+                ✎
+            </button>
+        </div>
+    );
+}
+
+function toText(kind, value) {
+    if (kind === "text") return value || "";
+    return (value || []).join("\n");
+}
+
+function fromText(kind, text) {
+    if (kind === "text") return text.trim();
+    return text
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+}
+
+// Inline editor for a section: a paragraph, or one list item per line.
+export function SectionEditor({ title, kind, value, onSave, onCancel, saving }) {
+    const [text, setText] = useState(() => toText(kind, value));
+    return (
+        <div className="sectionEditor">
+            <textarea
+                className="textarea"
+                rows={kind === "text" ? 4 : Math.max(3, (value || []).length + 1)}
+                aria-label={`${title} text`}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                disabled={saving}
+                dir="auto"
+            />
+            {kind === "text" ? null : <p className="hint">One item per line.</p>}
+            <div className="actions">
+                <button className="button buttonSmall" onClick={() => onSave(fromText(kind, text))} disabled={saving}>
+                    {saving ? "Saving…" : "Save"}
+                </button>
+                <button className="button buttonSmall" onClick={onCancel} disabled={saving}>
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
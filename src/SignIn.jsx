@@ -0,0 +1,34 @@
+import { useState } from "react";
+
+// Shown when a function answers 401. Accepts an API key or a token copied from the portal.
+export default function SignIn({ onSignIn, onCancel }) {
+    const [token, setToken] = useState("");
+
+    function onSubmit(e) {
+        e.preventDefault();
+        if (token.trim()) onSignIn(token.trim());
+    }
+
+    return (
+        <form className="card signInCard" onSubmit={onSubmit}>
+            <h2 className="cardTitle">Sign in</h2>
+            <p className="hint">This deployment requires an API key or an access token from the portal.</p>
+            <input
+                className="input"
+                type="password"
+                placeholder="API key or access token"
+                autoComplete="off"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+            />
+            <div className="actions">
+                <button className="button" type="submit" disabled={!token.trim()}>
+                    Sign in
+                </button>
+                <button className="button" type="button" onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+}
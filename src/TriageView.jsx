@@ -0,0 +1,283 @@
+import { Fragment, useEffect, useState } from "react";
+import { getJson, postJson } from "./api.js";
+import {
+    QUEUE_FIELDS,
+    addQueueEntry,
+    createQueueEntry,
+    likelyDuplicate,
+    loadQueue,
+    lowestConfidence,
+    overriddenFields,
+    removeQueueEntries,
+    sortQueue,
+    updateQueueEntry
+} from "./triageQueue.js";
+
+const COLUMNS = [
+    { key: "summary", label: "Ticket" },
+    { key: "priority", label: "Priority" },
+    { key: "severity", label: "Severity" },
+    { key: "category", label: "Category" },
+    { key: "component", label: "Component" },
+    { key: "assignee_team", label: "Team" },
+    { key: "confidence", label: "Confidence" },
+    { key: "status", label: "Review" }
+];
+
+const STATUS_LABELS = { pending: "To review", accepted: "Accepted", overridden: "Overridden" };
+
+function percent(value) {
+    return value === null ? "–" : `${Math.round(value * 100)}%`;
+}
+
+function optionLabel(options, field, id) {
+    return options[field]?.find((o) => o.id === id)?.label || id;
+}
+
+// Tickets go to the triage function and land in a review queue. Each field can be accepted as
+// the model set it or overridden; saving a review with overrides records it as a labelled
+// example (see the triageReview function). Tickets like ones triaged before are flagged, and
+// their earlier decisions are listed in the details row. Errors with status 401 go to onError
+// so the app can ask the user to sign in.
+export default function TriageView({ onError }) {
+    const [ticket, setTicket] = useState("");
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState("");
+    const [messageKind, setMessageKind] = useState("info");
+    const [queue, setQueue] = useState(loadQueue);
+    const [options, setOptions] = useState({});
+    const [sort, setSort] = useState({ key: "added", dir: "desc" });
+    const [expandedId, setExpandedId] = useState(null);
+    const [savingId, setSavingId] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getJson("/.netlify/functions/triageReview", { signal: controller.signal })
+            .then((json) => setOptions(json.fields || {}))
+            .catch((err) => {
+                if (!controller.signal.aborted) showError(err);
+            });
+        return () => controller.abort();
+    }, []);
+
+    function showError(err) {
+        if (err?.status === 401) {
+            onError(err);
+            return;
+        }
+        setMessageKind("error");
+        setMessage(err?.message || "Something went wrong.");
+    }
+
+    async function onTriage() {
+        setMessage("");
+        const trimmed = ticket.trim();
+        if (!trimmed) {
+            setMessageKind("info");
+            setMessage("Paste a ticket above, then click Triage.");
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const { similar, ...decision } = await postJson("/.netlify/functions/triage", { userMessage: trimmed });
+            setQueue((prev) => addQueueEntry(prev, createQueueEntry(trimmed, decision, similar || [])));
+            setTicket("");
+        } catch (err) {
+            showError(err);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    function onFieldChange(entry, field, value) {
+        setQueue((prev) => updateQueueEntry(prev, entry.id, { final: { ...entry.final, [field]: value }, status: "pending" }));
+    }
+
+    function onToggleLabel(entry, label) {
+        const labels = entry.final.labels.includes(label) ? entry.final.labels.filter((l) => l !== label) : [...entry.final.labels, label];
+        onFieldChange(entry, "labels", labels);
+    }
+
+    function onReset(entry) {
+        setQueue((prev) => updateQueueEntry(prev, entry.id, { final: createQueueEntry(entry.ticket, entry.decision).final, status: "pending" }));
+    }
+
+    async function onSaveReview(entry) {
+        setMessage("");
+        setSavingId(entry.id);
+        try {
+            const json = await postJson("/.netlify/functions/triageReview", {
+                ticket: entry.ticket,
+                decision: entry.decision,
+                final: entry.final
+            });
+            setQueue((prev) => updateQueueEntry(prev, entry.id, { status: json.recorded ? "overridden" : "accepted" }));
+        } catch (err) {
+            showError(err);
+        } finally {
+            setSavingId(null);
+        }
+    }
+
+    function onSort(key) {
+        setSort((prev) => (prev.key === key ? { key, dir: prev.dir === "asc" ? "desc" : "asc" } : { key, dir: "asc" }));
+    }
+
+    function onClearReviewed() {
+        setQueue((prev) => removeQueueEntries(prev, (e) => e.status === "pending"));
+    }
+
+    const rows = sortQueue(queue, sort, options);
+    const reviewedCount = queue.filter((e) => e.status !== "pending").length;
+
+    return (
+        <>
+            <div className="card">
+                <label className="label" htmlFor="ticket">
+                    Ticket
+                </label>
+                <textarea
+                    id="ticket"
+                    className="textarea"
+                    rows={5}
+                    placeholder="Paste a ticket title and description..."
+                    value={ticket}
+                    onChange={(e) => setTicket(e.target.value)}
+                    disabled={loading}
+                    dir="auto"
+                />
+                <div className="actions">
+                    <button className="button" onClick={onTriage} disabled={loading}>
+                        {loading ? "Triaging…" : "Triage"}
+                    </button>
+                    {message ? <div className={messageKind === "error" ? "message messageError" : "message"}>{message}</div> : null}
+                </div>
+            </div>
+
+            <div className="card queueCard">
+                <div className="compareHeader">
+                    <h2 className="cardTitle">Review queue ({queue.length})</h2>
+                    <button className="button buttonSmall" onClick={onClearReviewed} disabled={!reviewedCount}>
+                        Clear reviewed
+                    </button>
+                </div>
+
+                {!queue.length ? (
+                    <p className="hint">Triaged tickets appear here for review.</p>
+                ) : (
+                    <table className="usageTable queueTable">
+                        <thead>
+                            <tr>
+                                {COLUMNS.map(({ key, label }) => (
+                                    <th key={key} aria-sort={sort.key === key ? (sort.dir === "asc" ? "ascending" : "descending") : undefined}>
+                                        <button className="sortButton" onClick={() => onSort(key)}>
+                                            {label}
+                                            {sort.key === key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                                        </button>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((entry) => {
+                                const overridden = overriddenFields(entry);
+                                const duplicate = likelyDuplicate(entry);
+                                const expanded = expandedId === entry.id;
+                                return (
+                                    <Fragment key={entry.id}>
+                                        <tr>
+                                            <td className="queueTicket">
+                                                <button className="linkButton" onClick={() => setExpandedId(expanded ? null : entry.id)} aria-expanded={expanded}>
+                                                    {entry.decision.summary || entry.ticket}
+                                                </button>
+                                                {duplicate ? (
+                                                    <span className="tag tagDuplicate" title={`${percent(duplicate.score)} similar to an earlier ticket`}>
+                                                        Possible duplicate
+                                                    </span>
+                                                ) : null}
+                                            </td>
+                                            {QUEUE_FIELDS.map((field) => (
+                                                <td key={field}>
+                                                    <select
+                                                        className={overridden.includes(field) ? "select selectSmall selectOverridden" : "select selectSmall"}
+                                                        aria-label={`${COLUMNS.find((c) => c.key === field).label} for ${entry.decision.summary || "ticket"}`}
+                                                        title={`Model: ${optionLabel(options, field, entry.decision[field])}`}
+                                                        value={entry.final[field]}
+                                                        onChange={(e) => onFieldChange(entry, field, e.target.value)}
+                                                        disabled={savingId === entry.id}
+                                                    >
+                                                        {(options[field] || [{ id: entry.final[field], label: entry.final[field] }]).map((o) => (
+                                                            <option key={o.id} value={o.id} title={o.description}>
+                                                                {o.label}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            ))}
+                                            <td>{percent(lowestConfidence(entry))}</td>
+                                            <td className="queueReview">
+                                                <span className="historyMeta">{STATUS_LABELS[entry.status]}</span>
+                                                {entry.status === "pending" ? (
+                                                    <button className="button buttonSmall" onClick={() => onSaveReview(entry)} disabled={savingId === entry.id}>
+                                                        {overridden.length ? "Save overrides" : "Accept"}
+                                                    </button>
+                                                ) : null}
+                                            </td>
+                                        </tr>
+                                        {expanded ? (
+                                            <tr className="queueDetails">
+                                                <td colSpan={COLUMNS.length}>
+                                                    <p className="paragraph queueText">{entry.ticket}</p>
+                                                    <p className="hint">{entry.decision.rationale}</p>
+                                                    {entry.similar?.length ? (
+                                                        <div className="queueSimilar">
+                                                            <h3 className="sectionTitle">Similar earlier tickets</h3>
+                                                            <ul className="bullets">
+                                                                {entry.similar.map((s) => (
+                                                                    <li key={s.id}>
+                                                                        <strong>{percent(s.score)}</strong>
+                                                                        {s.duplicate ? " · likely duplicate" : ""} · {s.decision.summary || s.ticket}
+                                                                        <span className="historyMeta">
+                                                                            {" "}
+                                                                            {[s.decision.priority, optionLabel(options, "component", s.decision.component), optionLabel(options, "assignee_team", s.decision.assignee_team)]
+                                                                                .filter(Boolean)
+                                                                                .join(" · ")}
+                                                                            {s.reviewed ? " · reviewed" : ""}
+                                                                        </span>
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                        </div>
+                                                    ) : null}
+                                                    <div className="tags">
+                                                        {(options.labels || []).map((o) => (
+                                                            <label key={o.id} className={entry.final.labels.includes(o.id) !== (entry.decision.labels || []).includes(o.id) ? "tag tagOverridden" : "tag"}>
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={entry.final.labels.includes(o.id)}
+                                                                    onChange={() => onToggleLabel(entry, o.id)}
+                                                                    disabled={savingId === entry.id}
+                                                                />{" "}
+                                                                {o.label}
+                                                            </label>
+                                                        ))}
+                                                    </div>
+                                                    {overridden.length ? (
+                                                        <button className="button buttonSmall queueReset" onClick={() => onReset(entry)}>
+                                                            Reset to model's values
+                                                        </button>
+                                                    ) : null}
+                                                </td>
+                                            </tr>
+                                        ) : null}
+                                    </Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { getJson } from "./api.js";
+
+function percent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function usd(value) {
+    return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+// Admin summary from the metrics function: volume, error rates by cause, validation failures
+// and estimated spend. Needs credentials with the "admin" scope; errors go to onError.
+export default function UsagePanel({ onError, onClose }) {
+    const [summary, setSummary] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    async function load() {
+        setLoading(true);
+        try {
+            setSummary(await getJson("/.netlify/functions/metrics?format=json"));
+        } catch (err) {
+            onError(err);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    return (
+        <div className="card usageCard">
+            <div className="compareHeader">
+                <h2 className="cardTitle">Usage</h2>
+                <div className="usageActions">
+                    <button className="button buttonSmall" onClick={load} disabled={loading}>
+                        {loading ? "Loading…" : "Refresh"}
+                    </button>
+                    <button className="button buttonSmall" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {!summary ? (
+                <p className="hint">{loading ? "Loading metrics…" : "No metrics loaded."}</p>
+            ) : (
+                <>
+                    <p className="hint">
+                        Since {new Date(summary.since).toLocaleString()}: {summary.requests} requests,{" "}
+                        {percent(summary.error_rate)} failed, about {usd(summary.cost_usd)} in model usage.
+                    </p>
+
+                    <h3 className="usageHeading">By function</h3>
+                    <table className="usageTable">
+                        <thead>
+                            <tr>
+                                <th>Function</th>
+                                <th>Requests</th>
+                                <th>Error rate</th>
+                                <th>Avg latency</th>
+                                <th>Model calls</th>
+                                <th>Tokens in / out</th>
+                                <th>Est. cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.functions.map((fn) => (
+                                <tr key={fn.function}>
+                                    <td>{fn.function}</td>
+                                    <td>{fn.requests}</td>
+                                    <td>{percent(fn.error_rate)}</td>
+                                    <td>{fn.avg_latency_ms === null ? "–" : `${fn.avg_latency_ms} ms`}</td>
+                                    <td>{fn.attempts}</td>
+                                    <td>
+                                        {fn.input_tokens} / {fn.output_tokens}
+                                    </td>
+                                    <td>{usd(fn.cost_usd)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <h3 className="usageHeading">Errors by cause</h3>
+                    {summary.causes.length === 0 ? (
+                        <p className="hint">No errors recorded.</p>
+                    ) : (
+                        <table className="usageTable">
+                            <thead>
+                                <tr>
+                                    <th>Cause</th>
+                                    <th>Count</th>
+                                    <th>Share of requests</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.causes.map((c) => (
+                                    <tr key={c.cause}>
+                                        <td>{c.cause}</td>
+                                        <td>{c.count}</td>
+                                        <td>{percent(c.rate)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <h3 className="usageHeading">Rejected model output</h3>
+                    {summary.validation_failures.length === 0 ? (
+                        <p className="hint">Every model response passed validation.</p>
+                    ) : (
+                        <table className="usageTable">
+                            <thead>
+                                <tr>
+                                    <th>Function</th>
+                                    <th>Field</th>
+                                    <th>Rule</th>
+                                    <th>Count</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.validation_failures.map((v) => (
+                                    <tr key={`${v.function}:${v.field}:${v.rule}`}>
+                                        <td>{v.function}</td>
+                                        <td>{v.field}</td>
+                                        <td>{v.rule}</td>
+                                        <td>{v.count}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import { authHeaders } from "./auth.js";
+
+// Shared fetch helpers for the Netlify functions. Errors carry the server's message
+// plus its requestId so users can quote it when reporting a problem, and the HTTP status
+// so callers can react to 401 (sign in) or 429 (slow down).
+export async function postJson(url, body, { signal } = {}) {
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...authHeaders() },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    const json = await readJson(res);
+    if (!res.ok) throw requestError(json, res.status);
+    if (!json || typeof json !== "object") {
+        throw new Error("Server returned an unexpected response.");
+    }
+    return json;
+}
+
+export async function getJson(url, { signal } = {}) {
+    const res = await fetch(url, { headers: authHeaders(), signal });
+    const json = await readJson(res);
+    if (!res.ok) throw requestError(json, res.status);
+    if (!json || typeof json !== "object") {
+        throw new Error("Server returned an unexpected response.");
+    }
+    return json;
+}
+
+export async function readJson(res) {
+    const text = await res.text();
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch {
+        return null;
+    }
+}
+
+export function requestError(json, status) {
+    const errMsg = json?.error || `Request failed (${status})`;
+    const requestId = json?.requestId ? ` (requestId: ${json.requestId})` : "";
+    const err = new Error(errMsg + requestId);
+    err.status = status;
+    return err;
+}
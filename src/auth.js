@@ -0,0 +1,39 @@
+// Credentials for deployments that set AUTH_REQUIRED: an API key or a JWT from the internal
+// portal, kept in localStorage and sent as a Bearer token on every function call.
+
+const STORAGE_KEY = "officeHours.auth.v1";
+
+export function getToken() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || "";
+    } catch {
+        return "";
+    }
+}
+
+export function setToken(token) {
+    try {
+        if (token) localStorage.setItem(STORAGE_KEY, token);
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage disabled; the user will be asked to sign in again next time.
+    }
+}
+
+export function authHeaders() {
+    const token = getToken();
+    return token ? { authorization: `Bearer ${token}` } : {};
+}
+
+// The portal can hand over a token in the URL fragment (#access_token=...). It is stored and
+// removed from the address bar so it does not end up in bookmarks or screenshots.
+export function consumeTokenFromHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get("access_token");
+    if (!token) return false;
+    setToken(token);
+    params.delete("access_token");
+    const rest = params.toString();
+    window.history.replaceState(null, "", window.location.pathname + window.location.search + (rest ? `#${rest}` : ""));
+    return true;
+}
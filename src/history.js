@@ -0,0 +1,84 @@
+// Plan history persisted in localStorage. Each entry keeps the input, the plan, its next-steps
+// checklist and enough metadata (timestamp, model, request id, refine round, plan mode) to find
+// and reopen it later.
+
+const STORAGE_KEY = "officeHours.history.v1";
+const MAX_ENTRIES = 200;
+
+export function loadHistory() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+function persist(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch {
+        // Quota exceeded or storage disabled; history is a convenience, so keep going.
+    }
+    return entries;
+}
+
+function newId() {
+    return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createEntry({ input, plan, checklist = [], model, requestId, round = 1, language, mode }) {
+    return {
+        id: newId(),
+        createdAt: new Date().toISOString(),
+        input,
+        plan,
+        checklist,
+        model: model || null,
+        requestId: requestId || null,
+        round,
+        language: language || null,
+        mode: mode || null
+    };
+}
+
+// Newest first; the oldest entries fall off past MAX_ENTRIES.
+export function addEntry(entries, entry) {
+    return persist([entry, ...entries.filter((e) => e.id !== entry.id)].slice(0, MAX_ENTRIES));
+}
+
+export function updateEntry(entries, id, changes) {
+    return persist(entries.map((e) => (e.id === id ? { ...e, ...changes } : e)));
+}
+
+export function deleteEntry(entries, id) {
+    return persist(entries.filter((e) => e.id !== id));
+}
+
+function entryText(entry) {
+    return [entry.input, ...Object.values(entry.plan || {}).flat()].join("\n").toLowerCase();
+}
+
+// Every whitespace-separated term must appear somewhere in the input or the plan.
+export function searchHistory(entries, query) {
+    const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return entries;
+    return entries.filter((entry) => {
+        const text = entryText(entry);
+        return terms.every((t) => text.includes(t));
+    });
+}
+
+function wordSet(text) {
+    return new Set(String(text || "").toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+// Jaccard similarity of the two inputs' word sets, 0-1.
+export function inputSimilarity(a, b) {
+    const sa = wordSet(a);
+    const sb = wordSet(b);
+    if (!sa.size || !sb.size) return 0;
+    let shared = 0;
+    for (const w of sa) if (sb.has(w)) shared++;
+    return shared / (sa.size + sb.size - shared);
+}
@@ -0,0 +1,93 @@
+import { getJson, postJson } from "./api.js";
+
+// Client for the jobs function: long requests (plans with attachments, refine rounds) are queued
+// and polled for, so they are not cut off by the synchronous function timeout. The pending job is
+// kept in localStorage with the context needed to show its result, so a reload can pick it up.
+// Jobs are opt-in on the server: runAsJob resolves null when they are not enabled, and the caller
+// makes the request directly.
+
+const STORAGE_KEY = "officeHours.pendingJob.v1";
+const POLL_INTERVAL_MS = 1500;
+// A background worker runs for at most 15 minutes; a job still pending after that is not coming.
+const MAX_WAIT_MS = 16 * 60 * 1000;
+
+export function loadPendingJob() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+        return parsed && typeof parsed.id === "string" ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+function savePendingJob(job) {
+    try {
+        if (job) localStorage.setItem(STORAGE_KEY, JSON.stringify(job));
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage disabled; the job still runs, it just cannot be resumed after a reload.
+    }
+}
+
+export function clearPendingJob() {
+    savePendingJob(null);
+}
+
+// Queues `body` for the `kind` function ("plan", "triage" or "triageBatch") and remembers it with
+// `context`; fresh: true skips the cache. Resolves with the pending job { id, kind, context }.
+export async function startJob(kind, body, context = {}, { fresh = false, signal } = {}) {
+    const { id } = await postJson("/.netlify/functions/jobs", { kind, body, fresh }, { signal });
+    const pending = { id, kind, context, started_at: new Date().toISOString() };
+    savePendingJob(pending);
+    return pending;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+// Polls a job until it has run. Resolves with { result, cached, language } when it succeeded and throws
+// the function's error (with its status) when it failed, or a 504 once it has been pending for
+// `timeoutMs`. onProgress gets { done, total } while a batch runs. Aborting `signal` stops polling;
+// the job itself keeps running.
+export async function waitForJob(id, { signal, onProgress, intervalMs = POLL_INTERVAL_MS, timeoutMs = MAX_WAIT_MS } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+        const job = await getJson(`/.netlify/functions/jobs/${encodeURIComponent(id)}`, { signal });
+        if (job.status === "succeeded") {
+            return { result: job.result, cached: job.headers?.["x-cache"] === "HIT", language: job.headers?.["content-language"] || null };
+        }
+        if (job.status === "failed") {
+            const err = new Error(job.error || "The job failed.");
+            err.status = job.statusCode;
+            throw err;
+        }
+        if (job.progress) onProgress?.(job.progress);
+        if (Date.now() + intervalMs > deadline) {
+            const err = new Error("The job is taking too long. Please try again.");
+            err.status = 504;
+            throw err;
+        }
+        await sleep(intervalMs, signal);
+    }
+}
+
+// Starts a job and waits for it (see startJob and waitForJob). Resolves null when the site has
+// jobs turned off (503), so the caller can make the request directly instead.
+export async function runAsJob(kind, body, context, { fresh, signal, ...wait } = {}) {
+    let pending;
+    try {
+        pending = await startJob(kind, body, context, { fresh, signal });
+    } catch (err) {
+        if (err.status === 503) return null;
+        throw err;
+    }
+    return waitForJob(pending.id, { signal, ...wait });
+}
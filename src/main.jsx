@@ -1,8 +1,11 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { consumeTokenFromHash } from "./auth.js";
 import "./index.css";
 
+consumeTokenFromHash();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
     <React.StrictMode>
         <App />
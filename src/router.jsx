@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+
+// Minimal client-side routing on the History API: the app has a handful of top-level views,
+// each at its own path (netlify.toml serves index.html for them).
+
+function currentPath() {
+    return window.location.pathname.replace(/\/+$/, "") || "/";
+}
+
+export function usePath() {
+    const [path, setPath] = useState(currentPath);
+    useEffect(() => {
+        const onChange = () => setPath(currentPath());
+        window.addEventListener("popstate", onChange);
+        return () => window.removeEventListener("popstate", onChange);
+    }, []);
+    return path;
+}
+
+export function navigate(path) {
+    if (path === currentPath()) return;
+    window.history.pushState(null, "", path);
+    window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// A link that switches views without reloading; modified clicks (new tab, etc.) behave as usual.
+export function Link({ to, children, ...props }) {
+    function onClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(to);
+    }
+    return (
+        <a href={to} onClick={onClick} {...props}>
+            {children}
+        </a>
+    );
+}
@@ -0,0 +1,61 @@
+import { readJson, requestError } from "./api.js";
+import { authHeaders } from "./auth.js";
+
+// Client for the generatePlanStream function. Parses the Server-Sent Events body and
+// reports progress through callbacks; resolves with the validated plan from the final
+// `done` event, plus `cached` when the server answered from its cache. Pass an AbortSignal to
+// cancel (which also aborts the upstream model call) and fresh: true to skip the cache.
+// mode is a plan mode id (shared/planModes.js); language is a code from shared/languages.js or
+// "auto"; attachments are { name, type, data }.
+export async function streamPlan({ input, mode, language, attachments, fresh, signal, onStart, onSection, onRetry }) {
+    const res = await fetch(`/.netlify/functions/generatePlanStream${fresh ? "?fresh=1" : ""}`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ input, mode, language, attachments }),
+        signal
+    });
+
+    if (!res.ok || !res.body) {
+        throw requestError(await readJson(res), res.status);
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const { event, data } = parseEvent(raw);
+            if (event === "start") onStart?.(data);
+            else if (event === "section") onSection?.(data.key, data.value);
+            else if (event === "retry") onRetry?.(data.attempt);
+            else if (event === "done") return { ...data, cached: res.headers.get("x-cache") === "HIT" };
+            else if (event === "error") throw requestError(data, data?.status);
+        }
+    }
+
+    throw new Error("The plan stream ended unexpectedly.");
+}
+
+function parseEvent(raw) {
+    let event = "message";
+    const dataLines = [];
+    for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+    }
+    let data = null;
+    try {
+        data = dataLines.length ? JSON.parse(dataLines.join("\n")) : null;
+    } catch {
+        data = null;
+    }
+    return { event, data };
+}
@@ -0,0 +1,103 @@
+// The triage review queue, persisted in localStorage. Each entry keeps the ticket, the model's
+// decision, the past tickets most like it (`similar`, see the triage function), the reviewer's
+// current values (`final`) and its review status:
+//   pending     not reviewed yet
+//   accepted    reviewed with every field as the model set it
+//   overridden  reviewed with at least one field changed (saved as a labelled example)
+
+const STORAGE_KEY = "officeHours.triageQueue.v1";
+const MAX_ENTRIES = 500;
+
+export const QUEUE_FIELDS = ["priority", "severity", "category", "component", "assignee_team"];
+
+export function loadQueue() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+function persist(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch {
+        // Quota exceeded or storage disabled; the queue still works for this session.
+    }
+    return entries;
+}
+
+function newId() {
+    return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createQueueEntry(ticket, decision, similar = []) {
+    return {
+        id: newId(),
+        createdAt: new Date().toISOString(),
+        ticket,
+        decision,
+        similar,
+        final: { ...Object.fromEntries(QUEUE_FIELDS.map((f) => [f, decision[f]])), labels: decision.labels || [] },
+        status: "pending"
+    };
+}
+
+export function addQueueEntry(entries, entry) {
+    return persist([entry, ...entries].slice(0, MAX_ENTRIES));
+}
+
+export function updateQueueEntry(entries, id, changes) {
+    return persist(entries.map((e) => (e.id === id ? { ...e, ...changes } : e)));
+}
+
+export function removeQueueEntries(entries, keep) {
+    return persist(entries.filter(keep));
+}
+
+// Fields whose reviewed value differs from the model's.
+export function overriddenFields(entry) {
+    return [...QUEUE_FIELDS, "labels"].filter((f) => {
+        const a = entry.decision[f];
+        const b = entry.final[f];
+        if (Array.isArray(a) || Array.isArray(b)) return [...(a || [])].sort().join("\n") !== [...(b || [])].sort().join("\n");
+        return a !== b;
+    });
+}
+
+// The closest earlier ticket flagged as a likely duplicate, or null.
+export function likelyDuplicate(entry) {
+    return (entry.similar || []).find((s) => s.duplicate) || null;
+}
+
+// The model's least confident field, so uncertain tickets can be sorted to the top.
+export function lowestConfidence(entry) {
+    const values = Object.values(entry.decision.confidence || {}).filter((v) => typeof v === "number");
+    return values.length ? Math.min(...values) : null;
+}
+
+const STATUS_ORDER = ["pending", "overridden", "accepted"];
+
+// Sorts by a column: priority and severity in routing-config order (most urgent first), the
+// other fields by label, confidence numerically, added by time. Ties keep the queue order.
+export function sortQueue(entries, { key, dir }, options = {}) {
+    const rank = (field, value) => {
+        const idx = (options[field] || []).findIndex((o) => o.id === value);
+        return idx === -1 ? Infinity : idx;
+    };
+    const label = (field, value) => (options[field] || []).find((o) => o.id === value)?.label || String(value ?? "");
+    const value = (entry) => {
+        if (key === "priority" || key === "severity") return rank(key, entry.final[key]);
+        if (QUEUE_FIELDS.includes(key)) return label(key, entry.final[key]).toLowerCase();
+        if (key === "summary") return String(entry.decision.summary || entry.ticket).toLowerCase();
+        if (key === "confidence") return lowestConfidence(entry) ?? Infinity;
+        if (key === "status") return STATUS_ORDER.indexOf(entry.status);
+        return entry.createdAt;
+    };
+    const sign = dir === "desc" ? -1 : 1;
+    return entries
+        .map((entry, idx) => ({ entry, idx, v: value(entry) }))
+        .sort((a, b) => (a.v < b.v ? -sign : a.v > b.v ? sign : a.idx - b.idx))
+        .map((x) => x.entry);
+}
@@ -0,0 +1,100 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import App from "../src/App.jsx";
+import { PROBLEM, TICKET, functionsFetch } from "./helpers.js";
+import { JOB_HANDLERS } from "../netlify/functions/jobWorker-background.js";
+import { createJob, runJob } from "../netlify/lib/jobs.js";
+
+describe("App", () => {
+    beforeEach(() => {
+        localStorage.clear();
+        window.history.replaceState(null, "", "/");
+        vi.stubGlobal("fetch", functionsFetch);
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.unstubAllGlobals();
+    });
+
+    it("asks for a problem before generating", () => {
+        render(<App />);
+        fireEvent.click(screen.getByRole("button", { name: "Generate Plan" }));
+        expect(screen.getByText("Type a workflow problem above, then click Generate Plan.")).toBeTruthy();
+    });
+
+    it("offers the configured plan modes", async () => {
+        render(<App />);
+        const select = screen.getByRole("combobox", { name: "Plan mode" });
+        await waitFor(() => expect(within(select).getByRole("option", { name: "Build vs. buy evaluation" })).toBeTruthy());
+        expect(within(select).getAllByRole("option")[0].textContent).toBe("Workflow plan");
+    });
+
+    it("streams a plan and renders its sections", async () => {
+        render(<App />);
+        fireEvent.change(screen.getByLabelText("Workflow problem"), { target: { value: PROBLEM } });
+        fireEvent.click(screen.getByRole("button", { name: "Generate Plan" }));
+
+        await waitFor(() => expect(screen.getByRole("button", { name: "Generate Plan" }).disabled).toBe(false));
+        for (const title of ["Problem Statement", "Clarifying Questions", "Proposed Approach", "Next Steps"]) {
+            expect(screen.getByRole("heading", { name: title })).toBeTruthy();
+        }
+        expect(screen.queryByText("Waiting for this section…")).toBeNull();
+        expect(screen.getByRole("button", { name: "History (1)" })).toBeTruthy();
+    });
+
+    it("picks up a plan job started before a reload", async () => {
+        const { job } = await createJob({ kind: "plan", body: { input: PROBLEM } });
+        await runJob(job.id, JOB_HANDLERS);
+        const context = { action: "generate", input: PROBLEM, mode: "workflow" };
+        localStorage.setItem("officeHours.pendingJob.v1", JSON.stringify({ id: job.id, kind: "plan", context }));
+
+        render(<App />);
+        await waitFor(() => expect(screen.getByRole("button", { name: "History (1)" })).toBeTruthy());
+        expect(screen.getByRole("heading", { name: "Problem Statement" })).toBeTruthy();
+        expect(screen.getByLabelText("Workflow problem").value).toBe(PROBLEM);
+        expect(localStorage.getItem("officeHours.pendingJob.v1")).toBeNull();
+    });
+
+    it("rates and edits plan sections", async () => {
+        render(<App />);
+        fireEvent.change(screen.getByLabelText("Workflow problem"), { target: { value: PROBLEM } });
+        fireEvent.click(screen.getByRole("button", { name: "Generate Plan" }));
+        await waitFor(() => expect(screen.getByRole("button", { name: "Generate Plan" }).disabled).toBe(false));
+
+        const good = screen.getByRole("button", { name: "Problem Statement is good" });
+        fireEvent.click(good);
+        await waitFor(() => expect(good.getAttribute("aria-pressed")).toBe("true"));
+
+        fireEvent.click(screen.getByRole("button", { name: "Edit Recommended Tools" }));
+        fireEvent.change(screen.getByLabelText("Recommended Tools text"), { target: { value: "Shared inbox rules\n\n  Zapier  " } });
+        fireEvent.click(screen.getByRole("button", { name: "Save" }));
+        await waitFor(() => expect(screen.getByText("Zapier")).toBeTruthy());
+        expect(screen.queryByLabelText("Recommended Tools text")).toBeNull();
+        expect(screen.getByText("edited")).toBeTruthy();
+
+        const [entry] = JSON.parse(localStorage.getItem("officeHours.history.v1"));
+        expect(entry.plan.recommended_tools).toEqual(["Shared inbox rules", "Zapier"]);
+        expect(entry.feedback).toEqual({ ratings: { problem_statement: "up", recommended_tools: "up" }, edited: ["recommended_tools"] });
+    });
+
+    it("triages a ticket and records an override", async () => {
+        render(<App />);
+        fireEvent.click(screen.getByRole("link", { name: "Triage" }));
+        expect(window.location.pathname).toBe("/triage");
+
+        fireEvent.change(screen.getByLabelText("Ticket"), { target: { value: TICKET } });
+        fireEvent.click(screen.getByRole("button", { name: "Triage" }));
+        await waitFor(() => expect(screen.getByRole("heading", { name: "Review queue (1)" })).toBeTruthy());
+
+        const priority = screen.getByRole("combobox", { name: /^Priority for/ });
+        await waitFor(() => expect(within(priority).getAllByRole("option")).toHaveLength(5));
+        fireEvent.change(priority, { target: { value: "P0" } });
+        fireEvent.click(screen.getByRole("button", { name: "Save overrides" }));
+        await waitFor(() => expect(screen.getByText("Overridden")).toBeTruthy());
+
+        fireEvent.click(screen.getByRole("link", { name: "Plan" }));
+        expect(screen.getByLabelText("Workflow problem")).toBeTruthy();
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { prepareAttachments } from "../netlify/lib/attachments.js";
+import { loadCache } from "../netlify/lib/cache.js";
+import { createRedactor, loadRedaction } from "../netlify/lib/redact.js";
+
+// A log too long for the context budget: five chunks to summarise.
+function longLog(name) {
+    const lines = Array.from({ length: 750 }, (_, i) => `2024-05-01 12:00:${String(i % 60).padStart(2, "0")} worker ${i} finished`);
+    return { name, type: "text/plain", data: Buffer.from(lines.join("\n")).toString("base64") };
+}
+
+// Answers every summary request after a tick and records how many were in flight at once.
+function summarizer() {
+    const provider = {
+        name: "test",
+        model: "test",
+        calls: 0,
+        inFlight: 0,
+        maxInFlight: 0,
+        async generate() {
+            provider.calls++;
+            provider.inFlight++;
+            provider.maxInFlight = Math.max(provider.maxInFlight, provider.inFlight);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            provider.inFlight--;
+            return JSON.stringify({ summary: "Workers finished their jobs without errors." });
+        }
+    };
+    return provider;
+}
+
+function prepare(files, provider, charge) {
+    return prepareAttachments(files, {
+        provider,
+        redactor: createRedactor(loadRedaction({}).config),
+        seed: "client",
+        cache: loadCache({ CACHE: "off" }).cache,
+        charge
+    });
+}
+
+describe("prepareAttachments", () => {
+    it("summarises a few chunks at a time and charges each summarised file", async () => {
+        const provider = summarizer();
+        let charges = 0;
+        const prepared = await prepare([longLog("a.log"), longLog("b.log")], provider, async () => {
+            charges++;
+            return { ok: true };
+        });
+        expect(prepared.ok).toBe(true);
+        expect(prepared.report.map((r) => r.summarized)).toEqual([true, true]);
+        expect(provider.calls).toBe(10);
+        expect(provider.maxInFlight).toBe(3);
+        expect(charges).toBe(2);
+    });
+
+    it("stops before summarising a file the caller has no tokens left for", async () => {
+        const provider = summarizer();
+        const charges = [{ ok: true }, { ok: false, statusCode: 429, error: "Rate limit exceeded. Try again in 6 seconds.", headers: { "retry-after": "6" } }];
+        const prepared = await prepare([longLog("a.log"), longLog("b.log")], provider, async () => charges.shift());
+        expect(prepared).toMatchObject({ ok: false, statusCode: 429, headers: { "retry-after": "6" }, usage: { attempts: 5 } });
+        expect(provider.calls).toBe(5);
+    });
+});
@@ -0,0 +1,49 @@
+import crypto from "node:crypto";
+import { describe, expect, it } from "vitest";
+import { authenticate } from "../netlify/lib/auth.js";
+
+const KEYS = { API_KEYS: "full-key,triage-key:triage,ops-key:admin" };
+
+function as(key, scope, env = KEYS) {
+    return authenticate(key ? { "x-api-key": key } : {}, scope, env);
+}
+
+function hs256(claims, secret) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+    return `${data}.${crypto.createHmac("sha256", secret).update(data).digest("base64url")}`;
+}
+
+describe("authenticate", () => {
+    it("matches API keys and their scopes", () => {
+        expect(as("full-key", "plan")).toMatchObject({ ok: true, principal: { kind: "key", scopes: ["plan", "triage"] } });
+        expect(as("triage-key", "triage").principal.scopes).toEqual(["triage"]);
+        expect(as("triage-key", "plan")).toMatchObject({ ok: false, statusCode: 403 });
+        expect(as("full-key", "plan").principal.id).not.toBe(as("triage-key", "triage").principal.id);
+    });
+
+    it("treats missing or unknown credentials as anonymous only when auth is optional", () => {
+        expect(as("", "plan")).toEqual({ ok: true, principal: null });
+        expect(as("full-ke", "plan")).toEqual({ ok: true, principal: null });
+        expect(as("", "plan", { ...KEYS, AUTH_REQUIRED: "true" })).toMatchObject({ ok: false, statusCode: 401 });
+        expect(as("full-ke", "plan", { ...KEYS, AUTH_REQUIRED: "true" })).toMatchObject({ ok: false, statusCode: 401, error: "Invalid API key." });
+    });
+
+    it("always requires credentials for admin", () => {
+        expect(as("", "admin")).toMatchObject({ ok: false, statusCode: 401 });
+        expect(as("wrong", "admin")).toMatchObject({ ok: false, statusCode: 401 });
+        expect(as("", "admin", {})).toMatchObject({ ok: false, statusCode: 401 });
+        expect(as("triage-key", "admin")).toMatchObject({ ok: false, statusCode: 403 });
+        expect(as("full-key", "admin")).toMatchObject({ ok: false, statusCode: 403 });
+        expect(as("ops-key", "admin").ok).toBe(true);
+        expect(as("ops-key", "plan")).toMatchObject({ ok: false, statusCode: 403 });
+    });
+
+    it("only grants admin to tokens whose scope claim lists it", () => {
+        const env = { JWT_SECRET: "token-secret" };
+        const bearer = (claims, scope) => authenticate({ authorization: `Bearer ${hs256(claims, "token-secret")}` }, scope, env);
+        expect(bearer({ sub: "u1" }, "plan").principal.scopes).toEqual(["plan", "triage"]);
+        expect(bearer({ sub: "u1" }, "admin")).toMatchObject({ ok: false, statusCode: 403 });
+        expect(bearer({ sub: "u1", scope: "plan admin" }, "admin")).toMatchObject({ ok: true, principal: { id: "user:u1", kind: "jwt" } });
+    });
+});
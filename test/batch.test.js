@@ -0,0 +1,15 @@
+import { describe, expect, it } from "vitest";
+import { toCsv } from "../netlify/lib/batch.js";
+
+describe("toCsv", () => {
+    it("keeps cells that a spreadsheet would run as formulas as text", () => {
+        const triage = { priority: "P2", labels: ["needs-info"], summary: "=HYPERLINK(\"https://evil.example\",\"open\")" };
+        const [, ok, failed] = toCsv([
+            { id: "@SUM(A1:A9)", row: 1, ok: true, triage },
+            { id: "+1", row: 2, ok: false, error: "-2+3 tickets failed" }
+        ]).trim().split("\n");
+        expect(ok).toContain(",\"'=HYPERLINK(\"\"https://evil.example\"\",\"\"open\"\")\",");
+        expect(ok.startsWith("'@SUM(A1:A9),1,ok,P2,")).toBe(true);
+        expect(failed).toBe("'+1,2,error,,,,,,,,,,'-2+3 tickets failed");
+    });
+});
@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import { handler } from "../netlify/functions/feedback.js";
+import { handler as generatePlan } from "../netlify/functions/generatePlan.js";
+import { handler as triageReview } from "../netlify/functions/triageReview.js";
+import { formatExamples, similarExamples } from "../netlify/lib/feedback.js";
+import { rankBySimilarity, tokenize } from "../netlify/lib/similarity.js";
+import { TICKET, event, json, withEnv } from "./helpers.js";
+
+const PLAN = {
+    problem_statement: "Finance loses vendor invoice approvals in long email threads.",
+    clarifying_questions: ["Who approves invoices over 10k?", "Which tool holds the invoices?", "How many invoices arrive a week?"],
+    proposed_approach: ["Collect invoices in one queue", "Route each invoice to its approver", "Remind approvers after two days", "Report the backlog weekly"],
+    recommended_tools: ["Shared inbox rules"],
+    risks_and_privacy: ["Invoices contain bank details"],
+    next_steps: ["List every approver", "Pick a queue tool", "Move open invoices", "Retire the inbox"]
+};
+
+const INVOICES = "Finance approves every vendor invoice over email and approvals get lost in long threads.";
+
+// Feedback from a team member's key; anonymous feedback never becomes an example.
+const TEAM = { API_KEYS: "team-key" };
+const TEAM_KEY = { "x-api-key": "team-key" };
+
+function send(body, headers = TEAM_KEY) {
+    return withEnv(TEAM, () => handler(event({ body: { kind: "plan", input: INVOICES, output: PLAN, ...body }, headers })));
+}
+
+describe("tokenize and rankBySimilarity", () => {
+    it("drops stopwords and splits unspaced scripts into pairs", () => {
+        expect(tokenize("The Export is BROKEN, again!")).toEqual(["export", "broken", "again"]);
+        expect(tokenize("請求書の承認")).toEqual(["請求", "求書", "書の", "の承", "承認"]);
+    });
+
+    it("ranks the closest texts first and skips unrelated ones", () => {
+        const items = ["Approve vendor invoices faster", "The dashboard chart is slow", "Vendor invoice approvals stall in email threads"];
+        const ranked = rankBySimilarity("vendor invoice approvals get lost in email", items, { minScore: 0.05 });
+        expect(ranked.map((r) => r.item)).toEqual(["Vendor invoice approvals stall in email threads", "Approve vendor invoices faster"]);
+        expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+        expect(ranked[0].score).toBeLessThanOrEqual(1);
+    });
+});
+
+describe("feedback", () => {
+    it("rejects unknown kinds, other methods and outputs that break the schema", async () => {
+        expect((await handler(event({ method: "GET" }))).statusCode).toBe(405);
+        expect(json(await send({ kind: "essay" })).error).toBe("kind must be one of: plan, triage.");
+        expect(json(await send({ output: { ...PLAN, next_steps: [] } })).error).toMatch(/^output does not match the schema/);
+        expect(json(await send({ ratings: { problem_statement: "meh" } })).error).toBe("Rating for problem_statement must be up or down.");
+        expect(json(await send({ ratings: { title: "up" } })).error).toBe("Unknown section in ratings: title");
+    });
+
+    it("accepts a result with a thumbs up or edit and no thumbs down", async () => {
+        expect(json(await send({ ratings: { next_steps: "up", risks_and_privacy: "down" } })).accepted).toBe(false);
+        expect(json(await send({ ratings: { risks_and_privacy: null }, edited: ["problem_statement"] })).accepted).toBe(true);
+        expect(json(await send({ ratings: {} })).accepted).toBe(false);
+    });
+
+    it("keeps anonymous feedback out of the examples", async () => {
+        const input = "Warehouse returns are logged on paper and re-keyed into the stock system.";
+        const res = await send({ input, ratings: { problem_statement: "up" } }, {});
+        expect(res.statusCode).toBe(200);
+        expect(json(res).accepted).toBe(false);
+        expect(await similarExamples({ kind: "plan", mode: "workflow", input: "Warehouse returns get logged on paper." })).toEqual([]);
+    });
+
+    it("takes a rate-limit token per call", async () => {
+        const env = { RATE_LIMIT: "on", RATE_LIMIT_STORE: "memory", RATE_LIMIT_PER_MINUTE: "1", RATE_LIMIT_BURST: "1" };
+        await withEnv(env, async () => {
+            const client = { "x-forwarded-for": "203.0.113.9" };
+            expect((await send({ ratings: {} }, client)).statusCode).toBe(200);
+            expect((await send({ ratings: {} }, client)).statusCode).toBe(429);
+        });
+    });
+
+    it("offers accepted results for similar inputs as prompt examples", async () => {
+        await send({ ratings: { problem_statement: "up" } });
+        await send({ input: "Our dashboard export to CSV times out for large accounts.", ratings: { problem_statement: "up" } });
+        await send({ input: "Vendor invoices wait for approval in email threads for weeks.", ratings: { problem_statement: "down" } });
+
+        const query = { kind: "plan", mode: "workflow", input: "Vendor invoice approvals are lost in email threads." };
+        const examples = await similarExamples(query);
+        expect(examples.map((e) => e.input)).toEqual([INVOICES]);
+        expect(await similarExamples({ ...query, mode: "postmortem" })).toEqual([]);
+        // A request never gets its own earlier result as an example.
+        expect(await similarExamples({ ...query, input: INVOICES })).toEqual([]);
+        await withEnv({ FEEDBACK_EXAMPLES: "0" }, async () => expect(await similarExamples(query)).toEqual([]));
+
+        expect(formatExamples([])).toBe("");
+        expect(formatExamples(examples)).toContain(`Example 1\nInput:\n${INVOICES}\nAccepted output:\n${JSON.stringify(PLAN)}`);
+    });
+
+    it("adds the examples to the plan prompt", async () => {
+        await send({ ratings: { problem_statement: "up" } });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+        try {
+            const input = "Vendor invoice approvals are lost in email threads and finance chases them by hand.";
+            const res = await withEnv({ LLM_FIXTURES: "record", LLM_PROVIDER: "mock", LLM_FIXTURES_DIR: dir }, () => generatePlan(event({ body: { input } })));
+            expect(res.statusCode).toBe(200);
+            const [file] = fs.readdirSync(dir);
+            const { request } = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+            expect(request.system).toContain("Our team reviewed and accepted the results below for similar requests.");
+            expect(request.system).toContain(`Input:\n${INVOICES}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("counts triage reviews as accepted triage results", async () => {
+        const decision = {
+            summary: "Card checkout fails with a 500 error since the deploy.",
+            priority: "P2",
+            severity: "minor",
+            category: "bug",
+            component: "api",
+            assignee_team: "platform",
+            duplicate_likelihood: 0.2,
+            labels: ["regression"],
+            rationale: "Checkout errors after a deploy.",
+            confidence: { priority: 0.5, severity: 0.5, category: 0.8, component: 0.9, assignee_team: 0.9, duplicate_likelihood: 0.6, labels: 0.7 }
+        };
+        const final = { priority: "P0", severity: "critical", category: "incident", component: "api", assignee_team: "platform", labels: ["regression"] };
+        const reviewed = await withEnv(TEAM, () => triageReview(event({ body: { ticket: TICKET, decision, final }, headers: TEAM_KEY })));
+        expect(reviewed.statusCode).toBe(200);
+
+        const [example] = await similarExamples({ kind: "triage", input: "Card payments at checkout fail with a 500 error." });
+        expect(example).toMatchObject({ input: TICKET, accepted: true, output: { priority: "P0", severity: "critical", summary: decision.summary } });
+        expect(example.edited).toEqual(["priority", "severity", "category"]);
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, expect, it } from "vitest";
+import { handler } from "../netlify/functions/generatePlan.js";
+import generatePlanStream from "../netlify/functions/generatePlanStream.js";
+import { PLAN_SCHEMA } from "../netlify/lib/schemas.js";
+import { validateAgainstSchema } from "../netlify/lib/validate.js";
+import { MAX_BODY_BYTES_WITH_ATTACHMENTS } from "../netlify/lib/attachments.js";
+import { NO_FIXTURES, PROBLEM, event, json, withEnv } from "./helpers.js";
+
+describe("generatePlan", () => {
+    it("answers preflight requests with CORS headers", async () => {
+        const res = await handler(event({ method: "OPTIONS" }));
+        expect(res.statusCode).toBe(204);
+        expect(res.headers["access-control-allow-methods"]).toBe("GET, POST, OPTIONS");
+    });
+
+    it("rejects other methods with 405", async () => {
+        const res = await handler(event({ method: "GET" }));
+        expect(res.statusCode).toBe(405);
+        expect(json(res).error).toBe("Method not allowed. Use POST.");
+    });
+
+    it("rejects bodies that are too large with 413", async () => {
+        const res = await handler(event({ body: { input: "x".repeat(MAX_BODY_BYTES_WITH_ATTACHMENTS) } }));
+        expect(res.statusCode).toBe(413);
+    });
+
+    it("rejects invalid JSON with 400", async () => {
+        const res = await handler(event({ body: "{\"input\": " }));
+        expect(res.statusCode).toBe(400);
+        expect(json(res)).toEqual({ error: "Invalid JSON body.", requestId: "test-request" });
+    });
+
+    it("requires input", async () => {
+        for (const body of [{}, { input: "   " }, { input: ["a list"] }]) {
+            const res = await handler(event({ body }));
+            expect(res.statusCode).toBe(400);
+            expect(json(res).error).toBe("Missing required field: input");
+        }
+    });
+
+    it("limits the input length", async () => {
+        const res = await handler(event({ body: { input: "x".repeat(8001) } }));
+        expect(res.statusCode).toBe(400);
+        expect(json(res).error).toBe("Input is too long. Please keep it under 8000 characters.");
+    });
+
+    it("rejects unknown modes and prompt versions", async () => {
+        expect(json(await handler(event({ body: { input: PROBLEM, mode: "haiku" } }))).error).toMatch(/^Unknown mode: haiku/);
+        const res = await handler(event({ body: { input: PROBLEM, promptVersion: "v9" } }));
+        expect(res.statusCode).toBe(400);
+        expect(json(res).error).toMatch(/^Unknown prompt version: v9/);
+    });
+
+    it("rejects unknown languages, including names inherited from Object.prototype", async () => {
+        for (const language of ["klingon", "constructor", "toString", "__proto__"]) {
+            const res = await handler(event({ body: { input: PROBLEM, language } }));
+            expect(res.statusCode).toBe(400);
+            expect(json(res).error).toMatch(/^language must be one of: auto, /);
+        }
+    });
+
+    it("returns a plan matching the schema", async () => {
+        const res = await handler(event({ body: { input: PROBLEM } }));
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["x-prompt-version"]).toBe("plan/v1");
+        expect(res.headers["x-llm-attempts"]).toBe("1");
+        expect(res.headers["content-language"]).toBe("en");
+        expect(validateAgainstSchema(json(res), PLAN_SCHEMA)).toBeNull();
+    });
+
+    it("accepts base64-encoded bodies", async () => {
+        const res = await handler(event({ body: { input: PROBLEM }, base64: true }));
+        expect(res.statusCode).toBe(200);
+        expect(validateAgainstSchema(json(res), PLAN_SCHEMA)).toBeNull();
+    });
+
+    it("refines a plan with answers and returns the diff", async () => {
+        const plan = json(await handler(event({ body: { input: PROBLEM } })));
+        const answers = [{ question: plan.clarifying_questions[0], answer: "About 40 requests a week, all from one shared mailbox." }];
+        const res = await handler(event({ body: { input: PROBLEM, previousPlan: plan, answers } }));
+        expect(res.statusCode).toBe(200);
+        const body = json(res);
+        expect(validateAgainstSchema(body.plan, PLAN_SCHEMA)).toBeNull();
+        expect(body.diff).toBeTypeOf("object");
+
+        const invalid = await handler(event({ body: { input: PROBLEM, previousPlan: { problem_statement: "x" }, answers } }));
+        expect(invalid.statusCode).toBe(400);
+    });
+
+    it("writes other plan modes with their own sections", async () => {
+        const res = await handler(event({ body: { input: PROBLEM, mode: "build_vs_buy" } }));
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["x-prompt-version"]).toBe("mode/v1");
+        expect(Object.keys(json(res))).toContain("recommendation");
+    });
+
+    it("only charges the rate limit for valid requests", async () => {
+        const env = { RATE_LIMIT: "on", RATE_LIMIT_STORE: "memory", RATE_LIMIT_PER_MINUTE: "1", RATE_LIMIT_BURST: "1" };
+        await withEnv(env, async () => {
+            const client = { "x-forwarded-for": "203.0.113.7" };
+            expect((await handler(event({ body: "{", headers: client }))).statusCode).toBe(400);
+            expect((await handler(event({ body: { input: "" }, headers: client }))).statusCode).toBe(400);
+            expect((await handler(event({ body: { input: PROBLEM, mode: "haiku" }, headers: client }))).statusCode).toBe(400);
+            expect((await handler(event({ body: { input: PROBLEM }, headers: client }))).statusCode).toBe(200);
+            expect((await handler(event({ body: { input: PROBLEM }, headers: client }))).statusCode).toBe(429);
+        });
+    });
+
+    it("maps provider failures to 502 without leaking details", async () => {
+        const res = await withEnv(NO_FIXTURES, () => handler(event({ body: { input: PROBLEM } })));
+        expect(res.statusCode).toBe(502);
+        expect(json(res)).toEqual({ error: "LLM request failed.", requestId: "test-request" });
+    });
+});
+
+function streamRequest(body, init = {}) {
+    return new Request("http://localhost/.netlify/functions/generatePlanStream", {
+        method: "POST",
+        headers: { "content-type": "application/json", "x-request-id": "test-request" },
+        body: JSON.stringify(body),
+        ...init
+    });
+}
+
+function parseEvents(text) {
+    return text.trim().split("\n\n").map((block) => {
+        const [eventLine, dataLine] = block.split("\n");
+        return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+    });
+}
+
+describe("generatePlanStream", () => {
+    it("handles preflight, methods and bad bodies like generatePlan", async () => {
+        expect((await generatePlanStream(new Request("http://localhost/", { method: "OPTIONS" }))).status).toBe(204);
+        expect((await generatePlanStream(new Request("http://localhost/", { method: "GET" }))).status).toBe(405);
+        expect((await generatePlanStream(streamRequest({}))).status).toBe(400);
+        const invalid = await generatePlanStream(streamRequest(undefined, { body: "{" }));
+        expect(invalid.status).toBe(400);
+        expect(await invalid.json()).toEqual({ error: "Invalid JSON body.", requestId: "test-request" });
+    });
+
+    it("streams sections, then the validated plan", async () => {
+        const res = await generatePlanStream(streamRequest({ input: PROBLEM }));
+        expect(res.status).toBe(200);
+        expect(res.headers.get("content-type")).toMatch(/^text\/event-stream/);
+
+        const events = parseEvents(await res.text());
+        expect(events[0]).toMatchObject({ event: "start", data: { requestId: "test-request", mode: "workflow", promptVersion: "plan/v1" } });
+        const sections = events.filter((e) => e.event === "section").map((e) => e.data.key);
+        expect(sections).toEqual(Object.keys(PLAN_SCHEMA.properties));
+        const done = events.at(-1);
+        expect(done.event).toBe("done");
+        expect(validateAgainstSchema(done.data.plan, PLAN_SCHEMA)).toBeNull();
+    });
+
+    it("reports provider failures as an error event", async () => {
+        const events = await withEnv(NO_FIXTURES, async () => {
+            const res = await generatePlanStream(streamRequest({ input: PROBLEM }));
+            return parseEvents(await res.text());
+        });
+        expect(events.map((e) => e.event)).toEqual(["start", "error"]);
+        expect(events[1].data).toMatchObject({ error: "LLM request failed.", status: 502 });
+    });
+});
@@ -0,0 +1,77 @@
+import { handler as feedback } from "../netlify/functions/feedback.js";
+import { handler as generatePlan } from "../netlify/functions/generatePlan.js";
+import { handler as jobs } from "../netlify/functions/jobs.js";
+import { handler as planModes } from "../netlify/functions/planModes.js";
+import { handler as triage } from "../netlify/functions/triage.js";
+import { handler as triageReview } from "../netlify/functions/triageReview.js";
+import generatePlanStream from "../netlify/functions/generatePlanStream.js";
+
+// Inputs with recorded model responses in test/fixtures/llm. Changing them (or the prompts)
+// needs a new recording; see setup.js.
+export const PROBLEM = "Our support team copies every refund request from email into a spreadsheet by hand and it takes about 10 hours a week.";
+export const TICKET = "Checkout page returns a 500 error for every customer paying by card since this morning's deploy.";
+
+// A classic Netlify function event. `body` objects are sent as JSON.
+export function event({ method = "POST", body, headers = {}, query = {}, base64 = false } = {}) {
+    const text = body === undefined || typeof body === "string" ? body : JSON.stringify(body);
+    return {
+        httpMethod: method,
+        headers: { "x-request-id": "test-request", ...headers },
+        queryStringParameters: query,
+        body: base64 && text !== undefined ? Buffer.from(text).toString("base64") : text,
+        isBase64Encoded: base64
+    };
+}
+
+export function json(res) {
+    return JSON.parse(res.body);
+}
+
+const CLASSIC = {
+    "/.netlify/functions/feedback": feedback,
+    "/.netlify/functions/generatePlan": generatePlan,
+    "/.netlify/functions/jobs": jobs,
+    "/.netlify/functions/planModes": planModes,
+    "/.netlify/functions/triage": triage,
+    "/.netlify/functions/triageReview": triageReview
+};
+
+// Stands in for fetch in the browser tests: requests to the functions run them in-process, so
+// the app is tested against the real handlers and the recorded model responses. The abort
+// signal is dropped: jsdom's AbortSignal is not one Node's Request accepts.
+export async function functionsFetch(url, { signal: _, ...init } = {}) {
+    const { pathname, search } = new URL(url, "http://localhost");
+    if (pathname === "/.netlify/functions/generatePlanStream") {
+        return generatePlanStream(new Request(`http://localhost${pathname}${search}`, init));
+    }
+    // GET /.netlify/functions/jobs/:id reads the id from the path.
+    const fn = CLASSIC[pathname] || (pathname.startsWith("/.netlify/functions/jobs/") ? jobs : null);
+    if (!fn) return new Response(JSON.stringify({ error: "Not found" }), { status: 404 });
+
+    const res = await fn({
+        httpMethod: init.method || "GET",
+        path: pathname,
+        headers: Object.fromEntries(new Headers(init.headers || {})),
+        queryStringParameters: Object.fromEntries(new URLSearchParams(search)),
+        body: init.body
+    });
+    return new Response(res.statusCode === 204 ? null : res.body, { status: res.statusCode, headers: res.headers });
+}
+
+// Runs fn with process.env overrides, restoring the previous values afterwards.
+export async function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+    Object.assign(process.env, vars);
+    try {
+        return await fn();
+    } finally {
+        for (const [k, v] of Object.entries(saved)) {
+            if (v === undefined) delete process.env[k];
+            else process.env[k] = v;
+        }
+    }
+}
+
+// Replays from a directory with no recordings, so every model call fails as if the provider
+// were unreachable (even while recording).
+export const NO_FIXTURES = { LLM_FIXTURES: "replay", LLM_FIXTURES_DIR: "test/fixtures/none" };
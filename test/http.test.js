@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { MAX_BODY_BYTES, corsHeaders, parseJsonBody, readInput, toHttpError, withCors } from "../netlify/lib/http.js";
+import { event, withEnv } from "./helpers.js";
+
+describe("parseJsonBody", () => {
+    it("parses a JSON body", () => {
+        expect(parseJsonBody(event({ body: { input: "hi" } }))).toEqual({ ok: true, value: { input: "hi" } });
+    });
+
+    it("decodes base64 bodies", () => {
+        expect(parseJsonBody(event({ body: { input: "héllo" }, base64: true }))).toEqual({ ok: true, value: { input: "héllo" } });
+    });
+
+    it("treats a missing or null body as an empty object", () => {
+        expect(parseJsonBody(event())).toEqual({ ok: true, value: {} });
+        expect(parseJsonBody(event({ body: "null" }))).toEqual({ ok: true, value: {} });
+    });
+
+    it("rejects invalid JSON with 400", () => {
+        expect(parseJsonBody(event({ body: "{input:" }))).toMatchObject({ ok: false, statusCode: 400, error: "Invalid JSON body." });
+        expect(parseJsonBody(event({ body: "not json", base64: true }))).toMatchObject({ ok: false, statusCode: 400 });
+    });
+
+    it("rejects bodies over the byte limit with 413, counting UTF-8 bytes", () => {
+        const limit = 100;
+        expect(parseJsonBody(event({ body: "x".repeat(limit + 1) }), limit)).toMatchObject({ ok: false, statusCode: 413 });
+        // 34 three-byte characters are 102 bytes although the string has 34 characters.
+        expect(parseJsonBody(event({ body: `"${"€".repeat(34)}"` }), limit)).toMatchObject({ ok: false, statusCode: 413 });
+        expect(parseJsonBody(event({ body: { input: "x".repeat(MAX_BODY_BYTES) } }))).toMatchObject({ statusCode: 413 });
+    });
+});
+
+describe("readInput", () => {
+    it("returns the field", () => {
+        expect(readInput({ input: "Fix triage" }, "input")).toEqual({ ok: true, value: "Fix triage" });
+    });
+
+    it("rejects missing, non-string and blank fields", () => {
+        for (const payload of [{}, { input: 42 }, { input: "   \n" }, null]) {
+            expect(readInput(payload, "input")).toEqual({ ok: false, error: "Missing required field: input" });
+        }
+    });
+
+    it("enforces the length limit", () => {
+        expect(readInput({ input: "x".repeat(10) }, "input", 10).ok).toBe(true);
+        expect(readInput({ input: "x".repeat(11) }, "input", 10)).toEqual({
+            ok: false,
+            error: "Input is too long. Please keep it under 10 characters."
+        });
+    });
+});
+
+describe("toHttpError", () => {
+    it.each([
+        [401, 502, "provider_auth", "LLM authentication failed."],
+        [403, 502, "provider_auth", "LLM authentication failed."],
+        [429, 429, "provider_rate_limit", "Rate limited by LLM provider. Try again shortly."],
+        [500, 502, "provider_error", "LLM provider error. Try again shortly."],
+        [503, 502, "provider_error", "LLM provider error. Try again shortly."],
+        [400, 502, "provider_request", "LLM request failed."]
+    ])("maps provider status %i to %i (%s)", (status, statusCode, cause, message) => {
+        expect(toHttpError(Object.assign(new Error("upstream"), { status }))).toEqual({ statusCode, cause, message });
+    });
+
+    it("maps errors without a status, and non-errors, to a generic 502", () => {
+        expect(toHttpError(new Error("socket hang up"))).toEqual({ statusCode: 502, cause: "provider_request", message: "LLM request failed." });
+        expect(toHttpError(undefined).statusCode).toBe(502);
+        expect(toHttpError({ status: "500" }).cause).toBe("provider_request");
+    });
+});
+
+describe("CORS", () => {
+    it("allows any origin by default", () => {
+        expect(corsHeaders("https://example.com", {})).toMatchObject({ ok: true, headers: { "access-control-allow-origin": "*" } });
+    });
+
+    it("echoes allowed origins and refuses others", () => {
+        const env = { CORS_ALLOWED_ORIGINS: "https://a.example, https://b.example" };
+        expect(corsHeaders("https://b.example", env).headers["access-control-allow-origin"]).toBe("https://b.example");
+        expect(corsHeaders("https://evil.example", env).ok).toBe(false);
+        expect(corsHeaders(undefined, env).ok).toBe(true);
+    });
+
+    it("answers refused origins with 403 before the handler runs", async () => {
+        let called = false;
+        const handler = withCors(async () => {
+            called = true;
+            return { statusCode: 200, headers: {}, body: "" };
+        });
+        const res = await withEnv({ CORS_ALLOWED_ORIGINS: "https://a.example" }, () =>
+            handler(event({ headers: { origin: "https://evil.example" } }))
+        );
+        expect(res.statusCode).toBe(403);
+        expect(called).toBe(false);
+    });
+});
@@ -0,0 +1,163 @@
+import http from "node:http";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { handler } from "../netlify/functions/jobs.js";
+import { handler as worker } from "../netlify/functions/jobWorker-background.js";
+import { workerCallHeaders } from "../netlify/lib/jobs.js";
+import { runAsJob, waitForJob } from "../src/jobs.js";
+import { NO_FIXTURES, PROBLEM, TICKET, event, functionsFetch, json, withEnv } from "./helpers.js";
+
+// A stand-in for the background function: accepts every job and keeps the ids, so tests decide
+// when (and under which env) the worker runs them.
+const dispatched = [];
+let server;
+let workerUrl;
+const BACKGROUND = { JOBS_WORKER: "background", JOBS_WORKER_SECRET: "worker-secret" };
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            dispatched.push(JSON.parse(body).id);
+            res.writeHead(202).end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    workerUrl = `http://127.0.0.1:${server.address().port}/.netlify/functions/jobWorker-background`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+function start(kind, body, headers = {}) {
+    return handler(event({ body: { kind, body }, headers }));
+}
+
+function read(id, headers = {}) {
+    return handler({ ...event({ method: "GET", headers }), path: `/.netlify/functions/jobs/${id}` });
+}
+
+// Polls until the inline worker has finished the job.
+async function settle(id, headers) {
+    for (let i = 0; i < 100; i++) {
+        const job = json(await read(id, headers));
+        if (job.status === "succeeded" || job.status === "failed") return job;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish.`);
+}
+
+// Calls the worker as the jobs function would, signed with JOBS_WORKER_SECRET.
+function runWorker(id) {
+    const body = JSON.stringify({ id });
+    const { headers } = workerCallHeaders(body, BACKGROUND);
+    return worker({ ...event({ headers }), body });
+}
+
+describe("jobs", () => {
+    it("queues a plan, runs it and reports the result", async () => {
+        const res = await start("plan", { input: PROBLEM });
+        expect(res.statusCode).toBe(202);
+        const { id, status } = json(res);
+        expect(status).toBe("queued");
+        expect(res.headers.location).toBe(`/jobs/${id}`);
+
+        const job = await settle(id);
+        expect(job.status).toBe("succeeded");
+        expect(job.result.problem_statement).toBeTruthy();
+        expect(job.headers["x-prompt-version"]).toBeTruthy();
+        expect(job).not.toHaveProperty("body");
+        expect(job).not.toHaveProperty("principal");
+    });
+
+    it("reports batch progress and per-ticket results", async () => {
+        const data = [{ id: "A", title: TICKET }, { id: "B", description: TICKET }].map((t) => JSON.stringify(t)).join("\n");
+        const job = await settle(json(await start("triageBatch", { data, format: "jsonl" })).id);
+        expect(job.status).toBe("succeeded");
+        expect(job.progress).toEqual({ done: 2, total: 2 });
+        expect(job.result.results.map((r) => [r.id, r.ok])).toEqual([["A", true], ["B", true]]);
+    });
+
+    it("rejects unknown kinds and reports unknown ids as missing", async () => {
+        expect((await start("summarize", { input: PROBLEM })).statusCode).toBe(400);
+        expect((await start("plan", "text")).statusCode).toBe(400);
+        expect((await read("no-such-job")).statusCode).toBe(404);
+        expect((await handler(event({ method: "GET" }))).statusCode).toBe(400);
+    });
+
+    it("needs the function's scope and only shows a job to its creator", async () => {
+        await withEnv({ AUTH_REQUIRED: "true", API_KEYS: "planner:plan,other:plan,triager:triage", ...BACKGROUND, JOBS_WORKER_URL: workerUrl }, async () => {
+            expect((await start("plan", { input: PROBLEM })).statusCode).toBe(401);
+            expect((await start("triage", { userMessage: TICKET }, { "x-api-key": "planner" })).statusCode).toBe(403);
+
+            const { id } = json(await start("plan", { input: PROBLEM }, { "x-api-key": "planner" }));
+            expect(dispatched).toContain(id);
+            expect((await read(id, { "x-api-key": "planner" })).statusCode).toBe(200);
+            expect((await read(id, { "x-api-key": "other" })).statusCode).toBe(404);
+            expect((await read(id, { "x-api-key": "triager" })).statusCode).toBe(403);
+        });
+    });
+
+    it("records the function's error when a job fails", async () => {
+        const { id } = await withEnv({ ...BACKGROUND, JOBS_WORKER_URL: workerUrl }, async () => json(await start("plan", { input: PROBLEM })));
+        expect(json(await read(id)).status).toBe("queued");
+
+        const ran = await withEnv({ ...NO_FIXTURES, ...BACKGROUND }, () => runWorker(id));
+        expect(json(ran)).toEqual({ id, status: "failed" });
+        const job = json(await read(id));
+        expect(job).toMatchObject({ status: "failed", statusCode: 502 });
+        expect(job.error).toBeTruthy();
+
+        // A job runs once, however often the worker is called.
+        expect(json(await withEnv(BACKGROUND, () => runWorker(id))).status).toBe("failed");
+    });
+
+    it("only runs jobs for signed worker calls", async () => {
+        const { id } = await withEnv({ ...BACKGROUND, JOBS_WORKER_URL: workerUrl }, async () => json(await start("plan", { input: PROBLEM })));
+        await withEnv(BACKGROUND, async () => {
+            expect((await worker(event({ body: { id } }))).statusCode).toBe(401);
+            const forged = workerCallHeaders(JSON.stringify({ id }), { JOBS_WORKER_SECRET: "guess" }).headers;
+            expect((await worker(event({ body: { id }, headers: forged }))).statusCode).toBe(401);
+        });
+        expect((await runWorker(id)).statusCode).toBe(500);
+        expect(json(await read(id)).status).toBe("queued");
+
+        expect(json(await withEnv(BACKGROUND, () => runWorker(id))).status).toBe("succeeded");
+    });
+
+    it("fails the job when the background worker cannot be reached", async () => {
+        await withEnv({ ...BACKGROUND, JOBS_WORKER_URL: "", URL: "" }, async () => {
+            const res = await start("plan", { input: PROBLEM });
+            expect(res.statusCode).toBe(500);
+            const { id, error } = json(res);
+            expect(error).toMatch(/^Could not start the job/);
+            expect(json(await read(id)).status).toBe("failed");
+        });
+        await withEnv({ JOBS_WORKER: "background", JOBS_WORKER_URL: workerUrl }, async () => {
+            const res = await start("plan", { input: PROBLEM });
+            expect(res.statusCode).toBe(500);
+            expect(json(res).error).toBe("Could not start the job: set JOBS_WORKER_SECRET");
+        });
+    });
+
+    it("answers 503 when jobs are not enabled", async () => {
+        await withEnv({ JOBS_STORE: "off" }, async () => {
+            expect((await start("plan", { input: PROBLEM })).statusCode).toBe(503);
+            expect((await read("any")).statusCode).toBe(503);
+        });
+    });
+});
+
+describe("jobs client", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it("resolves null when jobs are not enabled, so the caller can go direct", async () => {
+        vi.stubGlobal("fetch", functionsFetch);
+        expect(await withEnv({ JOBS_STORE: "off" }, () => runAsJob("plan", { input: PROBLEM }))).toBeNull();
+        await expect(runAsJob("plan", { input: "" })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it("stops waiting for a job that never finishes", async () => {
+        vi.stubGlobal("fetch", async () => new Response(JSON.stringify({ id: "stuck", status: "running" }), { status: 200 }));
+        await expect(waitForJob("stuck", { intervalMs: 5, timeoutMs: 20 })).rejects.toMatchObject({ status: 504 });
+    });
+});
@@ -0,0 +1,46 @@
+import zlib from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { extractPdfText } from "../netlify/lib/pdf.js";
+
+// A minimal PDF with one object per stream: { content, flate } where flate deflates the content
+// (or `data` is used as the already-encoded stream).
+function pdf(...streams) {
+    const objects = streams.map(({ content, data, flate }, idx) => {
+        const bytes = data || (flate ? zlib.deflateSync(Buffer.from(content, "latin1")) : Buffer.from(content, "latin1"));
+        const dict = `<< /Length ${bytes.length}${flate || data ? " /Filter /FlateDecode" : ""} >>`;
+        return Buffer.concat([Buffer.from(`${idx + 1} 0 obj\n${dict}\nstream\n`, "latin1"), bytes, Buffer.from("\nendstream\nendobj\n", "latin1")]);
+    });
+    return Buffer.concat([Buffer.from("%PDF-1.4\n", "latin1"), ...objects, Buffer.from("%%EOF\n", "latin1")]);
+}
+
+describe("extractPdfText", () => {
+    it("reads text from plain and compressed content streams", () => {
+        const text = extractPdfText(pdf(
+            { content: "BT /F1 12 Tf (Export fails) Tj 0 -14 Td [(since the ) -300 (deploy)] TJ ET" },
+            { content: "BT <48656c6c6f> Tj ET", flate: true }
+        ));
+        expect(text).toBe("Export fails\nsince the deploy\nHello");
+    });
+
+    it("drops text from two-byte fonts instead of passing on garbage", () => {
+        const cid = { content: "BT /F2 12 Tf <002B0048004F004F0052> Tj [<0057004B0048>] TJ ET" };
+        expect(extractPdfText(pdf(cid))).toBe("");
+        expect(extractPdfText(pdf(cid, { content: "BT (Readable line) Tj ET" }))).toBe("Readable line");
+    });
+
+    it("skips streams that inflate past the size limit", () => {
+        const bomb = zlib.deflateSync(Buffer.from(`BT (Too big) Tj ET${" ".repeat(5 * 1024 * 1024)}`, "latin1"));
+        expect(extractPdfText(pdf({ data: bomb }, { content: "BT (Still read) Tj ET" }))).toBe("Still read");
+    });
+
+    it("stops inflating once a file's streams have used up the total budget", () => {
+        // Each part inflates to 1 MB, well under the per-stream limit; together they are 20 MB.
+        const parts = Array.from({ length: 20 }, (_, idx) => ({
+            data: zlib.deflateSync(Buffer.from(`BT (Part ${idx + 1}) Tj ET${" ".repeat(1024 * 1024)}`, "latin1"))
+        }));
+        const text = extractPdfText(pdf(...parts));
+        expect(text).toMatch(/^Part 1\n/);
+        expect(text).not.toContain("Part 20");
+        expect(text.split("\n").length).toBeLessThanOrEqual(8);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { createRedactor, loadRedaction } from "../netlify/lib/redact.js";
+
+function redact(text) {
+    return createRedactor(loadRedaction({}).config).redact(text);
+}
+
+describe("redact", () => {
+    it("replaces personal data and secrets with stable placeholders", () => {
+        expect(redact("Mail jane@example.com, then jane@example.com again")).toBe("Mail [EMAIL_1], then [EMAIL_1] again");
+        expect(redact("key sk-abcdefghijklmnopqrstuvwx leaked")).toBe("key [API_KEY_1] leaked");
+        expect(redact("from 10.0.0.12 and 192.168.1.1")).toBe("from [IP_ADDRESS_1] and [IP_ADDRESS_2]");
+    });
+
+    it("redacts phone numbers written like phone numbers", () => {
+        expect(redact("Call +1 (555) 123-4567 or +44 20 7946 0958")).toBe("Call [PHONE_1] or [PHONE_2]");
+        expect(redact("Call (555) 123-4567.")).toBe("Call [PHONE_1].");
+        expect(redact("Call 555-123-4567 or 020 7946 0958 or 555.123.4567")).toBe("Call [PHONE_1] or [PHONE_2] or [PHONE_3]");
+    });
+
+    it("leaves timestamps, plain IDs and version strings alone", () => {
+        for (const text of [
+            "Since 2024-01-15 10:30 the export fails",
+            "Since 2024-01-15T10:30:00Z the export fails",
+            "Started 15.01.2024 10:30:12",
+            "Order 1234567890 failed",
+            "Ticket #20240115103000 reopened",
+            "Upgraded to version 1.2.3.4 yesterday",
+            "Runs v10.2.3.4 in production",
+            "Build 1.2.3.4.5 broke the login"
+        ]) {
+            expect(redact(text)).toBe(text);
+        }
+    });
+});
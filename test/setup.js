@@ -0,0 +1,15 @@
+// Offline defaults for every test file. Model responses are replayed from test/fixtures/llm;
+// to re-record them after changing a prompt or schema, run the suite against a real provider:
+//   LLM_FIXTURES=record LLM_PROVIDER=openai OPENAI_API_KEY=... npm test
+// Caching, rate limits and metrics are off so tests do not see each other's requests, and
+// stores that are files by default stay in memory.
+process.env.LLM_FIXTURES ||= "replay";
+process.env.LOG_LEVEL ||= "off";
+process.env.CACHE = "off";
+process.env.RATE_LIMIT = "off";
+process.env.METRICS = "off";
+process.env.TRIAGE_LABELS_STORE = "memory";
+process.env.FEEDBACK_STORE = "memory";
+process.env.TICKET_INDEX_STORE = "memory";
+process.env.JOBS_STORE = "memory";
+process.env.WEBHOOK_STORE = "memory";
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { generateStructured, getMaxAttempts, streamStructured } from "../netlify/lib/structured.js";
+import { validateAgainstSchema } from "../netlify/lib/validate.js";
+
+const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        title: { type: "string", minLength: 3 },
+        steps: { type: "array", minItems: 2, items: { type: "string", pattern: "^\\p{Lu}" } }
+    },
+    required: ["title", "steps"]
+};
+const validate = (value) => validateAgainstSchema(value, schema);
+
+// A provider that answers with the given outputs in order and remembers what it was sent.
+function scripted(...outputs) {
+    const calls = [];
+    const next = (args) => {
+        calls.push({ ...args, history: [...args.history] });
+        const output = outputs.shift();
+        if (output instanceof Error) throw output;
+        return output;
+    };
+    return {
+        calls,
+        name: "scripted",
+        model: "test",
+        async generate(args) {
+            return next(args);
+        },
+        async *stream(args) {
+            const text = next(args);
+            for (let i = 0; i < text.length; i += 7) yield text.slice(i, i + 7);
+        }
+    };
+}
+
+const VALID = JSON.stringify({ title: "Plan", steps: ["First", "Second"] });
+
+function run(provider, extra = {}) {
+    return generateStructured({ provider, system: "sys", user: "user", input: "in", schema, schemaName: "test", validate, maxAttempts: 3, ...extra });
+}
+
+async function collect(iterable) {
+    const events = [];
+    for await (const e of iterable) events.push(e);
+    return events;
+}
+
+describe("generateStructured", () => {
+    it("returns valid output from the first attempt", async () => {
+        const provider = scripted(VALID);
+        expect(await run(provider)).toMatchObject({ ok: true, value: JSON.parse(VALID), attempts: 1, repaired: false, failures: [] });
+        expect(provider.calls[0].history).toEqual([]);
+    });
+
+    it("repairs near misses locally instead of retrying", async () => {
+        const provider = scripted(JSON.stringify({ title: "Plan", steps: ["1. first", "2. second"], extra: true }));
+        const result = await run(provider);
+        expect(result).toMatchObject({ ok: true, repaired: true, attempts: 1, value: { title: "Plan", steps: ["First", "Second"] } });
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    it("feeds the error back to the model and retries", async () => {
+        const fenced = "```json\n" + VALID + "\n```";
+        const provider = scripted(fenced, VALID);
+        const result = await run(provider);
+        expect(result).toMatchObject({ ok: true, attempts: 2 });
+        expect(result.failures[0]).toMatch(/^Output is not valid JSON/);
+        const [assistant, correction] = provider.calls[1].history;
+        expect(assistant).toEqual({ role: "assistant", content: fenced });
+        expect(correction.role).toBe("user");
+        expect(correction.content).toMatch(/^Your previous response was rejected: Output is not valid JSON/);
+    });
+
+    it("gives up after maxAttempts with the last failure", async () => {
+        const provider = scripted("", JSON.stringify({ title: "Plan" }), JSON.stringify({ title: "Plan", steps: [] }));
+        const result = await run(provider);
+        expect(result).toMatchObject({ ok: false, cause: "invalid_shape", attempts: 3, details: "steps must have at least 2 items." });
+        expect(result.failures).toEqual(["The response was empty.", "Missing required property: steps", "steps must have at least 2 items."]);
+    });
+
+    it("lets provider errors propagate", async () => {
+        const error = Object.assign(new Error("Too many requests"), { status: 429 });
+        await expect(run(scripted(error))).rejects.toBe(error);
+    });
+});
+
+describe("streamStructured", () => {
+    it("yields sections as they complete, then done", async () => {
+        const events = await collect(streamStructured({ provider: scripted(VALID), schema, validate, maxAttempts: 2 }));
+        expect(events.map((e) => e.type)).toEqual(["section", "section", "done"]);
+        expect(events[0]).toEqual({ type: "section", key: "title", value: "Plan" });
+        expect(events[2]).toMatchObject({ value: JSON.parse(VALID), attempts: 1 });
+    });
+
+    it("accepts a reply wrapped in a code fence, as local models send", async () => {
+        const events = await collect(streamStructured({ provider: scripted("```json\n" + VALID + "\n```"), schema, validate, maxAttempts: 1 }));
+        expect(events.map((e) => e.type)).toEqual(["section", "section", "done"]);
+        expect(events[2]).toMatchObject({ value: JSON.parse(VALID), attempts: 1, text: VALID });
+    });
+
+    it("signals a retry and ends with an error when attempts run out", async () => {
+        const events = await collect(streamStructured({ provider: scripted("nope", "still nope"), schema, validate, maxAttempts: 2 }));
+        expect(events.map((e) => e.type)).toEqual(["retry", "error"]);
+        expect(events[1]).toMatchObject({ cause: "non_json", attempts: 2, text: "still nope" });
+    });
+});
+
+describe("getMaxAttempts", () => {
+    it("reads LLM_MAX_ATTEMPTS within bounds", () => {
+        expect(getMaxAttempts({})).toBe(3);
+        expect(getMaxAttempts({ LLM_MAX_ATTEMPTS: "1" })).toBe(1);
+        expect(getMaxAttempts({ LLM_MAX_ATTEMPTS: "50" })).toBe(5);
+        expect(getMaxAttempts({ LLM_MAX_ATTEMPTS: "zero" })).toBe(3);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { handler as triageReview } from "../netlify/functions/triageReview.js";
+import { findSimilar, indexTicket, parseIndexJsonl, readIndex, replaceIndex, toIndexEntry, toIndexJsonl } from "../netlify/lib/ticketIndex.js";
+import { loadRedaction } from "../netlify/lib/redact.js";
+import { event, withEnv } from "./helpers.js";
+
+const DECISION = {
+    summary: "CSV export of the usage dashboard times out.",
+    priority: "P2",
+    severity: "major",
+    category: "bug",
+    component: "dashboard",
+    assignee_team: "product-web",
+    duplicate_likelihood: 0.1,
+    labels: ["performance"],
+    rationale: "Export timeouts on large accounts.",
+    confidence: { priority: 0.7, severity: 0.6, category: 0.9, component: 0.9, assignee_team: 0.9, duplicate_likelihood: 0.5, labels: 0.6 }
+};
+
+const EXPORT = "The CSV export on the usage dashboard times out for our largest accounts.";
+
+async function seed() {
+    await replaceIndex([
+        toIndexEntry({ ticket: EXPORT, decision: DECISION }),
+        toIndexEntry({ ticket: "Password reset emails never arrive for SSO users.", decision: { ...DECISION, component: "auth" } }),
+        toIndexEntry({ ticket: "Dark mode makes the settings page unreadable.", decision: { ...DECISION, component: "web-ui" } })
+    ]);
+}
+
+describe("ticket index", () => {
+    it("ranks similar tickets and flags likely duplicates", async () => {
+        await seed();
+        const { similar } = await findSimilar("CSV export on the usage dashboard times out for large accounts");
+        expect(similar).toHaveLength(1);
+        expect(similar[0]).toMatchObject({ ticket: EXPORT, duplicate: true, reviewed: false, decision: { summary: DECISION.summary, component: "dashboard" } });
+        expect(similar[0].decision).not.toHaveProperty("rationale");
+        expect(similar[0].score).toBeGreaterThan(0.7);
+
+        const loose = await findSimilar("The usage dashboard loads slowly");
+        expect(loose.similar.map((s) => s.ticket)).toEqual([EXPORT]);
+        expect(loose.similar[0].duplicate).toBe(false);
+
+        expect((await findSimilar("Invoices show the wrong VAT rate")).similar).toEqual([]);
+        await withEnv({ TRIAGE_SIMILAR: "0" }, async () => expect((await findSimilar(EXPORT)).similar).toEqual([]));
+        await withEnv({ TRIAGE_DUPLICATE_SCORE: "1" }, async () => {
+            expect((await findSimilar("CSV export on the usage dashboard times out")).similar[0].duplicate).toBe(false);
+        });
+    });
+
+    it("keeps a reviewed decision when the ticket is triaged again", async () => {
+        await seed();
+        const final = { priority: "P1", severity: "major", category: "bug", component: "dashboard", assignee_team: "product-web", labels: ["performance"] };
+        expect((await triageReview(event({ body: { ticket: EXPORT, decision: DECISION, final } }))).statusCode).toBe(200);
+
+        await indexTicket(toIndexEntry({ ticket: EXPORT, decision: { ...DECISION, priority: "P3" } }));
+        const { similar } = await findSimilar(EXPORT);
+        expect(similar[0]).toMatchObject({ score: 1, reviewed: true, decision: { priority: "P1" } });
+    });
+
+    it("exports to JSONL and rebuilds from it and from reviewed examples", async () => {
+        await seed();
+        const { entries } = await readIndex();
+        const reviewed = JSON.stringify({ id: "x", input: "Slack notifications stopped after the update.", expect: { ...DECISION, component: "integrations" } });
+        const parsed = parseIndexJsonl(`${toIndexJsonl(entries)}not json\n${reviewed}\n{"ticket": ""}\n`, loadRedaction().config);
+
+        expect(parsed.skipped).toEqual([4, 6]);
+        expect(parsed.entries).toHaveLength(4);
+        expect(parsed.entries.slice(0, 3)).toEqual(entries);
+        expect(parsed.entries[3]).toMatchObject({ ticket: "Slack notifications stopped after the update.", reviewed: true, decision: { component: "integrations" } });
+
+        await replaceIndex(parsed.entries);
+        expect((await findSimilar("Slack notifications stopped")).similar[0].decision.component).toBe("integrations");
+    });
+
+    it("redacts tickets it rebuilds from", async () => {
+        const line = JSON.stringify({
+            input: "Invoice email bounced for ana@example.org, call her on (415) 555-0134.",
+            expect: { ...DECISION, summary: "Invoice email to ana@example.org bounced." }
+        });
+        const { entries } = parseIndexJsonl(line, loadRedaction().config);
+        expect(entries[0].ticket).toBe("Invoice email bounced for [EMAIL_1], call her on [PHONE_1].");
+        expect(entries[0].decision.summary).toBe("Invoice email to [EMAIL_1] bounced.");
+        expect(JSON.stringify(entries)).not.toMatch(/ana@example\.org|555-0134/);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { handler } from "../netlify/functions/triage.js";
+import { getSchema } from "../netlify/lib/schemas.js";
+import { validateAgainstSchema } from "../netlify/lib/validate.js";
+import { MAX_BODY_BYTES } from "../netlify/lib/http.js";
+import { NO_FIXTURES, TICKET, event, json, withEnv } from "./helpers.js";
+
+describe("triage", () => {
+    it("answers preflight requests and rejects other methods", async () => {
+        expect((await handler(event({ method: "OPTIONS" }))).statusCode).toBe(204);
+        const res = await handler(event({ method: "PUT", body: { userMessage: TICKET } }));
+        expect(res.statusCode).toBe(405);
+    });
+
+    it("rejects large bodies, invalid JSON and missing or long tickets", async () => {
+        expect((await handler(event({ body: { userMessage: "x".repeat(MAX_BODY_BYTES) } }))).statusCode).toBe(413);
+        expect(json(await handler(event({ body: "[1, 2" }))).error).toBe("Invalid JSON body.");
+        expect(json(await handler(event({ body: { input: TICKET } }))).error).toBe("Missing required field: userMessage");
+        expect(json(await handler(event({ body: { userMessage: "x".repeat(8001) } }))).error)
+            .toBe("Input is too long. Please keep it under 8000 characters.");
+    });
+
+    it("returns a triage decision within the routing config", async () => {
+        const res = await handler(event({ body: { userMessage: TICKET }, base64: true }));
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["x-prompt-version"]).toBe("triage/v1");
+        const { similar, ...decision } = json(res);
+        expect(validateAgainstSchema(decision, getSchema("ticket_triage").schema)).toBeNull();
+        expect(similar).toEqual([]);
+    });
+
+    it("returns earlier tickets like this one with their decisions", async () => {
+        const first = json(await handler(event({ body: { userMessage: TICKET } })));
+        const { similar } = json(await handler(event({ body: { userMessage: TICKET } })));
+        expect(similar).toHaveLength(1);
+        expect(similar[0]).toMatchObject({
+            ticket: TICKET,
+            score: 1,
+            duplicate: true,
+            reviewed: false,
+            decision: { summary: first.summary, priority: first.priority, component: first.component, labels: first.labels }
+        });
+    });
+
+    it("maps provider failures to 502", async () => {
+        const res = await withEnv(NO_FIXTURES, () => handler(event({ body: { userMessage: TICKET } })));
+        expect(res.statusCode).toBe(502);
+        expect(json(res).error).toBe("LLM request failed.");
+    });
+});
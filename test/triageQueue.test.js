@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { createQueueEntry, likelyDuplicate, lowestConfidence, overriddenFields, sortQueue } from "../src/triageQueue.js";
+
+const OPTIONS = {
+    priority: [{ id: "P0" }, { id: "P1" }, { id: "P2" }],
+    component: [{ id: "api", label: "Public API" }, { id: "auth", label: "Authentication" }]
+};
+
+function entry(summary, decision, createdAt) {
+    return {
+        ...createQueueEntry(summary, { summary, labels: [], confidence: {}, ...decision }),
+        createdAt
+    };
+}
+
+const queue = [
+    entry("b", { priority: "P2", component: "api", confidence: { priority: 0.9 } }, "2024-01-01T00:00:00Z"),
+    entry("a", { priority: "P0", component: "auth", confidence: { priority: 0.4, component: 0.7 } }, "2024-01-03T00:00:00Z"),
+    entry("c", { priority: "P1", component: "api" }, "2024-01-02T00:00:00Z")
+];
+
+const order = (entries) => entries.map((e) => e.ticket);
+
+describe("sortQueue", () => {
+    it("sorts priority in config order and labels alphabetically", () => {
+        expect(order(sortQueue(queue, { key: "priority", dir: "asc" }, OPTIONS))).toEqual(["a", "c", "b"]);
+        expect(order(sortQueue(queue, { key: "priority", dir: "desc" }, OPTIONS))).toEqual(["b", "c", "a"]);
+        // "Authentication" before "Public API"; ties keep queue order.
+        expect(order(sortQueue(queue, { key: "component", dir: "asc" }, OPTIONS))).toEqual(["a", "b", "c"]);
+    });
+
+    it("sorts by confidence, status and time added", () => {
+        expect(order(sortQueue(queue, { key: "confidence", dir: "asc" }, OPTIONS))).toEqual(["a", "b", "c"]);
+        expect(order(sortQueue(queue, { key: "added", dir: "desc" }, OPTIONS))).toEqual(["a", "c", "b"]);
+        const reviewed = [{ ...queue[0], status: "accepted" }, queue[1], { ...queue[2], status: "overridden" }];
+        expect(order(sortQueue(reviewed, { key: "status", dir: "asc" }, OPTIONS))).toEqual(["a", "c", "b"]);
+    });
+
+    it("sorts by the reviewed value, not the model's", () => {
+        const changed = [{ ...queue[0], final: { ...queue[0].final, priority: "P0" } }, queue[1]];
+        expect(order(sortQueue(changed, { key: "priority", dir: "asc" }, OPTIONS))).toEqual(["b", "a"]);
+    });
+});
+
+describe("review state", () => {
+    it("lists overridden fields, ignoring label order", () => {
+        const e = entry("x", { priority: "P1", labels: ["a", "b"] });
+        expect(overriddenFields(e)).toEqual([]);
+        expect(overriddenFields({ ...e, final: { ...e.final, labels: ["b", "a"] } })).toEqual([]);
+        expect(overriddenFields({ ...e, final: { ...e.final, priority: "P0", labels: ["a"] } })).toEqual(["priority", "labels"]);
+    });
+
+    it("finds the closest likely duplicate", () => {
+        const similar = [{ id: "a", score: 0.5, duplicate: false }, { id: "b", score: 0.9, duplicate: true }];
+        expect(likelyDuplicate({ ...queue[0], similar })).toBe(similar[1]);
+        expect(likelyDuplicate({ ...queue[0], similar: similar.slice(0, 1) })).toBeNull();
+        expect(likelyDuplicate(queue[0])).toBeNull();
+    });
+
+    it("reports the lowest field confidence", () => {
+        expect(lowestConfidence(queue[1])).toBe(0.4);
+        expect(lowestConfidence(queue[2])).toBeNull();
+    });
+});
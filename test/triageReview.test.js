@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { handler } from "../netlify/functions/triageReview.js";
+import { TICKET, event, json } from "./helpers.js";
+
+const DECISION = {
+    summary: "Card checkout fails with a 500 error since the deploy.",
+    priority: "P2",
+    severity: "minor",
+    category: "bug",
+    component: "api",
+    assignee_team: "platform",
+    duplicate_likelihood: 0.2,
+    labels: ["regression"],
+    rationale: "Checkout errors after a deploy.",
+    confidence: {}
+};
+
+const ACCEPTED = { priority: "P2", severity: "minor", category: "bug", component: "api", assignee_team: "platform", labels: ["regression"] };
+
+function review(final, ticket = TICKET) {
+    return handler(event({ body: { ticket, decision: DECISION, final } }));
+}
+
+async function examples() {
+    const res = await handler(event({ method: "GET", query: { format: "jsonl" } }));
+    expect(res.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+    return res.body.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+describe("triageReview", () => {
+    it("lists the review options from the routing config", async () => {
+        const res = await handler(event({ method: "GET" }));
+        expect(res.statusCode).toBe(200);
+        const { fields } = json(res);
+        expect(fields.priority.map((o) => o.id)).toEqual(["P0", "P1", "P2", "P3", "P4"]);
+        expect(fields.component.find((o) => o.id === "payments")).toEqual({ id: "payments", label: "Payments & invoices" });
+        expect(Object.keys(fields)).toEqual(["priority", "severity", "category", "component", "assignee_team", "labels"]);
+    });
+
+    it("rejects other methods and invalid reviews", async () => {
+        expect((await handler(event({ method: "DELETE" }))).statusCode).toBe(405);
+        expect(json(await handler(event({ body: { decision: DECISION, final: ACCEPTED } }))).error).toBe("Missing required field: ticket");
+        expect(json(await review({ ...ACCEPTED, priority: "P9" })).error).toMatch(/^final\.priority must be one of: P0, P1/);
+        expect(json(await review({ ...ACCEPTED, labels: ["not-a-label"] })).error).toMatch(/^final\.labels must be a list of/);
+        expect(json(await review({ ...ACCEPTED, labels: undefined })).error).toMatch(/^final\.labels/);
+    });
+
+    it("does not record a plain accept", async () => {
+        const res = await review(ACCEPTED, "Accepted as triaged: the export button label has a typo.");
+        expect(json(res)).toMatchObject({ overridden: [], recorded: false });
+        expect((await examples()).map((e) => e.input)).not.toContain("Accepted as triaged: the export button label has a typo.");
+    });
+
+    it("records overrides as labelled examples in the golden-set format", async () => {
+        const res = await review({ ...ACCEPTED, priority: "P0", category: "incident", labels: ["customer-reported", "regression"] });
+        expect(res.statusCode).toBe(200);
+        const body = json(res);
+        expect(body).toMatchObject({ overridden: ["priority", "category", "labels"], recorded: true });
+
+        const saved = (await examples()).find((e) => e.id === body.id);
+        expect(saved).toMatchObject({
+            input: TICKET,
+            expect: { ...ACCEPTED, priority: "P0", category: "incident", labels: ["customer-reported", "regression"] },
+            overridden: ["priority", "category", "labels"],
+            model: { priority: "P2", category: "bug" },
+            reviewer: null
+        });
+    });
+
+    it("keeps reviewed tickets redacted in the export", async () => {
+        const ticket = "Refund never arrived. Contact jane.doe@example.com or +1 415 555 0134.";
+        const { id } = json(await review({ ...ACCEPTED, priority: "P1" }, ticket));
+        const saved = (await examples()).find((e) => e.id === id);
+        expect(saved.input).toBe("Refund never arrived. Contact [EMAIL_1] or [PHONE_1].");
+
+        const res = await handler(event({ method: "GET", query: { format: "jsonl" } }));
+        expect(res.body).not.toContain("jane.doe@example.com");
+        expect(res.body).not.toContain("555 0134");
+    });
+
+    it("replaces an earlier review of the same ticket", async () => {
+        await review({ ...ACCEPTED, priority: "P1" }, "Login page  shows a blank screen in Safari.");
+        const { id } = json(await review({ ...ACCEPTED, severity: "major" }, "Login page shows a blank screen in Safari."));
+        const matching = (await examples()).filter((e) => e.id === id);
+        expect(matching).toHaveLength(1);
+        expect(matching[0].overridden).toEqual(["severity"]);
+    });
+});
@@ -0,0 +1,185 @@
+import http from "node:http";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { handler } from "../netlify/functions/triageWebhook.js";
+import { readJob } from "../netlify/lib/jobs.js";
+import { normalizeWebhook, readDeadLetters, sign } from "../netlify/lib/webhooks.js";
+import { TICKET, event, json, withEnv } from "./helpers.js";
+
+const SECRET = "test-webhook-secret";
+
+// A stand-in for the tracker integration: answers each callback with the next status in
+// `statuses` (200 once they run out) and keeps what it received.
+const receiver = { statuses: [], received: [] };
+let server;
+let callbackUrl;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            receiver.received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(receiver.statuses.shift() || 200).end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    callbackUrl = `http://127.0.0.1:${server.address().port}/callback`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+function deliver(payload, headers = {}, { source, secret = SECRET, signatureHeader = "x-webhook-signature" } = {}) {
+    const body = JSON.stringify(payload);
+    return handler(event({ body, headers: { [signatureHeader]: sign(body, secret), ...headers }, query: source ? { source } : {} }));
+}
+
+// Waits for the webhook job the inline worker runs and returns it.
+async function settle(res) {
+    const { job: id } = json(res);
+    for (let i = 0; i < 100; i++) {
+        const { job } = await readJob(id);
+        if (job.status === "succeeded" || job.status === "failed") return job;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish.`);
+}
+
+function withWebhookEnv(vars, fn) {
+    return withEnv({ WEBHOOK_SECRET: SECRET, WEBHOOK_CALLBACK_URL: "", WEBHOOK_CALLBACK_BACKOFF_MS: "0", ...vars }, fn);
+}
+
+describe("normalizeWebhook", () => {
+    it("reads GitHub issues, Jira issues (with ADF descriptions) and generic tickets", () => {
+        const github = normalizeWebhook("github", { "x-github-event": "issues" }, {
+            action: "opened",
+            issue: { number: 7, title: "Export fails", body: "CSV export returns 500.", html_url: "https://github.com/acme/app/issues/7" },
+            repository: { full_name: "acme/app" }
+        });
+        expect(github.ticket).toEqual({
+            source: "github",
+            event: "issues.opened",
+            id: "acme/app#7",
+            title: "Export fails",
+            description: "CSV export returns 500.",
+            url: "https://github.com/acme/app/issues/7"
+        });
+
+        const description = { type: "doc", content: [{ type: "paragraph", content: [{ type: "text", text: "Line one" }] }, { type: "paragraph", content: [{ type: "text", text: "Line two" }] }] };
+        const jira = normalizeWebhook("jira", {}, {
+            webhookEvent: "jira:issue_created",
+            issue: { key: "OPS-12", self: "https://acme.atlassian.net/rest/api/3/issue/10012", fields: { summary: "VPN down", description } }
+        });
+        expect(jira.ticket).toMatchObject({ id: "OPS-12", title: "VPN down", description: "Line one\nLine two", url: "https://acme.atlassian.net/browse/OPS-12" });
+
+        expect(normalizeWebhook("generic", {}, { ticket: { key: 5, subject: "Hi", message: "Help" } }).ticket).toMatchObject({ id: "5", title: "Hi", description: "Help" });
+    });
+
+    it("skips events that are not new tickets", () => {
+        expect(normalizeWebhook("github", { "x-github-event": "issues" }, { action: "closed", issue: {} })).toEqual({ ok: true, skip: "issues.closed" });
+        expect(normalizeWebhook("jira", {}, { webhookEvent: "jira:issue_updated" })).toEqual({ ok: true, skip: "jira:issue_updated" });
+        expect(normalizeWebhook("generic", {}, { title: " " }).error).toBe("The payload has no ticket title or description.");
+    });
+});
+
+describe("triageWebhook", () => {
+    it("refuses unsigned, badly signed and unconfigured requests", async () => {
+        await withWebhookEnv({}, async () => {
+            const body = JSON.stringify({ description: TICKET });
+            expect(json(await handler(event({ body }))).error).toBe("Missing webhook signature.");
+            expect(json(await deliver({ description: TICKET }, {}, { secret: "wrong" })).error).toBe("Invalid webhook signature.");
+            expect((await deliver({ description: TICKET }, {}, { source: "trello" })).statusCode).toBe(400);
+        });
+        await withWebhookEnv({ WEBHOOK_SECRET: "" }, async () => {
+            const res = await deliver({ description: TICKET });
+            expect(res.statusCode).toBe(500);
+            expect(json(res).error).toMatch(/^No webhook secret configured for generic/);
+        });
+    });
+
+    it("acknowledges GitHub pings without triaging", async () => {
+        await withWebhookEnv({}, async () => {
+            const res = await deliver({ zen: "Keep it simple." }, { "x-github-event": "ping" }, { signatureHeader: "x-hub-signature-256" });
+            expect(res.statusCode).toBe(200);
+            expect(json(res).skipped).toBe("ping");
+        });
+    });
+
+    it("acknowledges a new GitHub issue, then triages it and posts the result to the callback", async () => {
+        receiver.received = [];
+        // The signature stands in for API credentials, even where they are required.
+        const env = { WEBHOOK_CALLBACK_URL: callbackUrl, WEBHOOK_CALLBACK_SECRET: "callback-secret", AUTH_REQUIRED: "true", API_KEYS: "app-key" };
+        await withWebhookEnv(env, async () => {
+            const payload = { action: "opened", issue: { number: 42, title: TICKET, body: null, html_url: "https://github.com/acme/shop/issues/42" }, repository: { full_name: "acme/shop" } };
+            const res = await deliver(payload, { "x-github-event": "issues" }, { signatureHeader: "x-hub-signature-256" });
+            expect(res.statusCode).toBe(202);
+            expect(json(res).ticket.id).toBe("acme/shop#42");
+
+            const job = await settle(res);
+            expect(job.status).toBe("succeeded");
+            const body = job.result;
+            expect(body.ticket.id).toBe("acme/shop#42");
+            expect(body.callback).toEqual({ delivered: true, attempts: 1, status: 200 });
+
+            const [call] = receiver.received;
+            expect(call.headers["x-webhook-signature"]).toBe(sign(JSON.stringify(call.body), "callback-secret"));
+            expect(call.body.ticket).toEqual({ id: "acme/shop#42", url: "https://github.com/acme/shop/issues/42", title: TICKET });
+            expect(call.body.requestId).toBe("test-request");
+            expect(call.body.labels).toContain(`priority:${body.triage.priority}`);
+            expect(call.body.labels).toContain(`team:${body.triage.assignee_team}`);
+            expect(call.body.comment).toContain(body.triage.summary);
+            expect(call.body.triage).not.toHaveProperty("similar");
+        });
+    });
+
+    it("ignores redeliveries of a delivery it has queued", async () => {
+        receiver.received = [];
+        const payload = { action: "opened", issue: { number: 43, title: TICKET }, repository: { full_name: "acme/shop" } };
+        const headers = { "x-github-event": "issues", "x-github-delivery": "delivery-43" };
+        const github = { signatureHeader: "x-hub-signature-256" };
+
+        // Not queued while jobs are off, so the sender's retry is still triaged.
+        const refused = await withWebhookEnv({ JOBS_STORE: "off" }, () => deliver(payload, headers, github));
+        expect(refused.statusCode).toBe(503);
+
+        await withWebhookEnv({ WEBHOOK_CALLBACK_URL: callbackUrl }, async () => {
+            const first = await deliver(payload, headers, github);
+            expect(first.statusCode).toBe(202);
+            await settle(first);
+
+            const again = await deliver(payload, headers, github);
+            expect(again.statusCode).toBe(200);
+            expect(json(again).duplicate).toBe("delivery-43");
+
+            // A redelivery that arrives while the first is still being claimed.
+            const racing = { ...headers, "x-github-delivery": "delivery-44" };
+            const both = await Promise.all([deliver(payload, racing, github), deliver(payload, racing, github)]);
+            expect(both.map((res) => res.statusCode).sort()).toEqual([200, 202]);
+            await settle(both.find((res) => res.statusCode === 202));
+        });
+        expect(receiver.received).toHaveLength(2);
+    });
+
+    it("retries failed callbacks and dead-letters them when every attempt fails", async () => {
+        try {
+            await withWebhookEnv({ WEBHOOK_CALLBACK_URL: callbackUrl }, async () => {
+                receiver.statuses = [503, 500];
+                const retried = await settle(await deliver({ id: "T-1", description: TICKET }));
+                expect(retried.result.callback).toEqual({ delivered: true, attempts: 3, status: 200 });
+
+                receiver.statuses = [503, 503, 503];
+                const failed = await settle(await deliver({ id: "T-2", description: TICKET }));
+                expect(failed.result.callback).toMatchObject({ delivered: false, attempts: 3, status: 503, dead_lettered: true });
+
+                receiver.statuses = [400];
+                const rejected = await settle(await deliver({ id: "T-3", description: TICKET }));
+                expect(rejected.result.callback).toMatchObject({ delivered: false, attempts: 1, status: 400 });
+            });
+
+            const { entries } = await readDeadLetters();
+            expect(entries.map((e) => e.payload.ticket.id)).toEqual(["T-2", "T-3"]);
+            expect(entries[0]).toMatchObject({ url: callbackUrl, attempts: 3, status: 503, error: "Callback returned 503." });
+        } finally {
+            receiver.statuses = [];
+        }
+    });
+});
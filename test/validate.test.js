@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { validateAgainstSchema } from "../netlify/lib/validate.js";
+import { PLAN_SCHEMA, buildModeSchema } from "../netlify/lib/schemas.js";
+import { repairToSchema } from "../netlify/lib/structured.js";
+
+const PLAN = {
+    problem_statement: "Refund requests are copied from email into a spreadsheet by hand.",
+    clarifying_questions: ["How many requests a week?", "Which mailbox receives them?", "Who approves refunds?"],
+    proposed_approach: ["Forward refund emails to a shared inbox", "Parse the emails with a script", "Append rows automatically", "Review a daily summary"],
+    recommended_tools: ["Gmail filters", "Google Sheets"],
+    risks_and_privacy: ["Emails contain customer payment details"],
+    next_steps: ["1. Create the shared inbox", "2. Write the parser", "3. Test on last week's emails", "4. Train the team"]
+};
+
+describe("validateAgainstSchema", () => {
+    it("accepts a valid plan", () => {
+        expect(validateAgainstSchema(PLAN, PLAN_SCHEMA)).toBeNull();
+    });
+
+    it("checks types", () => {
+        expect(validateAgainstSchema([], PLAN_SCHEMA)).toBe("Response is not an object.");
+        expect(validateAgainstSchema({ a: "x" }, { type: "object", properties: { a: { type: "array" } } })).toBe("a must be an array.");
+        expect(validateAgainstSchema({ a: { b: 1 } }, { type: "object", properties: { a: { type: "object", properties: { b: { type: "boolean" } } } } }))
+            .toBe("a.b must be a boolean.");
+        expect(validateAgainstSchema("1", { type: "number" })).toBe("Response must be a number.");
+        expect(validateAgainstSchema(Number.NaN, { type: "number" })).toBe("Response must be a number.");
+    });
+
+    it("reports unexpected and missing properties", () => {
+        expect(validateAgainstSchema({ ...PLAN, extra: "x" }, PLAN_SCHEMA)).toBe("Unexpected property: extra");
+        const { next_steps: _, ...missing } = PLAN;
+        expect(validateAgainstSchema(missing, PLAN_SCHEMA)).toBe("Missing required property: next_steps");
+    });
+
+    it("checks enums", () => {
+        const schema = { type: "string", enum: ["low", "high"] };
+        expect(validateAgainstSchema("high", schema)).toBeNull();
+        expect(validateAgainstSchema("urgent", schema)).toBe("Response must be one of: low, high.");
+    });
+
+    it("checks item counts and duplicates", () => {
+        expect(validateAgainstSchema({ ...PLAN, clarifying_questions: PLAN.clarifying_questions.slice(0, 2) }, PLAN_SCHEMA))
+            .toBe("clarifying_questions must have 3-5 items.");
+        expect(validateAgainstSchema([], { type: "array", minItems: 1 })).toBe("Response must have at least 1 items.");
+        expect(validateAgainstSchema(["a", "a"], { type: "array", uniqueItems: true })).toBe("Response must not contain duplicates.");
+        expect(validateAgainstSchema([{ a: 1 }, { a: 1 }], { type: "array", uniqueItems: true })).not.toBeNull();
+    });
+
+    it("counts string length in characters after trimming", () => {
+        const schema = { type: "string", minLength: 3, maxLength: 4 };
+        expect(validateAgainstSchema("  ab   ", schema)).toBe("Response must be a string (minLength 3).");
+        // Each emoji is two UTF-16 units but one character.
+        expect(validateAgainstSchema("🙂🙂🙂🙂", schema)).toBeNull();
+        expect(validateAgainstSchema("🙂🙂🙂🙂🙂", schema)).toBe("Response must be at most 4 characters.");
+        expect(validateAgainstSchema("", { type: "string" })).toBeNull();
+        expect(validateAgainstSchema(null, { type: "string" })).toBe("Response must be a string.");
+    });
+
+    it("checks number ranges and integers", () => {
+        const schema = { type: "integer", minimum: 1, maximum: 5 };
+        expect(validateAgainstSchema(3, schema)).toBeNull();
+        expect(validateAgainstSchema(2.5, schema)).toBe("Response must be an integer.");
+        expect(validateAgainstSchema(6, schema)).toBe("Response must be a number between 1 and 5.");
+        expect(validateAgainstSchema(0.5, { type: "number", minimum: 0, maximum: 1 })).toBeNull();
+    });
+
+    it("applies the next step pattern to Latin and caseless scripts", () => {
+        const item = PLAN_SCHEMA.properties.next_steps.items;
+        for (const ok of ["1. Create the inbox", "2) Write it", "- Train the team", "Ship it", "１．共有受信箱を作成する", "・テストする", "إنشاء صندوق"]) {
+            expect(validateAgainstSchema(ok, item), ok).toBeNull();
+        }
+        for (const bad of ["1. create the inbox", "ship it", "123"]) {
+            expect(validateAgainstSchema(bad, item), bad).toBe("Response must match required pattern.");
+        }
+    });
+
+    it("validates mode schemas built from sections", () => {
+        const schema = buildModeSchema([
+            { key: "summary", kind: "text" },
+            { key: "options", kind: "list", min: 2, max: 1 },
+            { key: "next_steps", kind: "numbered", min: 2 }
+        ]);
+        expect(schema.properties.options).toMatchObject({ minItems: 2, maxItems: 2 });
+        expect(validateAgainstSchema({ summary: "A short summary.", options: ["Option one", "Option two"], next_steps: ["Do it", "Ship it"] }, schema)).toBeNull();
+        expect(validateAgainstSchema({ summary: "A short summary.", options: ["Option one"], next_steps: ["Do it", "Ship it"] }, schema))
+            .toBe("options must have 2-2 items.");
+    });
+});
+
+describe("repairToSchema", () => {
+    it("strips stray keys, list markers and extra items, and capitalises next steps", () => {
+        const repaired = repairToSchema({
+            ...PLAN,
+            notes: "dropped",
+            clarifying_questions: ["1. How many a week?", "2) Which mailbox?", "- Who approves?", "4. Which currency?", "5. Any SLA?", "6. Too many?"],
+            next_steps: ["create the inbox", "2. Write the parser", "Test it", "Train the team"]
+        }, PLAN_SCHEMA);
+        expect(repaired.notes).toBeUndefined();
+        expect(repaired.clarifying_questions).toEqual(["How many a week?", "Which mailbox?", "Who approves?", "Which currency?", "Any SLA?"]);
+        expect(repaired.next_steps[0]).toBe("Create the inbox");
+        expect(validateAgainstSchema(repaired, PLAN_SCHEMA)).toBeNull();
+    });
+
+    it("gives up on values that are not objects", () => {
+        expect(repairToSchema([PLAN], PLAN_SCHEMA)).toBeUndefined();
+        expect(repairToSchema("plan", PLAN_SCHEMA)).toBeUndefined();
+    });
+});